@@ -0,0 +1,21 @@
+const { qualityIds, resolveQuality } = require('../services/providers/audioQualities');
+
+// Sets req.audioQuality from ?quality=, the X-Connection-Type header
+// (metered or unmetered) and the user's preferences. Run after auth or
+// optionalAuth so preferences are available.
+const audioQuality = (req, res, next) => {
+  const { quality } = req.query;
+
+  if (quality !== undefined && !qualityIds.includes(quality)) {
+    return res.status(400).json({ message: 'Invalid audio quality' });
+  }
+
+  req.audioQuality = resolveQuality({
+    quality,
+    connection: req.get('X-Connection-Type'),
+    preferences: req.user?.preferences
+  });
+  next();
+};
+
+module.exports = { audioQuality };
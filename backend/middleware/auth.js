@@ -56,6 +56,14 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Must run after auth
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
+
 const generateToken = (userId) => {
   return jwt.sign(
     { userId },
@@ -67,5 +75,6 @@ const generateToken = (userId) => {
 module.exports = {
   auth,
   optionalAuth,
+  requireAdmin,
   generateToken
 };
\ No newline at end of file
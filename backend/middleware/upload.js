@@ -0,0 +1,19 @@
+const multer = require('multer');
+
+// Accept one file of at most `maxBytes` in the "file" field, kept in memory
+// as req.file. Upload errors are answered with a 400.
+const singleFileUpload = (maxBytes) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes }
+  }).single('file');
+
+  return (req, res, next) => upload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    next();
+  });
+};
+
+module.exports = { singleFileUpload };
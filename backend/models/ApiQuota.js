@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Upstream API requests made per key (e.g. a Jamendo client id) per UTC day
+const apiQuotaSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  day: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+apiQuotaSchema.index({ key: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('ApiQuota', apiQuotaSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Genre or mood shown in the browse section. Genre categories are built
+// from catalog tags by services/browse.js; moods are seeded from
+// services/providers/moods.js. Admins curate names and descriptions.
+const browseCategorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['genre', 'mood'],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  tags: [String], // lowercased catalog tags this category matches
+  parent: {
+    type: String, // slug of the parent genre for sub-genres
+    default: null
+  },
+  trackCount: {
+    type: Number,
+    default: 0
+  },
+  providerCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  imageUrl: {
+    type: String,
+    default: ''
+  },
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  curatedFields: [String], // fields set by an admin that refreshes leave alone
+  createdBy: {
+    type: String,
+    enum: ['catalog', 'admin'],
+    default: 'catalog'
+  },
+  lastSeenAt: Date, // last refresh that found the tag in a catalog
+  countedAt: Date
+}, {
+  timestamps: true
+});
+
+browseCategorySchema.index({ type: 1, slug: 1 }, { unique: true });
+browseCategorySchema.index({ type: 1, parent: 1, trackCount: -1 });
+
+// Public representation used by the browse endpoints
+browseCategorySchema.methods.toBrowseJSON = function() {
+  return {
+    id: this.slug,
+    type: this.type,
+    name: this.name,
+    description: this.description,
+    tags: this.tags,
+    parent: this.parent,
+    trackCount: this.trackCount,
+    providerCounts: Object.fromEntries(this.providerCounts || []),
+    imageUrl: this.imageUrl,
+    countedAt: this.countedAt
+  };
+};
+
+module.exports = mongoose.model('BrowseCategory', browseCategorySchema);
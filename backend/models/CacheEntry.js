@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Persisted catalog cache entry (see services/cache)
+const cacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  endpoint: String,
+  provider: String,
+  data: mongoose.Schema.Types.Mixed,
+  storedAt: Number,
+  expiresAt: Number,
+  staleUntil: Number,
+  keepUntil: Number,
+  size: Number,
+  removeAt: Date // drives the TTL index below
+});
+
+cacheEntrySchema.index({ endpoint: 1 });
+cacheEntrySchema.index({ provider: 1 });
+cacheEntrySchema.index({ removeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
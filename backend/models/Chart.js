@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const chartEntrySchema = new mongoose.Schema({
+  rank: Number,
+  id: String, // track id, artist id (or name) or playlist id
+  plays: Number,
+  listenerCount: Number,
+  // Tracks
+  title: String,
+  artist: String,
+  artistId: String,
+  albumName: String,
+  imageUrl: String,
+  genre: String,
+  // Artists and playlists
+  name: String,
+  genres: [String],
+  // Tracks and artists: lowercased genres and mood tags
+  tags: [String],
+  // Playlists
+  mood: String,
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// Most played tracks, artists or public playlists of one day or week,
+// overall or within a genre or mood, computed from the PlayEvent log by
+// services/charts.js
+const chartSchema = new mongoose.Schema({
+  period: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['tracks', 'artists', 'playlists'],
+    required: true
+  },
+  // '' for the chart of everything, 'genre:<slug>' or 'mood:<slug>' for the
+  // chart of one browse category
+  category: {
+    type: String,
+    default: ''
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  entries: [chartEntrySchema],
+  computedAt: Date
+}, {
+  timestamps: true
+});
+
+chartSchema.index({ period: 1, kind: 1, category: 1, periodStart: -1 }, { unique: true });
+
+module.exports = mongoose.model('Chart', chartSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const importedTrackSchema = new mongoose.Schema({
+  artist: String,
+  title: String,
+  album: String,
+  plays: Number, // rows in the file for this track
+  trackId: String, // matched catalog track
+  matchedTitle: String,
+  matchedArtist: String,
+  score: Number, // best match score, also kept for unmatched tracks
+  reason: String // why an unmatched track was not searched, e.g. the catalog was down
+}, { _id: false });
+
+// A listening history file being imported into the PlayEvent log by
+// services/historyImport.js. Rows are kept until the import has run; the
+// report lists which tracks were matched to the catalog.
+const historyImportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['lastfm', 'spotify'],
+    required: true
+  },
+  fileName: String,
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  rows: {
+    type: [{
+      _id: false,
+      artist: String,
+      title: String,
+      album: String,
+      playedAt: Date,
+      secondsPlayed: Number
+    }],
+    select: false
+  },
+  totals: {
+    rows: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 }, // rows without artist, title or date
+    tracks: { type: Number, default: 0 }, // distinct tracks in the file
+    processedTracks: { type: Number, default: 0 },
+    matchedTracks: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 }, // plays added to history
+    duplicates: { type: Number, default: 0 }, // plays already imported before
+    unmatched: { type: Number, default: 0 } // plays of tracks not found
+  },
+  matched: [importedTrackSchema],
+  unmatched: [importedTrackSchema],
+  error: String,
+  // Runs cut short by the catalog being unavailable, and when the next one
+  // may start
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  retryAt: Date,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+historyImportSchema.index({ user: 1, createdAt: -1 });
+historyImportSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('HistoryImport', historyImportSchema);
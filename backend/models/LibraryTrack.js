@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Audio file indexed by the local library provider
+const libraryTrackSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  size: Number, // in bytes
+  mtimeMs: Number,
+  mimeType: String,
+  title: {
+    type: String,
+    required: true
+  },
+  artist: {
+    type: String,
+    default: 'Unknown Artist'
+  },
+  artistKey: {
+    type: String,
+    required: true
+  },
+  album: {
+    type: String,
+    default: ''
+  },
+  albumKey: {
+    type: String,
+    default: ''
+  },
+  genres: [String],
+  tagKeys: [String], // lowercased genres for matching
+  duration: {
+    type: Number,
+    default: 0 // in seconds
+  },
+  trackNumber: Number,
+  discNumber: Number,
+  year: Number,
+  bpm: Number,
+  lang: String,
+  license: String,
+  cover: {
+    data: {
+      type: Buffer,
+      select: false
+    },
+    format: String
+  },
+  hasCover: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+libraryTrackSchema.index({ artistKey: 1 });
+libraryTrackSchema.index({ albumKey: 1 });
+libraryTrackSchema.index({ tagKeys: 1 });
+
+module.exports = mongoose.model('LibraryTrack', libraryTrackSchema);
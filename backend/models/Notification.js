@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Something a user should hear about. Updates to the same playlist are
+// folded into one unread notification instead of one per change.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['playlist_updated'],
+    required: true
+  },
+  playlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // who made the latest change
+  },
+  changes: {
+    tracksAdded: { type: Number, default: 0 },
+    tracksRemoved: { type: Number, default: 0 },
+    reordered: { type: Boolean, default: false },
+    details: { type: Boolean, default: false } // name, description, cover, ...
+  },
+  read: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, read: 1, updatedAt: -1 });
+notificationSchema.index({ user: 1, type: 1, playlist: 1, read: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
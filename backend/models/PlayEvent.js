@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const contextTypes = ['playlist', 'album', 'artist', 'radio', 'search', 'mood', 'genre', 'favorites', 'recommendations', 'queue', 'other'];
+const deviceTypes = ['web', 'mobile', 'tablet', 'desktop', 'tv', 'other'];
+
+// One listening event reported by a player. A play is a sequence of events
+// sharing a playId: "start", any number of "progress" updates, then
+// "complete" or "skip". Recently played and listening statistics are built
+// from this log.
+const playEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  eventId: String, // unique per user, usually client-generated; makes uploads idempotent
+  playId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['start', 'progress', 'complete', 'skip'],
+    required: true
+  },
+  trackId: {
+    type: String, // provider-qualified
+    required: true
+  },
+  // Snapshot of the track when it was played
+  track: {
+    title: String,
+    artist: String,
+    artistId: String,
+    albumName: String,
+    albumId: String,
+    imageUrl: String,
+    duration: Number, // in seconds
+    genre: String,
+    tags: [String] // genres and mood tags, matched by genre and mood charts
+  },
+  position: {
+    type: Number, // playhead in seconds
+    default: 0,
+    min: 0
+  },
+  secondsListened: {
+    type: Number, // listened so far in this play, excluding seeks
+    default: 0,
+    min: 0
+  },
+  context: {
+    type: {
+      type: String,
+      enum: contextTypes,
+      default: 'other'
+    },
+    id: String
+  },
+  device: {
+    type: {
+      type: String,
+      enum: deviceTypes,
+      default: 'web'
+    },
+    id: String,
+    name: String
+  },
+  origin: {
+    type: String,
+    enum: ['player', 'legacy', 'import'],
+    default: 'player'
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+playEventSchema.index({ user: 1, occurredAt: -1 });
+playEventSchema.index({ user: 1, trackId: 1, occurredAt: -1 });
+playEventSchema.index({ playId: 1, type: 1 });
+playEventSchema.index(
+  { user: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $exists: true } } }
+);
+playEventSchema.index({ trackId: 1, occurredAt: -1 });
+
+module.exports = mongoose.model('PlayEvent', playEventSchema);
+module.exports.contextTypes = contextTypes;
+module.exports.deviceTypes = deviceTypes;
@@ -1,5 +1,33 @@
 const mongoose = require('mongoose');
 
+// Id of a reference whether or not it has been populated
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// Rules of a smart playlist (see services/smartPlaylists.js), e.g.
+// { field: 'bpm', operator: 'between', value: [80, 110] }
+const smartSchema = new mongoose.Schema({
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  rules: [{
+    _id: false,
+    field: { type: String, required: true },
+    operator: { type: String, required: true },
+    value: mongoose.Schema.Types.Mixed
+  }],
+  limit: {
+    type: Number,
+    default: 50
+  },
+  sort: {
+    type: String,
+    default: 'relevance'
+  },
+  refreshedAt: Date
+}, { _id: false });
+
 const playlistSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -69,7 +97,33 @@ const playlistSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  followerCount: {
+    type: Number,
+    default: 0 // kept with followers for sorting
+  },
   tags: [String],
+  // Set on copies made with fork. The original's name and owner are kept as
+  // they were so the attribution survives the original going away.
+  forkedFrom: {
+    playlist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Playlist'
+    },
+    name: String,
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  forkCount: {
+    type: Number,
+    default: 0 // active forks of this playlist
+  },
+  // Set for smart playlists, whose tracks are generated from these rules
+  smart: {
+    type: smartSchema,
+    default: undefined
+  },
   mood: {
     type: String,
     enum: ['happy', 'sad', 'relaxed', 'energetic', 'focus', 'party', 'chill', 'mixed'],
@@ -89,6 +143,10 @@ const playlistSchema = new mongoose.Schema({
     default: 0
   },
   lastPlayed: Date,
+  revision: {
+    type: Number,
+    default: 0 // number of the latest PlaylistRevision
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -99,10 +157,14 @@ const playlistSchema = new mongoose.Schema({
 
 // Indexes for better performance
 playlistSchema.index({ owner: 1 });
+playlistSchema.index({ 'collaborators.user': 1 });
+playlistSchema.index({ followers: 1 });
 playlistSchema.index({ isPublic: 1 });
 playlistSchema.index({ mood: 1 });
 playlistSchema.index({ genre: 1 });
 playlistSchema.index({ tags: 1 });
+playlistSchema.index({ 'smart.refreshedAt': 1 }, { sparse: true });
+playlistSchema.index({ 'forkedFrom.playlist': 1 }, { sparse: true });
 
 // Virtual for track count
 playlistSchema.virtual('trackCount').get(function() {
@@ -116,16 +178,19 @@ playlistSchema.methods.updateTotalDuration = function() {
   }, 0);
 };
 
-// Add track to playlist
+// Add track to playlist. Takes a playlist track ({ trackId }) or a
+// catalog track ({ id }).
 playlistSchema.methods.addTrack = function(track, userId) {
+  const trackId = track.trackId || track.id;
+
   // Check if track already exists
-  const exists = this.tracks.some(t => t.trackId === track.trackId);
+  const exists = this.tracks.some(t => t.trackId === trackId);
   if (exists) {
     throw new Error('Track already exists in playlist');
   }
 
   this.tracks.push({
-    trackId: track.trackId,
+    trackId,
     title: track.title,
     artist: track.artist,
     duration: track.duration,
@@ -143,6 +208,39 @@ playlistSchema.methods.removeTrack = function(trackId) {
   this.updateTotalDuration();
 };
 
+// Insert tracks at `position` (the end when unset), skipping those already
+// in the playlist. Returns the ids of the tracks inserted.
+playlistSchema.methods.insertTracks = function(tracks, userId, position = this.tracks.length) {
+  const present = new Set(this.tracks.map(track => track.trackId));
+  const inserted = [];
+
+  tracks.forEach(track => {
+    const trackId = track.trackId || track.id;
+    if (present.has(trackId)) return;
+    present.add(trackId);
+    inserted.push({
+      trackId,
+      title: track.title,
+      artist: track.artist,
+      duration: track.duration,
+      audioUrl: track.audioUrl,
+      imageUrl: track.imageUrl,
+      addedBy: userId
+    });
+  });
+
+  this.tracks.splice(Math.min(position, this.tracks.length), 0, ...inserted);
+  this.updateTotalDuration();
+  return inserted.map(track => track.trackId);
+};
+
+// Remove several tracks at once
+playlistSchema.methods.removeTracks = function(trackIds) {
+  const removed = new Set(trackIds);
+  this.tracks = this.tracks.filter(track => !removed.has(track.trackId));
+  this.updateTotalDuration();
+};
+
 // Reorder tracks
 playlistSchema.methods.reorderTracks = function(trackIds) {
   const reorderedTracks = [];
@@ -155,17 +253,33 @@ playlistSchema.methods.reorderTracks = function(trackIds) {
   this.tracks = reorderedTracks;
 };
 
+playlistSchema.methods.ownerId = function() {
+  return idOf(this.owner);
+};
+
+playlistSchema.methods.isSmart = function() {
+  return Boolean(this.smart?.rules?.length);
+};
+
+playlistSchema.methods.isFollowedBy = function(userId) {
+  return Boolean(userId) && this.followers.some(follower => follower.toString() === userId.toString());
+};
+
+// Collaborator entry of a user, if any
+playlistSchema.methods.getCollaborator = function(userId) {
+  if (!userId) return undefined;
+  return this.collaborators.find(collab => idOf(collab.user) === userId.toString());
+};
+
 // Check if user can edit playlist
 playlistSchema.methods.canEdit = function(userId) {
-  if (this.owner.toString() === userId.toString()) {
+  if (!userId) return false;
+  if (this.ownerId() === userId.toString()) {
     return true;
   }
   
   if (this.collaborative) {
-    return this.collaborators.some(collab => 
-      collab.user.toString() === userId.toString() && 
-      collab.permissions === 'edit'
-    );
+    return this.getCollaborator(userId)?.permissions === 'edit';
   }
   
   return false;
@@ -174,11 +288,10 @@ playlistSchema.methods.canEdit = function(userId) {
 // Check if user can view playlist
 playlistSchema.methods.canView = function(userId) {
   if (this.isPublic) return true;
-  if (this.owner.toString() === userId.toString()) return true;
+  if (!userId) return false;
+  if (this.ownerId() === userId.toString()) return true;
   
-  return this.collaborators.some(collab => 
-    collab.user.toString() === userId.toString()
-  );
+  return Boolean(this.getCollaborator(userId));
 };
 
 // Increment play count
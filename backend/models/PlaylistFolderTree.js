@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const folderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId, // unset at the top level
+    default: null
+  },
+  position: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+// Where one playlist sits. Playlists without an entry are listed at the top
+// level after everything placed there.
+const placementSchema = new mongoose.Schema({
+  playlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  position: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// A user's folders and how the playlists they own, collaborate on or
+// follow are arranged in them, managed by services/playlistFolders.js.
+// Folders and playlists sharing a parent are ordered together by position.
+const playlistFolderTreeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  folders: [folderSchema],
+  placements: [placementSchema]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PlaylistFolderTree', playlistFolderTreeSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const candidateSchema = new mongoose.Schema({
+  trackId: String,
+  title: String,
+  artist: String,
+  album: String,
+  duration: Number,
+  audioUrl: String,
+  imageUrl: String,
+  score: Number
+}, { _id: false });
+
+const importRowSchema = new mongoose.Schema({
+  position: Number, // 1-based position in the export
+  title: String,
+  artist: String,
+  album: String,
+  duration: Number,
+  status: {
+    type: String,
+    enum: ['pending', 'matched', 'ambiguous', 'unmatched'],
+    default: 'pending'
+  },
+  candidates: [candidateSchema], // best first
+  reason: String, // why an unmatched row has no candidates, e.g. the catalog was down
+  selected: String // trackId to add, proposed by matching and changed on confirm
+}, { _id: false });
+
+// A playlist exported from another streaming service, matched to the
+// catalog by services/playlistImports.js. Once matched the import waits in
+// review until its owner confirms the rows and the playlist is created.
+const playlistImportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['json', 'csv'],
+    required: true
+  },
+  fileName: String,
+  name: {
+    type: String,
+    maxlength: 100
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'review', 'completed', 'failed'],
+    default: 'pending'
+  },
+  rows: [importRowSchema],
+  totals: {
+    rows: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 }, // rows without title or artist
+    processed: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    ambiguous: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 }
+  },
+  playlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist'
+  },
+  error: String,
+  // Runs cut short by the catalog being unavailable, and when the next one
+  // may start
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  retryAt: Date,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+playlistImportSchema.index({ user: 1, createdAt: -1 });
+playlistImportSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('PlaylistImport', playlistImportSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// An invitation to collaborate on a playlist. Invites for a user name one
+// invitee, who accepts or declines them; link invites carry a token that
+// anyone signed in can use until it is revoked or expires.
+const playlistInviteSchema = new mongoose.Schema({
+  playlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  token: String, // link invites only
+  permissions: {
+    type: String,
+    enum: ['view', 'edit'],
+    default: 'view'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  uses: {
+    type: Number,
+    default: 0 // collaborators who joined through a link
+  },
+  expiresAt: Date,
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+playlistInviteSchema.index({ user: 1, status: 1 });
+playlistInviteSchema.index({ playlist: 1, status: 1 });
+playlistInviteSchema.index({ token: 1 }, { unique: true, sparse: true });
+
+playlistInviteSchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+};
+
+module.exports = mongoose.model('PlaylistInvite', playlistInviteSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const revisionTrackSchema = new mongoose.Schema({
+  trackId: String,
+  title: String,
+  artist: String,
+  duration: Number,
+  audioUrl: String,
+  imageUrl: String,
+  addedAt: Date,
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const changedTrackSchema = new mongoose.Schema({
+  trackId: String,
+  title: String,
+  artist: String,
+  from: Number, // position before the change (removed and moved tracks)
+  to: Number // position after the change (added and moved tracks)
+}, { _id: false });
+
+// One saved version of a playlist's content, written by
+// services/playlistRevisions.js after every change. The snapshot is the
+// state after the change; `changes` summarizes it against the state before.
+const playlistRevisionSchema = new mongoose.Schema({
+  playlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist',
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // unset for scheduled refreshes of smart and year-in-review playlists
+  },
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'add', 'remove', 'reorder', 'restore', 'refresh'],
+    required: true
+  },
+  restoredFrom: Number, // revision number brought back by a restore
+  snapshot: {
+    name: String,
+    description: String,
+    mood: String,
+    genre: String,
+    coverImage: String,
+    tags: [String],
+    tracks: [revisionTrackSchema]
+  },
+  changes: {
+    added: [changedTrackSchema],
+    removed: [changedTrackSchema],
+    moved: [changedTrackSchema],
+    fields: [String] // details that changed, e.g. name
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+playlistRevisionSchema.index({ playlist: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model('PlaylistRevision', playlistRevisionSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Audio bytes served by the stream endpoint per track per UTC day
+const streamStatSchema = new mongoose.Schema({
+  trackId: {
+    type: String, // provider-qualified
+    required: true
+  },
+  provider: String,
+  day: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  bytes: {
+    type: Number,
+    default: 0
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  failovers: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+streamStatSchema.index({ trackId: 1, day: 1 }, { unique: true });
+streamStatSchema.index({ day: 1 });
+
+module.exports = mongoose.model('StreamStat', streamStatSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { qualityIds, defaultQualities } = require('../services/providers/audioQualities');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -49,6 +50,27 @@ const userSchema = new mongoose.Schema({
       default: 0.8,
       min: 0,
       max: 1
+    },
+    // Streaming quality per connection type (see services/providers/audioQualities.js)
+    audioQuality: {
+      metered: {
+        type: String,
+        enum: qualityIds,
+        default: defaultQualities.metered
+      },
+      unmetered: {
+        type: String,
+        enum: qualityIds,
+        default: defaultQualities.unmetered
+      }
+    },
+    // Who can see listening statistics on the profile
+    privacy: {
+      listeningStats: {
+        type: String,
+        enum: ['public', 'private'],
+        default: 'private'
+      }
     }
   },
   favorites: {
@@ -68,21 +90,27 @@ const userSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
       }
+    }],
+    albums: [{
+      albumId: String,
+      name: String,
+      artist: String,
+      imageUrl: String,
+      addedAt: {
+        type: Date,
+        default: Date.now
+      }
     }]
   },
   playlists: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Playlist'
   }],
-  recentlyPlayed: [{
-    trackId: String,
-    title: String,
-    artist: String,
-    playedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -121,27 +149,6 @@ userSchema.methods.toJSON = function() {
   return userObject;
 };
 
-// Add track to recently played (limit to 50 most recent)
-userSchema.methods.addToRecentlyPlayed = function(track) {
-  // Remove if already exists
-  this.recentlyPlayed = this.recentlyPlayed.filter(
-    item => item.trackId !== track.trackId
-  );
-  
-  // Add to beginning
-  this.recentlyPlayed.unshift({
-    trackId: track.trackId,
-    title: track.title,
-    artist: track.artist,
-    playedAt: new Date()
-  });
-  
-  // Keep only 50 most recent
-  if (this.recentlyPlayed.length > 50) {
-    this.recentlyPlayed = this.recentlyPlayed.slice(0, 50);
-  }
-};
-
 // Add track to favorites
 userSchema.methods.addToFavorites = function(track) {
   const exists = this.favorites.tracks.some(fav => fav.trackId === track.trackId);
@@ -161,4 +168,24 @@ userSchema.methods.removeFromFavorites = function(trackId) {
   );
 };
 
+// Add album to favorites
+userSchema.methods.addAlbumToFavorites = function(album) {
+  const exists = this.favorites.albums.some(fav => fav.albumId === album.albumId);
+  if (!exists) {
+    this.favorites.albums.push({
+      albumId: album.albumId,
+      name: album.name,
+      artist: album.artist,
+      imageUrl: album.imageUrl
+    });
+  }
+};
+
+// Remove album from favorites
+userSchema.methods.removeAlbumFromFavorites = function(albumId) {
+  this.favorites.albums = this.favorites.albums.filter(
+    fav => fav.albumId !== albumId
+  );
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
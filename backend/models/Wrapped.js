@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const rankedSchema = new mongoose.Schema({
+  id: String, // track id, artist id or genre
+  title: String,
+  artist: String,
+  name: String,
+  imageUrl: String,
+  plays: Number,
+  minutes: Number
+}, { _id: false });
+
+// A user's year in review, computed from listening history by
+// services/wrapped.js. Recaps are regenerated until the year is over.
+const wrappedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  minutesListened: {
+    type: Number,
+    default: 0
+  },
+  plays: {
+    type: Number,
+    default: 0
+  },
+  topTracks: [rankedSchema],
+  topArtists: [rankedSchema],
+  topGenres: [rankedSchema],
+  topPlaylist: {
+    playlist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Playlist'
+    },
+    name: String,
+    plays: Number
+  },
+  newArtists: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    artists: [rankedSchema] // the most played of them
+  },
+  longestStreak: {
+    days: {
+      type: Number,
+      default: 0
+    },
+    start: String, // YYYY-MM-DD
+    end: String
+  },
+  // Generated "top tracks of the year" playlist
+  playlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist'
+  },
+  playlistRevision: Number, // playlist revision the recap last wrote; a later one is someone's edit
+  shareId: String, // set while the recap is shared publicly
+  final: {
+    type: Boolean, // generated after the year ended
+    default: false
+  },
+  generatedAt: Date
+}, {
+  timestamps: true
+});
+
+wrappedSchema.index({ user: 1, year: 1 }, { unique: true });
+wrappedSchema.index({ shareId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Wrapped', wrappedSchema);
@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth, generateToken } = require('../middleware/auth');
+const { qualityIds } = require('../services/providers/audioQualities');
+const playEvents = require('../services/playEvents');
 
 const router = express.Router();
 
@@ -126,7 +128,7 @@ router.post('/login', [
         profile: user.profile,
         preferences: user.preferences,
         favorites: user.favorites,
-        recentlyPlayed: user.recentlyPlayed.slice(0, 10) // Only send recent 10
+        recentlyPlayed: (await playEvents.getRecentlyPlayed(user._id, { limit: 10 })).tracks // Only send recent 10
       }
     });
   } catch (error) {
@@ -154,7 +156,7 @@ router.get('/me', auth, async (req, res) => {
         profile: user.profile,
         preferences: user.preferences,
         favorites: user.favorites,
-        recentlyPlayed: user.recentlyPlayed.slice(0, 20),
+        recentlyPlayed: (await playEvents.getRecentlyPlayed(user._id, { limit: 20 })).tracks,
         playlists: user.playlists
       }
     });
@@ -225,7 +227,19 @@ router.put('/preferences', auth, [
   body('volume')
     .optional()
     .isFloat({ min: 0, max: 1 })
-    .withMessage('Volume must be between 0 and 1')
+    .withMessage('Volume must be between 0 and 1'),
+  body('audioQuality.metered')
+    .optional()
+    .isIn(qualityIds)
+    .withMessage('Invalid audio quality for metered connections'),
+  body('audioQuality.unmetered')
+    .optional()
+    .isIn(qualityIds)
+    .withMessage('Invalid audio quality for unmetered connections'),
+  body('privacy.listeningStats')
+    .optional()
+    .isIn(['public', 'private'])
+    .withMessage('Listening stats visibility must be public or private')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -236,7 +250,7 @@ router.put('/preferences', auth, [
       });
     }
 
-    const { favoriteGenres, preferredMood, volume } = req.body;
+    const { favoriteGenres, preferredMood, volume, audioQuality, privacy } = req.body;
     const user = await User.findById(req.user._id);
 
     if (!user) {
@@ -247,6 +261,9 @@ router.put('/preferences', auth, [
     if (favoriteGenres !== undefined) user.preferences.favoriteGenres = favoriteGenres;
     if (preferredMood !== undefined) user.preferences.preferredMood = preferredMood;
     if (volume !== undefined) user.preferences.volume = volume;
+    if (audioQuality?.metered !== undefined) user.preferences.audioQuality.metered = audioQuality.metered;
+    if (audioQuality?.unmetered !== undefined) user.preferences.audioQuality.unmetered = audioQuality.unmetered;
+    if (privacy?.listeningStats !== undefined) user.preferences.privacy.listeningStats = privacy.listeningStats;
 
     await user.save();
 
@@ -1,25 +1,88 @@
 const express = require('express');
-const { query, param } = require('express-validator');
+const { query, param, body, validationResult } = require('express-validator');
 const musicAPI = require('../services/musicAPI');
-const { optionalAuth, auth } = require('../middleware/auth');
+const browse = require('../services/browse');
+const audioStream = require('../services/audioStream');
+const playEvents = require('../services/playEvents');
+const wrapped = require('../services/wrapped');
+const charts = require('../services/charts');
+const { speedIds } = require('../services/providers/moods');
+const { audioQualities, defaultQualities } = require('../services/providers/audioQualities');
+const { optionalAuth, auth, requireAdmin } = require('../middleware/auth');
+const { audioQuality } = require('../middleware/audioQuality');
 const User = require('../models/User');
+const PlayEvent = require('../models/PlayEvent');
+const { UpstreamError } = require('../services/upstream/errors');
 
 const router = express.Router();
 
+// Upstream failures with nothing cached to fall back on become 502/503
+const sendCatalogError = (res, error, message) => {
+  if (error instanceof UpstreamError) {
+    return res.status(error.statusCode).json({
+      message: 'Music catalog is temporarily unavailable',
+      provider: error.provider,
+      degraded: true
+    });
+  }
+  res.status(500).json({ message });
+};
+
+// Only accept provider names that are registered
+const providerValidator = query('provider').optional().custom(value => {
+  if (!musicAPI.providers.has(value)) {
+    throw new Error('Unknown catalog provider');
+  }
+  return true;
+});
+
+// Only accept the moods curated in BrowseCategory
+const moodValidator = query('mood').optional().custom(async value => {
+  if (!await musicAPI.getMoodTags(value)) {
+    throw new Error('Unknown mood');
+  }
+  return true;
+});
+
+// Comma-separated tag list, e.g. ?tags=rock,guitar
+const parseTags = (value) => (value ? value.split(',').map(tag => tag.trim()).filter(Boolean) : []);
+
+// List available catalog providers
+router.get('/providers', (req, res) => {
+  res.json({ providers: musicAPI.listProviders() });
+});
+
+// Streaming qualities users can choose from, and the defaults per connection type
+router.get('/audio-qualities', (req, res) => {
+  res.json({
+    qualities: Object.entries(audioQualities).map(([id, { name }]) => ({ id, name })),
+    defaults: defaultQualities
+  });
+});
+
 // Search tracks
 router.get('/search', [
   query('q').notEmpty().withMessage('Search query is required'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
   query('tags').optional().isString(),
-  query('mood').optional().isIn(['happy', 'sad', 'relaxed', 'energetic', 'focus', 'party', 'chill']),
-  query('speed').optional().isIn(['veryslow', 'slow', 'medium', 'fast', 'veryfast']),
+  moodValidator,
+  query('speed').optional().isIn(speedIds),
   query('vocalinstrumental').optional().isIn(['vocal', 'instrumental']),
   query('gender').optional().isIn(['male', 'female']),
-  query('lang').optional().isString()
-], optionalAuth, async (req, res) => {
+  query('lang').optional().isString(),
+  providerValidator
+], optionalAuth, audioQuality, async (req, res) => {
   try {
-    const { q, limit = 20, offset = 0, tags, mood, speed, vocalinstrumental, gender, lang } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { q, limit = 20, offset = 0, tags, mood, speed, vocalinstrumental, gender, lang, provider } = req.query;
 
     const options = {
       limit: parseInt(limit),
@@ -27,13 +90,19 @@ router.get('/search', [
     };
 
     if (tags) options.tags = tags;
-    if (mood) options.tags = (options.tags ? `${options.tags} ` : '') + mood;
+    // A mood matches any of its curated tags, as when browsing it
+    if (mood) options.anyTags = await musicAPI.getMoodTags(mood);
     if (speed) options.speed = speed;
     if (vocalinstrumental) options.vocalinstrumental = vocalinstrumental;
     if (gender) options.gender = gender;
     if (lang) options.lang = lang;
+    if (provider) options.provider = provider;
+    options.quality = req.audioQuality;
 
-    const result = await musicAPI.searchTracks(q, options);
+    // Search one provider when asked to, otherwise fan out to all of them
+    const result = provider
+      ? await musicAPI.searchTracks(q, options)
+      : await musicAPI.federatedSearch(q, options);
 
     res.json({
       query: q,
@@ -41,71 +110,203 @@ router.get('/search', [
     });
   } catch (error) {
     console.error('Search tracks error:', error);
-    res.status(500).json({ message: 'Error searching tracks' });
+    sendCatalogError(res, error, 'Error searching tracks');
   }
 });
 
 // Get track by ID
 router.get('/tracks/:id', [
   param('id').notEmpty().withMessage('Track ID is required')
-], optionalAuth, async (req, res) => {
+], optionalAuth, audioQuality, async (req, res) => {
   try {
     const { id } = req.params;
-    const track = await musicAPI.getTrackById(id);
+    const { track, source, degraded } = await musicAPI.getTrackDetail(id, { quality: req.audioQuality });
 
     if (!track) {
       return res.status(404).json({ message: 'Track not found' });
     }
 
-    // If user is authenticated, add to recently played
-    if (req.user) {
-      req.user.addToRecentlyPlayed({
-        trackId: track.id,
-        title: track.title,
-        artist: track.artist
-      });
-      await req.user.save();
+    res.json({ track, source, degraded });
+  } catch (error) {
+    console.error('Get track error:', error);
+    sendCatalogError(res, error, 'Error fetching track');
+  }
+});
+
+// Stream track audio. Local files are served directly and remote audio is
+// proxied; both honour Range and conditional requests.
+router.get('/tracks/:id/stream', [
+  param('id').notEmpty().withMessage('Track ID is required')
+], optionalAuth, audioQuality, async (req, res) => {
+  try {
+    const source = await musicAPI.getAudioSource(req.params.id, { quality: req.audioQuality });
+
+    if (!source) {
+      return res.status(404).json({ message: 'Audio not available' });
     }
 
-    res.json({ track });
+    await audioStream.stream(req, res, source);
   } catch (error) {
-    console.error('Get track error:', error);
-    res.status(500).json({ message: 'Error fetching track' });
+    console.error('Stream track error:', error);
+    if (res.headersSent) return res.destroy();
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ message: 'Audio not available' });
+    }
+    sendCatalogError(res, error, 'Error streaming track');
+  }
+});
+
+// Get track cover art
+router.get('/tracks/:id/cover', [
+  param('id').notEmpty().withMessage('Track ID is required')
+], async (req, res) => {
+  try {
+    const cover = await musicAPI.getCoverArt(req.params.id);
+
+    if (!cover) {
+      return res.status(404).json({ message: 'Cover art not found' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type(cover.format || 'image/jpeg');
+    res.send(cover.data);
+  } catch (error) {
+    console.error('Get cover art error:', error);
+    sendCatalogError(res, error, 'Error fetching cover art');
   }
 });
 
 // Get popular tracks
 router.get('/popular', [
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
-], async (req, res) => {
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+  providerValidator
+], optionalAuth, audioQuality, async (req, res) => {
   try {
-    const { limit = 20, offset = 0 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { limit = 20, offset = 0, provider } = req.query;
     const result = await musicAPI.getPopularTracks({
       limit: parseInt(limit),
-      offset: parseInt(offset)
+      offset: parseInt(offset),
+      provider,
+      quality: req.audioQuality
     });
 
     res.json(result);
   } catch (error) {
     console.error('Get popular tracks error:', error);
-    res.status(500).json({ message: 'Error fetching popular tracks' });
+    sendCatalogError(res, error, 'Error fetching popular tracks');
+  }
+});
+
+const chartFilterValidators = [
+  query('genre').optional().isString().trim().toLowerCase(),
+  query('mood').optional().isString().trim().toLowerCase()
+];
+
+// Top entries of the latest daily and weekly charts of in-app plays
+router.get('/charts', [
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
+  ...chartFilterValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { limit = 5, genre, mood } = req.query;
+    const filters = await charts.resolveFilters({ genre, mood });
+    if (!filters) {
+      return res.status(404).json({ message: 'Genre or mood not found' });
+    }
+
+    res.json({ charts: await charts.getOverview({ limit: parseInt(limit), filters }) });
+  } catch (error) {
+    console.error('Get charts error:', error);
+    res.status(500).json({ message: 'Error fetching charts' });
+  }
+});
+
+// One chart (daily or weekly; tracks, artists or playlists) with movement
+// against the previous period. `date` picks the day or week containing it.
+router.get('/charts/:period/:kind', [
+  param('period').isIn(charts.periodIds).withMessage(`Period must be one of: ${charts.periodIds.join(', ')}`),
+  param('kind').isIn(charts.kinds).withMessage(`Chart must be one of: ${charts.kinds.join(', ')}`),
+  query('date').optional().isISO8601().withMessage('date must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  ...chartFilterValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { period, kind } = req.params;
+    const { date, limit = 50, genre, mood } = req.query;
+    const filters = await charts.resolveFilters({ genre, mood });
+    if (!filters) {
+      return res.status(404).json({ message: 'Genre or mood not found' });
+    }
+
+    const chart = await charts.getChart(period, kind, {
+      date: date && new Date(date),
+      limit: parseInt(limit),
+      filters
+    });
+    if (!chart) {
+      return res.status(404).json({ message: 'Chart not found' });
+    }
+
+    res.json({ chart, filters: { genre: genre || null, mood: mood || null } });
+  } catch (error) {
+    console.error('Get chart error:', error);
+    res.status(500).json({ message: 'Error fetching chart' });
   }
 });
 
 // Get tracks by mood
 router.get('/mood/:mood', [
-  param('mood').isIn(['happy', 'sad', 'relaxed', 'energetic', 'focus', 'party', 'chill']).withMessage('Invalid mood'),
+  param('mood').notEmpty().withMessage('Mood is required'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
-], async (req, res) => {
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+  providerValidator
+], optionalAuth, audioQuality, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
     const { mood } = req.params;
-    const { limit = 20, offset = 0 } = req.query;
+    const { limit = 20, offset = 0, provider } = req.query;
+
+    if (!await musicAPI.getMoodTags(mood)) {
+      return res.status(404).json({ message: 'Mood not found' });
+    }
     
     const result = await musicAPI.getTracksByMood(mood, {
       limit: parseInt(limit),
-      offset: parseInt(offset)
+      offset: parseInt(offset),
+      provider,
+      quality: req.audioQuality
     });
 
     res.json({
@@ -114,7 +315,7 @@ router.get('/mood/:mood', [
     });
   } catch (error) {
     console.error('Get mood tracks error:', error);
-    res.status(500).json({ message: 'Error fetching mood tracks' });
+    sendCatalogError(res, error, 'Error fetching mood tracks');
   }
 });
 
@@ -122,13 +323,14 @@ router.get('/mood/:mood', [
 router.get('/recommendations', auth, [
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
-], async (req, res) => {
+], audioQuality, async (req, res) => {
   try {
     const { limit = 20, offset = 0 } = req.query;
     
     const result = await musicAPI.getRecommendations(req.user.preferences, {
       limit: parseInt(limit),
-      offset: parseInt(offset)
+      offset: parseInt(offset),
+      quality: req.audioQuality
     });
 
     res.json({
@@ -140,7 +342,7 @@ router.get('/recommendations', auth, [
     });
   } catch (error) {
     console.error('Get recommendations error:', error);
-    res.status(500).json({ message: 'Error fetching recommendations' });
+    sendCatalogError(res, error, 'Error fetching recommendations');
   }
 });
 
@@ -148,14 +350,24 @@ router.get('/recommendations', auth, [
 router.get('/artists/search', [
   query('q').notEmpty().withMessage('Search query is required'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+  providerValidator
 ], async (req, res) => {
   try {
-    const { q, limit = 20, offset = 0 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { q, limit = 20, offset = 0, provider } = req.query;
     
     const result = await musicAPI.searchArtists(q, {
       limit: parseInt(limit),
-      offset: parseInt(offset)
+      offset: parseInt(offset),
+      provider
     });
 
     res.json({
@@ -164,7 +376,7 @@ router.get('/artists/search', [
     });
   } catch (error) {
     console.error('Search artists error:', error);
-    res.status(500).json({ message: 'Error searching artists' });
+    sendCatalogError(res, error, 'Error searching artists');
   }
 });
 
@@ -174,16 +386,16 @@ router.get('/artists/:id', [
 ], async (req, res) => {
   try {
     const { id } = req.params;
-    const artist = await musicAPI.getArtistById(id);
+    const { artist, source, degraded } = await musicAPI.getArtistDetail(id);
 
     if (!artist) {
       return res.status(404).json({ message: 'Artist not found' });
     }
 
-    res.json({ artist });
+    res.json({ artist, source, degraded });
   } catch (error) {
     console.error('Get artist error:', error);
-    res.status(500).json({ message: 'Error fetching artist' });
+    sendCatalogError(res, error, 'Error fetching artist');
   }
 });
 
@@ -192,14 +404,15 @@ router.get('/artists/:id/tracks', [
   param('id').notEmpty().withMessage('Artist ID is required'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
-], async (req, res) => {
+], optionalAuth, audioQuality, async (req, res) => {
   try {
     const { id } = req.params;
     const { limit = 20, offset = 0 } = req.query;
     
     const result = await musicAPI.getTracksByArtist(id, {
       limit: parseInt(limit),
-      offset: parseInt(offset)
+      offset: parseInt(offset),
+      quality: req.audioQuality
     });
 
     res.json({
@@ -208,7 +421,184 @@ router.get('/artists/:id/tracks', [
     });
   } catch (error) {
     console.error('Get artist tracks error:', error);
-    res.status(500).json({ message: 'Error fetching artist tracks' });
+    sendCatalogError(res, error, 'Error fetching artist tracks');
+  }
+});
+
+// Get albums by artist
+router.get('/artists/:id/albums', [
+  param('id').notEmpty().withMessage('Artist ID is required'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit = 20, offset = 0 } = req.query;
+
+    const result = await musicAPI.getAlbumsByArtist(id, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      artistId: id,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get artist albums error:', error);
+    sendCatalogError(res, error, 'Error fetching artist albums');
+  }
+});
+
+// Search albums
+router.get('/albums/search', [
+  query('q').notEmpty().withMessage('Search query is required'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+  providerValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { q, limit = 20, offset = 0, provider } = req.query;
+
+    const result = await musicAPI.searchAlbums(q, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      provider
+    });
+
+    res.json({
+      query: q,
+      ...result
+    });
+  } catch (error) {
+    console.error('Search albums error:', error);
+    sendCatalogError(res, error, 'Error searching albums');
+  }
+});
+
+// Get album by ID
+router.get('/albums/:id', [
+  param('id').notEmpty().withMessage('Album ID is required')
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { album, source, degraded } = await musicAPI.getAlbumDetail(id);
+
+    if (!album) {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+
+    res.json({ album, source, degraded });
+  } catch (error) {
+    console.error('Get album error:', error);
+    sendCatalogError(res, error, 'Error fetching album');
+  }
+});
+
+// Get album tracks in album order
+router.get('/albums/:id/tracks', [
+  param('id').notEmpty().withMessage('Album ID is required'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+], optionalAuth, audioQuality, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit = 200, offset = 0 } = req.query;
+
+    const result = await musicAPI.getAlbumTracks(id, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      quality: req.audioQuality
+    });
+
+    if (!result.album) {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+
+    res.json({
+      albumId: id,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get album tracks error:', error);
+    sendCatalogError(res, error, 'Error fetching album tracks');
+  }
+});
+
+// Add album to favorites
+router.post('/favorites/albums/:albumId', auth, [
+  param('albumId').notEmpty().withMessage('Album ID is required')
+], async (req, res) => {
+  try {
+    const album = await musicAPI.getAlbumById(req.params.albumId);
+    if (!album) {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+
+    req.user.addAlbumToFavorites({
+      albumId: album.id,
+      name: album.name,
+      artist: album.artist,
+      imageUrl: album.imageUrl
+    });
+    await req.user.save();
+
+    res.json({
+      message: 'Album added to favorites',
+      album: {
+        id: album.id,
+        name: album.name,
+        artist: album.artist,
+        imageUrl: album.imageUrl
+      }
+    });
+  } catch (error) {
+    console.error('Add album to favorites error:', error);
+    sendCatalogError(res, error, 'Error adding album to favorites');
+  }
+});
+
+// Remove album from favorites
+router.delete('/favorites/albums/:albumId', auth, [
+  param('albumId').notEmpty().withMessage('Album ID is required')
+], async (req, res) => {
+  try {
+    req.user.removeAlbumFromFavorites(req.params.albumId);
+    await req.user.save();
+
+    res.json({ message: 'Album removed from favorites' });
+  } catch (error) {
+    console.error('Remove album from favorites error:', error);
+    res.status(500).json({ message: 'Error removing album from favorites' });
+  }
+});
+
+// Get user's favorite albums
+router.get('/favorites/albums', auth, [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+], async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+    const albums = req.user.favorites.albums
+      .slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+
+    res.json({
+      albums,
+      total: req.user.favorites.albums.length,
+      hasMore: parseInt(offset) + parseInt(limit) < req.user.favorites.albums.length
+    });
+  } catch (error) {
+    console.error('Get favorite albums error:', error);
+    res.status(500).json({ message: 'Error fetching favorite albums' });
   }
 });
 
@@ -243,7 +633,7 @@ router.post('/favorites/:trackId', auth, [
     });
   } catch (error) {
     console.error('Add to favorites error:', error);
-    res.status(500).json({ message: 'Error adding track to favorites' });
+    sendCatalogError(res, error, 'Error adding track to favorites');
   }
 });
 
@@ -285,78 +675,275 @@ router.get('/favorites', auth, [
   }
 });
 
-// Get user's recently played tracks
-router.get('/recently-played', auth, [
-  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+// Validators for a play event at `prefix` in the request body
+const playEventValidators = (prefix = '') => [
+  body(`${prefix}trackId`).notEmpty().withMessage('Track ID is required'),
+  body(`${prefix}type`).isIn(['start', 'progress', 'complete', 'skip']).withMessage('Invalid play event type'),
+  body(`${prefix}playId`).optional().isString().isLength({ max: 100 }),
+  body(`${prefix}eventId`).optional().isString().isLength({ min: 1, max: 100 }),
+  body(`${prefix}position`).optional().isFloat({ min: 0 }).withMessage('Position must be non-negative'),
+  body(`${prefix}secondsListened`).optional().isFloat({ min: 0 }).withMessage('Seconds listened must be non-negative'),
+  body(`${prefix}context.type`).optional().isIn(PlayEvent.contextTypes).withMessage('Invalid play context'),
+  body(`${prefix}context.id`).optional().isString(),
+  body(`${prefix}device.type`).optional().isIn(PlayEvent.deviceTypes).withMessage('Invalid device type'),
+  body(`${prefix}device.id`).optional().isString().isLength({ max: 100 }),
+  body(`${prefix}device.name`).optional().isString().isLength({ max: 100 }),
+  body(`${prefix}occurredAt`).optional().isISO8601().withMessage('occurredAt must be an ISO 8601 date'),
+  body(`${prefix}track.title`).optional().isString(),
+  body(`${prefix}track.artist`).optional().isString()
+];
+
+// Pick the accepted fields of a play event from the request body
+const playEventFields = ({ eventId, trackId, type, playId, position, secondsListened, context, device, occurredAt, track }) => ({
+  eventId,
+  trackId,
+  type,
+  playId,
+  position,
+  secondsListened,
+  context,
+  device,
+  occurredAt,
+  track: track && { title: track.title, artist: track.artist }
+});
+
+const playEventJSON = (event) => event && {
+  id: event._id,
+  eventId: event.eventId,
+  playId: event.playId,
+  type: event.type,
+  trackId: event.trackId,
+  occurredAt: event.occurredAt
+};
+
+// Record a listening event from the player
+router.post('/plays', auth, playEventValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const result = await playEvents.record(req.user._id, playEventFields(req.body));
+
+    if (result.status === 'rejected') {
+      return res.status(result.error === 'Track not found' ? 404 : 400).json({ message: result.error });
+    }
+
+    if (result.status === 'duplicate') {
+      return res.json({ message: 'Play event already recorded', event: playEventJSON(result.event) });
+    }
+
+    res.status(201).json({
+      message: 'Play event recorded',
+      event: playEventJSON(result.event)
+    });
+  } catch (error) {
+    console.error('Record play error:', error);
+    res.status(500).json({ message: 'Error recording play' });
+  }
+});
+
+// Record listening events queued by a player, e.g. while it was offline.
+// Safe to retry: events already stored are reported as duplicates.
+router.post('/plays/batch', auth, [
+  body('events').isArray({ min: 1, max: 100 }).withMessage('Events must be an array of 1 to 100 events'),
+  body('events.*.eventId').isString().isLength({ min: 1, max: 100 }).withMessage('Event ID is required'),
+  body('events.*.playId').isString().isLength({ min: 1, max: 100 }).withMessage('Play ID is required'),
+  body('events.*.occurredAt').isISO8601().withMessage('occurredAt must be an ISO 8601 date'),
+  ...playEventValidators('events.*.')
 ], async (req, res) => {
   try {
-    const { limit = 20 } = req.query;
-    const recentlyPlayed = req.user.recentlyPlayed.slice(0, parseInt(limit));
+    // A malformed event is rejected on its own so the rest of the batch is
+    // still recorded; only a malformed batch is refused as a whole
+    const errors = validationResult(req).array();
+    const invalid = new Map();
+    const batchErrors = errors.filter(error => {
+      const match = /^events\[(\d+)\]/.exec(error.path);
+      if (match && !invalid.has(Number(match[1]))) invalid.set(Number(match[1]), error.msg);
+      return !match;
+    });
+    if (batchErrors.length) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: batchErrors 
+      });
+    }
+
+    const batch = await playEvents.recordBatch(
+      req.user._id,
+      req.body.events.filter((event, index) => !invalid.has(index)).map(playEventFields)
+    );
+    const recordedResults = batch.results.values();
+    const results = req.body.events.map((event, index) => (invalid.has(index)
+      ? { eventId: typeof event?.eventId === 'string' ? event.eventId : undefined, status: 'rejected', error: invalid.get(index) }
+      : recordedResults.next().value));
 
     res.json({
-      tracks: recentlyPlayed,
-      total: req.user.recentlyPlayed.length
+      recorded: batch.recorded,
+      duplicates: batch.duplicates,
+      rejected: batch.rejected + invalid.size,
+      results: results.map(({ eventId, status, event, error }) => ({
+        eventId,
+        status,
+        ...(event && { id: event._id }),
+        ...(error && { error })
+      }))
+    });
+  } catch (error) {
+    console.error('Record play batch error:', error);
+    res.status(500).json({ message: 'Error recording plays' });
+  }
+});
+
+// Get user's recently played tracks
+router.get('/recently-played', auth, [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+], async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+    const result = await playEvents.getRecentlyPlayed(req.user._id, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
     });
+
+    res.json(result);
   } catch (error) {
     console.error('Get recently played error:', error);
     res.status(500).json({ message: 'Error fetching recently played tracks' });
   }
 });
 
-// Get genres/categories
-router.get('/genres', async (req, res) => {
-  try {
-    // Static list of available genres/moods for the frontend
-    const genres = [
-      {
-        id: 'popular',
-        name: 'Popular',
-        description: 'Most popular tracks right now',
-        mood: null
-      },
-      {
-        id: 'happy',
-        name: 'Happy',
-        description: 'Upbeat and joyful music',
-        mood: 'happy'
-      },
-      {
-        id: 'relaxed',
-        name: 'Chill & Relaxed',
-        description: 'Perfect for unwinding',
-        mood: 'relaxed'
-      },
-      {
-        id: 'energetic',
-        name: 'Energetic',
-        description: 'High energy tracks to pump you up',
-        mood: 'energetic'
-      },
-      {
-        id: 'focus',
-        name: 'Focus',
-        description: 'Instrumental music for concentration',
-        mood: 'focus'
-      },
-      {
-        id: 'party',
-        name: 'Party',
-        description: 'Dance and party music',
-        mood: 'party'
-      },
-      {
-        id: 'sad',
-        name: 'Melancholy',
-        description: 'Emotional and contemplative',
-        mood: 'sad'
-      },
-      {
-        id: 'chill',
-        name: 'Chill',
-        description: 'Laid-back ambient vibes',
-        mood: 'chill'
-      }
-    ];
+// Catalog cache statistics (admin)
+router.get('/admin/cache', auth, requireAdmin, (req, res) => {
+  res.json({ cache: musicAPI.getCacheStats() });
+});
+
+// Upstream concurrency and daily quota usage (admin)
+router.get('/admin/upstream', auth, requireAdmin, (req, res) => {
+  res.json({ providers: musicAPI.getUpstreamUsage() });
+});
+
+// Bytes streamed per day and most streamed tracks (admin)
+router.get('/admin/streams', auth, requireAdmin, [
+  query('days').optional().isInt({ min: 1, max: 90 }).withMessage('Days must be between 1 and 90')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const stats = await audioStream.getStats({ days: parseInt(req.query.days) || 7 });
+    res.json(stats);
+  } catch (error) {
+    console.error('Get stream stats error:', error);
+    res.status(500).json({ message: 'Error fetching stream statistics' });
+  }
+});
+
+// Purge catalog cache entries (admin)
+router.delete('/admin/cache', auth, requireAdmin, [
+  query('endpoint').optional().isString(),
+  query('provider').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { endpoint, provider } = req.query;
+    const removed = await musicAPI.purgeCache({ endpoint, provider });
+
+    res.json({
+      message: 'Cache purged',
+      removed,
+      cache: musicAPI.getCacheStats()
+    });
+  } catch (error) {
+    console.error('Purge cache error:', error);
+    res.status(500).json({ message: 'Error purging cache' });
+  }
+});
+
+// Browse filters (speeds, vocal/instrumental)
+router.get('/browse/filters', (req, res) => {
+  res.json(browse.getFilters());
+});
+
+// Browse tracks by a combination of tags, speed and vocal/instrumental
+router.get('/browse', [
+  query('tags').optional().isString(),
+  query('anyTags').optional().isString(),
+  query('speed').optional().isIn(speedIds).withMessage('Invalid speed'),
+  query('vocalInstrumental').optional().isIn(['vocal', 'instrumental']).withMessage('Invalid vocal/instrumental filter'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+  providerValidator
+], optionalAuth, audioQuality, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { speed, vocalInstrumental, limit = 20, offset = 0, provider } = req.query;
+    const filters = {
+      tags: parseTags(req.query.tags),
+      anyTags: parseTags(req.query.anyTags),
+      speed,
+      vocalInstrumental
+    };
+
+    const result = await musicAPI.browseTracks(filters, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      provider,
+      quality: req.audioQuality
+    });
+
+    res.json({
+      filters,
+      ...result
+    });
+  } catch (error) {
+    console.error('Browse tracks error:', error);
+    sendCatalogError(res, error, 'Error browsing tracks');
+  }
+});
+
+// Get genres built from the catalog, with track counts
+router.get('/genres', [
+  query('parent').optional().isString(),
+  query('includeSubgenres').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const genres = await browse.listCategories('genre', {
+      parent: req.query.parent,
+      includeSubgenres: req.query.includeSubgenres === 'true'
+    });
 
     res.json({ genres });
   } catch (error) {
@@ -365,4 +952,231 @@ router.get('/genres', async (req, res) => {
   }
 });
 
+// Get a genre with its sub-genres
+router.get('/genres/:id', [
+  param('id').notEmpty().withMessage('Genre ID is required')
+], async (req, res) => {
+  try {
+    const genre = await browse.getCategory('genre', req.params.id);
+    if (!genre) {
+      return res.status(404).json({ message: 'Genre not found' });
+    }
+
+    res.json({
+      genre: genre.toBrowseJSON(),
+      subgenres: await browse.getSubgenres(genre.slug)
+    });
+  } catch (error) {
+    console.error('Get genre error:', error);
+    res.status(500).json({ message: 'Error fetching genre' });
+  }
+});
+
+// Get tracks in a genre or sub-genre
+router.get('/genres/:id/tracks', [
+  param('id').notEmpty().withMessage('Genre ID is required'),
+  query('includeSubgenres').optional().isBoolean(),
+  query('speed').optional().isIn(speedIds).withMessage('Invalid speed'),
+  query('vocalInstrumental').optional().isIn(['vocal', 'instrumental']).withMessage('Invalid vocal/instrumental filter'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+  providerValidator
+], optionalAuth, audioQuality, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const genre = await browse.getCategory('genre', req.params.id);
+    if (!genre) {
+      return res.status(404).json({ message: 'Genre not found' });
+    }
+
+    const { speed, vocalInstrumental, limit = 20, offset = 0, provider } = req.query;
+    const result = await browse.getCategoryTracks(genre, {
+      includeSubgenres: req.query.includeSubgenres === 'true',
+      speed,
+      vocalInstrumental,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      provider,
+      quality: req.audioQuality
+    });
+
+    res.json({
+      genre: genre.slug,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get genre tracks error:', error);
+    sendCatalogError(res, error, 'Error fetching genre tracks');
+  }
+});
+
+// Get moods
+router.get('/moods', async (req, res) => {
+  try {
+    const moods = await browse.listCategories('mood');
+    res.json({ moods });
+  } catch (error) {
+    console.error('Get moods error:', error);
+    res.status(500).json({ message: 'Error fetching moods' });
+  }
+});
+
+const categoryValidators = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('tags').optional().isArray({ min: 1 }).withMessage('Tags must be a non-empty array'),
+  body('tags.*').optional().isString().withMessage('Tags must be strings'),
+  body('parent').optional({ nullable: true }).isString().withMessage('Parent must be a genre ID'),
+  body('imageUrl').optional().isString(),
+  body('hidden').optional().isBoolean(),
+  body('sortOrder').optional().isInt().withMessage('Sort order must be an integer')
+];
+
+// List all browse categories, including hidden ones (admin)
+router.get('/admin/categories', auth, requireAdmin, [
+  query('type').optional().isIn(['genre', 'mood']).withMessage('Invalid category type')
+], async (req, res) => {
+  try {
+    res.json({ categories: await browse.listAllCategories(req.query.type) });
+  } catch (error) {
+    console.error('List categories error:', error);
+    res.status(500).json({ message: 'Error fetching categories' });
+  }
+});
+
+// Rebuild genre categories and track counts from the catalog (admin)
+router.post('/admin/categories/refresh', auth, requireAdmin, async (req, res) => {
+  try {
+    const result = await browse.refresh();
+    res.json({ message: 'Categories refreshed', ...result });
+  } catch (error) {
+    console.error('Refresh categories error:', error);
+    res.status(500).json({ message: 'Error refreshing categories' });
+  }
+});
+
+// Recompute the latest charts now (admin)
+router.post('/admin/charts/refresh', auth, requireAdmin, async (req, res) => {
+  try {
+    const result = await charts.refresh();
+    res.json({ message: 'Charts refreshed', ...result });
+  } catch (error) {
+    console.error('Refresh charts error:', error);
+    res.status(500).json({ message: 'Error refreshing charts' });
+  }
+});
+
+// Generate year in review recaps now instead of waiting for the job (admin)
+router.post('/admin/wrapped/:year', auth, requireAdmin, [
+  param('year').isInt({ min: 2000, max: 9999 }).withMessage('Invalid year')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const result = await wrapped.run(parseInt(req.params.year));
+    res.json({ message: 'Recaps generated', ...result });
+  } catch (error) {
+    console.error('Generate wrapped error:', error);
+    res.status(500).json({ message: 'Error generating recaps' });
+  }
+});
+
+// Create a curated genre or mood (admin)
+router.post('/admin/categories', auth, requireAdmin, [
+  body('type').isIn(['genre', 'mood']).withMessage('Type must be genre or mood'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('slug').optional().isString(),
+  ...categoryValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const category = await browse.createCategory(req.body);
+    if (!category) {
+      return res.status(409).json({ message: 'A category with this ID already exists' });
+    }
+
+    res.status(201).json({
+      message: 'Category created',
+      category: category.toBrowseJSON()
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ message: 'Error creating category' });
+  }
+});
+
+// Curate a category's name, description, tags, parent or visibility (admin)
+router.patch('/admin/categories/:type/:id', auth, requireAdmin, [
+  param('type').isIn(['genre', 'mood']).withMessage('Invalid category type'),
+  ...categoryValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const category = await browse.updateCategory(req.params.type, req.params.id, req.body);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    res.json({
+      message: 'Category updated',
+      category: category.toBrowseJSON()
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ message: 'Error updating category' });
+  }
+});
+
+// Delete an admin-created category, or hide a catalog one (admin)
+router.delete('/admin/categories/:type/:id', auth, requireAdmin, [
+  param('type').isIn(['genre', 'mood']).withMessage('Invalid category type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const outcome = await browse.removeCategory(req.params.type, req.params.id);
+    if (!outcome) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    res.json({ message: outcome === 'deleted' ? 'Category deleted' : 'Category hidden' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ message: 'Error deleting category' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,10 +3,70 @@ const { body, query, param, validationResult } = require('express-validator');
 const Playlist = require('../models/Playlist');
 const User = require('../models/User');
 const { auth, optionalAuth } = require('../middleware/auth');
+const { singleFileUpload } = require('../middleware/upload');
 const musicAPI = require('../services/musicAPI');
+const { UpstreamError } = require('../services/upstream/errors');
+const collaborators = require('../services/playlistCollaborators');
+const notifications = require('../services/notifications');
+const revisions = require('../services/playlistRevisions');
+const smartPlaylists = require('../services/smartPlaylists');
+const playlistImport = require('../services/playlistImport');
+const playlistImports = require('../services/playlistImports');
+const forks = require('../services/playlistForks');
+const folders = require('../services/playlistFolders');
+const playlistBatch = require('../services/playlistBatch');
+const { externalFormats } = require('../services/externalPlaylists');
+const { playlistFormats, exportPlaylist } = require('../services/playlistFormats');
+const { PlaylistError, isOwner, loadPlaylist } = require('../services/playlistAccess');
 
 const router = express.Router();
 
+// Playlist errors carry their status; anything else is a 500
+const sendPlaylistError = (res, error, context, message) => {
+  if (error instanceof PlaylistError) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`${context} error:`, error);
+  res.status(500).json({ message });
+};
+
+// Listings only need the number of tracks, so tracks are loaded as bare ids
+// and followers not at all
+const listingProjection = ['title', 'artist', 'duration', 'audioUrl', 'imageUrl', 'addedAt', 'addedBy']
+  .reduce((projection, field) => ({ ...projection, [`tracks.${field}`]: 0 }), { followers: 0 });
+
+const publicSorts = {
+  plays: { playCount: -1, updatedAt: -1 },
+  followers: { followerCount: -1, playCount: -1 },
+  recent: { updatedAt: -1 }
+};
+
+// Smart playlist rules; null turns a smart playlist back into a normal one
+const smartValidator = body('smart').optional({ nullable: true }).custom(value => {
+  smartPlaylists.validateSmart(value);
+  return true;
+});
+
+// Tracks of smart playlists are generated, so they cannot be edited by hand
+const rejectSmart = (res, playlist) => {
+  if (!playlist.isSmart()) return false;
+  res.status(400).json({ message: 'Tracks of a smart playlist come from its rules' });
+  return true;
+};
+
+// Generate a smart playlist's tracks after its rules changed. A failure
+// leaves the tracks for the scheduled refresh to fill in.
+const refreshSmart = (playlist, userId) => smartPlaylists.refresh(playlist, userId).catch(error => {
+  console.error(`Smart playlist refresh error (${playlist._id}):`, error);
+});
+
+const uploadPlaylistFile = singleFileUpload(parseInt(process.env.PLAYLIST_IMPORT_MAX_BYTES) || 5 * 1024 * 1024);
+
+// Where exported files point players for streaming
+const publicBaseUrl = (req) => process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+
+const permissionsValidator = (field) => body(field).optional().isIn(['view', 'edit']).withMessage('Permissions must be view or edit');
+
 // Create playlist
 router.post('/', auth, [
   body('name').notEmpty().isLength({ max: 100 }).withMessage('Playlist name is required and must be under 100 characters'),
@@ -15,7 +75,8 @@ router.post('/', auth, [
   body('collaborative').optional().isBoolean().withMessage('collaborative must be a boolean'),
   body('mood').optional().isIn(['happy', 'sad', 'relaxed', 'energetic', 'focus', 'party', 'chill', 'mixed']).withMessage('Invalid mood'),
   body('genre').optional().isString().withMessage('Genre must be a string'),
-  body('coverImage').optional().isURL().withMessage('Cover image must be a valid URL')
+  body('coverImage').optional().isURL().withMessage('Cover image must be a valid URL'),
+  smartValidator
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -26,7 +87,7 @@ router.post('/', auth, [
       });
     }
 
-    const { name, description, isPublic, collaborative, mood, genre, coverImage } = req.body;
+    const { name, description, isPublic, collaborative, mood, genre, coverImage, smart } = req.body;
 
     const playlist = new Playlist({
       name,
@@ -36,10 +97,13 @@ router.post('/', auth, [
       collaborative: collaborative || false,
       mood: mood || 'mixed',
       genre: genre || '',
-      coverImage: coverImage || ''
+      coverImage: coverImage || '',
+      smart: smart ? smartPlaylists.validateSmart(smart) : undefined
     });
 
     await playlist.save();
+    await revisions.record(playlist, req.user._id, 'create', null);
+    if (playlist.isSmart()) await refreshSmart(playlist, req.user._id);
 
     // Add playlist to user's playlists
     req.user.playlists.push(playlist._id);
@@ -58,6 +122,7 @@ router.post('/', auth, [
         mood: playlist.mood,
         genre: playlist.genre,
         coverImage: playlist.coverImage,
+        smart: smartPlaylists.toJSON(playlist.smart),
         createdAt: playlist.createdAt
       }
     });
@@ -70,25 +135,35 @@ router.post('/', auth, [
 // Get user's playlists
 router.get('/my', auth, [
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+  query('role').optional().isIn(['all', 'owned', 'collaborating']).withMessage('Role must be all, owned or collaborating')
 ], async (req, res) => {
   try {
-    const { limit = 20, offset = 0 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { limit = 20, offset = 0, role = 'all' } = req.query;
+    const userId = req.user._id;
+
+    // Playlists shared with the user are listed next to their own
+    const filter = { isActive: true };
+    if (role === 'owned') filter.owner = userId;
+    else if (role === 'collaborating') filter['collaborators.user'] = userId;
+    else filter.$or = [{ owner: userId }, { 'collaborators.user': userId }];
 
-    const playlists = await Playlist.find({ 
-      owner: req.user._id, 
-      isActive: true 
-    })
+    const playlists = await Playlist.find(filter)
     .sort({ updatedAt: -1 })
     .limit(parseInt(limit))
     .skip(parseInt(offset))
     .populate('owner', 'username profile.displayName')
-    .select('-tracks');
+    .select(listingProjection);
 
-    const total = await Playlist.countDocuments({ 
-      owner: req.user._id, 
-      isActive: true 
-    });
+    const total = await Playlist.countDocuments(filter);
 
     res.json({
       playlists: playlists.map(p => ({
@@ -103,10 +178,16 @@ router.get('/my', auth, [
         genre: p.genre,
         coverImage: p.coverImage,
         playCount: p.playCount,
+        followerCount: p.followerCount,
+        forkCount: p.forkCount,
         lastPlayed: p.lastPlayed,
         createdAt: p.createdAt,
         updatedAt: p.updatedAt,
-        owner: p.owner
+        owner: p.owner,
+        role: p.ownerId() === userId.toString() ? 'owner' : 'collaborator',
+        permissions: p.getCollaborator(userId)?.permissions,
+        collaboratorCount: p.collaborators.length,
+        isSmart: p.isSmart()
       })),
       total,
       hasMore: offset + limit < total
@@ -122,10 +203,19 @@ router.get('/public', [
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
   query('mood').optional().isIn(['happy', 'sad', 'relaxed', 'energetic', 'focus', 'party', 'chill', 'mixed']).withMessage('Invalid mood'),
-  query('genre').optional().isString().withMessage('Genre must be a string')
+  query('genre').optional().isString().withMessage('Genre must be a string'),
+  query('sort').optional().isIn(Object.keys(publicSorts)).withMessage('Sort must be plays, followers or recent')
 ], async (req, res) => {
   try {
-    const { limit = 20, offset = 0, mood, genre } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { limit = 20, offset = 0, mood, genre, sort = 'plays' } = req.query;
 
     const filter = { 
       isPublic: true, 
@@ -137,11 +227,11 @@ router.get('/public', [
     if (genre) filter.genre = new RegExp(genre, 'i');
 
     const playlists = await Playlist.find(filter)
-    .sort({ playCount: -1, updatedAt: -1 })
+    .sort(publicSorts[sort])
     .limit(parseInt(limit))
     .skip(parseInt(offset))
     .populate('owner', 'username profile.displayName profile.avatar')
-    .select('-tracks');
+    .select(listingProjection);
 
     const total = await Playlist.countDocuments(filter);
 
@@ -156,6 +246,8 @@ router.get('/public', [
         genre: p.genre,
         coverImage: p.coverImage,
         playCount: p.playCount,
+        followerCount: p.followerCount,
+        forkCount: p.forkCount,
         lastPlayed: p.lastPlayed,
         createdAt: p.createdAt,
         owner: {
@@ -174,78 +266,69 @@ router.get('/public', [
   }
 });
 
-// Get playlist by ID
-router.get('/:id', optionalAuth, [
-  param('id').isMongoId().withMessage('Invalid playlist ID')
+// Playlists the signed-in user follows and can still see
+router.get('/followed', auth, [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
 ], async (req, res) => {
   try {
-    const { id } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
 
-    const playlist = await Playlist.findById(id)
-      .populate('owner', 'username profile.displayName profile.avatar')
-      .populate('collaborators.user', 'username profile.displayName profile.avatar');
+    const { limit = 20, offset = 0 } = req.query;
+    const userId = req.user._id;
 
-    if (!playlist || !playlist.isActive) {
-      return res.status(404).json({ message: 'Playlist not found' });
-    }
+    const filter = {
+      followers: userId,
+      isActive: true,
+      $or: [{ isPublic: true }, { owner: userId }, { 'collaborators.user': userId }]
+    };
 
-    // Check if user can view this playlist
-    if (!playlist.canView(req.user?._id)) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+    const playlists = await Playlist.find(filter)
+      .sort({ updatedAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset))
+      .populate('owner', 'username profile.displayName profile.avatar')
+      .select(listingProjection);
+
+    const total = await Playlist.countDocuments(filter);
 
     res.json({
-      playlist: {
-        id: playlist._id,
-        name: playlist.name,
-        description: playlist.description,
-        tracks: playlist.tracks,
-        trackCount: playlist.tracks.length,
-        totalDuration: playlist.totalDuration,
-        isPublic: playlist.isPublic,
-        collaborative: playlist.collaborative,
-        mood: playlist.mood,
-        genre: playlist.genre,
-        coverImage: playlist.coverImage,
-        playCount: playlist.playCount,
-        lastPlayed: playlist.lastPlayed,
-        createdAt: playlist.createdAt,
-        updatedAt: playlist.updatedAt,
-        owner: {
-          id: playlist.owner._id,
-          username: playlist.owner.username,
-          displayName: playlist.owner.profile?.displayName || playlist.owner.username,
-          avatar: playlist.owner.profile?.avatar || ''
-        },
-        collaborators: playlist.collaborators.map(c => ({
-          user: {
-            id: c.user._id,
-            username: c.user.username,
-            displayName: c.user.profile?.displayName || c.user.username,
-            avatar: c.user.profile?.avatar || ''
-          },
-          permissions: c.permissions,
-          addedAt: c.addedAt
-        })),
-        canEdit: playlist.canEdit(req.user?._id)
-      }
+      playlists: playlists.map(p => ({
+        id: p._id,
+        name: p.name,
+        description: p.description,
+        trackCount: p.tracks.length,
+        totalDuration: p.totalDuration,
+        mood: p.mood,
+        genre: p.genre,
+        coverImage: p.coverImage,
+        playCount: p.playCount,
+        followerCount: p.followerCount,
+        createdAt: p.createdAt,
+        updatedAt: p.updatedAt,
+        owner: collaborators.userJSON(p.owner)
+      })),
+      total,
+      hasMore: parseInt(offset) + parseInt(limit) < total
     });
   } catch (error) {
-    console.error('Get playlist error:', error);
-    res.status(500).json({ message: 'Error fetching playlist' });
+    console.error('Get followed playlists error:', error);
+    res.status(500).json({ message: 'Error fetching followed playlists' });
   }
 });
 
-// Update playlist
-router.put('/:id', auth, [
-  param('id').isMongoId().withMessage('Invalid playlist ID'),
+// Create a playlist from an M3U8, XSPF or JSPF file, sent as a "file"
+// upload or as `content`
+router.post('/import', auth, uploadPlaylistFile, [
+  body('format').optional().isIn(playlistFormats).withMessage(`Format must be one of: ${playlistFormats.join(', ')}`),
   body('name').optional().isLength({ min: 1, max: 100 }).withMessage('Playlist name must be between 1 and 100 characters'),
-  body('description').optional().isLength({ max: 500 }).withMessage('Description must be under 500 characters'),
-  body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean'),
-  body('collaborative').optional().isBoolean().withMessage('collaborative must be a boolean'),
-  body('mood').optional().isIn(['happy', 'sad', 'relaxed', 'energetic', 'focus', 'party', 'chill', 'mixed']).withMessage('Invalid mood'),
-  body('genre').optional().isString().withMessage('Genre must be a string'),
-  body('coverImage').optional().isURL().withMessage('Cover image must be a valid URL')
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean').toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -256,57 +339,42 @@ router.put('/:id', auth, [
       });
     }
 
-    const { id } = req.params;
-    const playlist = await Playlist.findById(id);
-
-    if (!playlist || !playlist.isActive) {
-      return res.status(404).json({ message: 'Playlist not found' });
-    }
-
-    if (!playlist.canEdit(req.user._id)) {
-      return res.status(403).json({ message: 'Permission denied' });
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ message: 'A playlist file is required' });
     }
 
-    const { name, description, isPublic, collaborative, mood, genre, coverImage } = req.body;
-
-    if (name !== undefined) playlist.name = name;
-    if (description !== undefined) playlist.description = description;
-    if (isPublic !== undefined) playlist.isPublic = isPublic;
-    if (collaborative !== undefined) playlist.collaborative = collaborative;
-    if (mood !== undefined) playlist.mood = mood;
-    if (genre !== undefined) playlist.genre = genre;
-    if (coverImage !== undefined) playlist.coverImage = coverImage;
-
-    await playlist.save();
+    const { playlist, report } = await playlistImport.importFile(req.user, {
+      content,
+      format: req.body.format,
+      name: req.body.name,
+      isPublic: req.body.isPublic
+    });
 
-    res.json({
-      message: 'Playlist updated successfully',
+    res.status(201).json({
+      message: 'Playlist imported',
       playlist: {
         id: playlist._id,
         name: playlist.name,
-        description: playlist.description,
         isPublic: playlist.isPublic,
-        collaborative: playlist.collaborative,
-        mood: playlist.mood,
-        genre: playlist.genre,
-        coverImage: playlist.coverImage
-      }
+        trackCount: playlist.tracks.length,
+        totalDuration: playlist.totalDuration
+      },
+      report
     });
   } catch (error) {
-    console.error('Update playlist error:', error);
-    res.status(500).json({ message: 'Error updating playlist' });
+    sendPlaylistError(res, error, 'Import playlist', 'Error importing playlist');
   }
 });
 
-// Add track to playlist
-router.post('/:id/tracks', auth, [
-  param('id').isMongoId().withMessage('Invalid playlist ID'),
-  body('trackId').notEmpty().withMessage('Track ID is required'),
-  body('title').notEmpty().withMessage('Track title is required'),
-  body('artist').notEmpty().withMessage('Track artist is required'),
-  body('duration').optional().isInt({ min: 0 }).withMessage('Duration must be a positive integer'),
-  body('audioUrl').optional().isURL().withMessage('Audio URL must be valid'),
-  body('imageUrl').optional().isURL().withMessage('Image URL must be valid')
+// Import a playlist exported from another streaming service, a JSON or
+// CSV "file" upload or `content`. Rows are matched to the catalog in the
+// background; poll the import, then confirm it to create the playlist.
+router.post('/imports', auth, uploadPlaylistFile, [
+  body('format').optional().isIn(externalFormats).withMessage(`Format must be one of: ${externalFormats.join(', ')}`),
+  body('playlist').optional().isString().withMessage('playlist must be the name of a playlist in the export'),
+  body('name').optional().isLength({ min: 1, max: 100 }).withMessage('Playlist name must be between 1 and 100 characters'),
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean').toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -317,95 +385,75 @@ router.post('/:id/tracks', auth, [
       });
     }
 
-    const { id } = req.params;
-    const { trackId, title, artist, duration, audioUrl, imageUrl } = req.body;
-
-    const playlist = await Playlist.findById(id);
-
-    if (!playlist || !playlist.isActive) {
-      return res.status(404).json({ message: 'Playlist not found' });
-    }
-
-    if (!playlist.canEdit(req.user._id)) {
-      return res.status(403).json({ message: 'Permission denied' });
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ message: 'An export file is required' });
     }
 
-    // Get full track details from music API
-    const trackDetails = await musicAPI.getTrackById(trackId);
-    const trackData = trackDetails || {
-      id: trackId,
-      title,
-      artist,
-      duration: duration || 0,
-      audioUrl: audioUrl || '',
-      imageUrl: imageUrl || ''
-    };
+    const job = await playlistImports.create(req.user._id, {
+      content,
+      format: req.body.format,
+      fileName: req.file?.originalname,
+      playlist: req.body.playlist,
+      name: req.body.name,
+      isPublic: req.body.isPublic
+    });
 
-    try {
-      playlist.addTrack(trackData, req.user._id);
-      await playlist.save();
+    res.status(202).json({
+      message: 'Playlist import started',
+      import: playlistImports.toJSON(job)
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Playlist import', 'Error importing playlist');
+  }
+});
 
-      res.json({
-        message: 'Track added to playlist',
-        track: {
-          trackId: trackData.id,
-          title: trackData.title,
-          artist: trackData.artist,
-          duration: trackData.duration,
-          audioUrl: trackData.audioUrl,
-          imageUrl: trackData.imageUrl
-        },
-        totalTracks: playlist.tracks.length,
-        totalDuration: playlist.totalDuration
-      });
-    } catch (addError) {
-      if (addError.message === 'Track already exists in playlist') {
-        return res.status(400).json({ message: 'Track already exists in playlist' });
-      }
-      throw addError;
-    }
+// List the signed-in user's playlist imports
+router.get('/imports', auth, async (req, res) => {
+  try {
+    const imports = await playlistImports.list(req.user._id);
+    res.json({ imports: imports.map(job => playlistImports.toJSON(job)) });
   } catch (error) {
-    console.error('Add track to playlist error:', error);
-    res.status(500).json({ message: 'Error adding track to playlist' });
+    console.error('List playlist imports error:', error);
+    res.status(500).json({ message: 'Error fetching imports' });
   }
 });
 
-// Remove track from playlist
-router.delete('/:id/tracks/:trackId', auth, [
-  param('id').isMongoId().withMessage('Invalid playlist ID'),
-  param('trackId').notEmpty().withMessage('Track ID is required')
+// Progress of a playlist import and, once matched, every row with its
+// proposed track and alternatives
+router.get('/imports/:importId', auth, [
+  param('importId').isMongoId().withMessage('Invalid import ID')
 ], async (req, res) => {
   try {
-    const { id, trackId } = req.params;
-
-    const playlist = await Playlist.findById(id);
-
-    if (!playlist || !playlist.isActive) {
-      return res.status(404).json({ message: 'Playlist not found' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
     }
 
-    if (!playlist.canEdit(req.user._id)) {
-      return res.status(403).json({ message: 'Permission denied' });
+    const job = await playlistImports.get(req.user._id, req.params.importId);
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
     }
 
-    playlist.removeTrack(trackId);
-    await playlist.save();
-
-    res.json({
-      message: 'Track removed from playlist',
-      totalTracks: playlist.tracks.length,
-      totalDuration: playlist.totalDuration
-    });
+    res.json({ import: playlistImports.toJSON(job, { rows: true }) });
   } catch (error) {
-    console.error('Remove track from playlist error:', error);
-    res.status(500).json({ message: 'Error removing track from playlist' });
+    console.error('Get playlist import error:', error);
+    res.status(500).json({ message: 'Error fetching import' });
   }
 });
 
-// Reorder tracks in playlist
-router.put('/:id/tracks/reorder', auth, [
-  param('id').isMongoId().withMessage('Invalid playlist ID'),
-  body('trackIds').isArray().withMessage('Track IDs must be an array')
+// Create the playlist of a matched import. `selections` decide rows:
+// [{ position, trackId }], with a null trackId to leave the row out.
+router.post('/imports/:importId/confirm', auth, [
+  param('importId').isMongoId().withMessage('Invalid import ID'),
+  body('selections').optional().isArray().withMessage('selections must be an array'),
+  body('selections.*.position').isInt({ min: 1 }).withMessage('Each selection needs a row position').toInt(),
+  body('selections.*.trackId').optional({ nullable: true }).isString().withMessage('trackId must be a string or null'),
+  body('name').optional().isLength({ min: 1, max: 100 }).withMessage('Playlist name must be between 1 and 100 characters'),
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean').toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -416,29 +464,776 @@ router.put('/:id/tracks/reorder', auth, [
       });
     }
 
-    const { id } = req.params;
-    const { trackIds } = req.body;
-
-    const playlist = await Playlist.findById(id);
-
-    if (!playlist || !playlist.isActive) {
-      return res.status(404).json({ message: 'Playlist not found' });
-    }
-
-    if (!playlist.canEdit(req.user._id)) {
-      return res.status(403).json({ message: 'Permission denied' });
-    }
+    const { job, playlist } = await playlistImports.confirm(req.user._id, req.params.importId, {
+      selections: (req.body.selections || []).map(({ position, trackId }) => ({ position, trackId: trackId ?? null })),
+      name: req.body.name,
+      isPublic: req.body.isPublic
+    });
 
-    playlist.reorderTracks(trackIds);
+    res.status(201).json({
+      message: 'Playlist imported',
+      import: playlistImports.toJSON(job),
+      playlist: {
+        id: playlist._id,
+        name: playlist.name,
+        isPublic: playlist.isPublic,
+        trackCount: playlist.tracks.length,
+        totalDuration: playlist.totalDuration
+      }
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Confirm playlist import', 'Error creating imported playlist');
+  }
+});
+
+// The signed-in user's folders with their own, shared and followed
+// playlists, as one nested tree
+router.get('/folders', auth, async (req, res) => {
+  try {
+    const tree = await folders.tree(req.user._id);
+    res.json({ tree });
+  } catch (error) {
+    console.error('Get playlist folders error:', error);
+    res.status(500).json({ message: 'Error fetching folders' });
+  }
+});
+
+// Create a folder, at the top level or inside `parent`
+router.post('/folders', auth, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Folder name must be between 1 and 100 characters'),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Invalid parent folder ID'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be non-negative').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const folder = await folders.createFolder(req.user._id, {
+      name: req.body.name,
+      parent: req.body.parent,
+      position: req.body.position
+    });
+
+    res.status(201).json({
+      message: 'Folder created',
+      folder: { ...folders.folderJSON(folder), parent: folder.parent }
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Create playlist folder', 'Error creating folder');
+  }
+});
+
+// Order the folders and playlists inside a folder, or at the top level
+// when `parent` is left out
+router.put('/folders/order', auth, [
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Invalid parent folder ID'),
+  body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.type').isIn(['folder', 'playlist']).withMessage('Item type must be folder or playlist'),
+  body('items.*.id').isMongoId().withMessage('Invalid item ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    await folders.reorder(req.user._id, { parent: req.body.parent, items: req.body.items });
+    res.json({ message: 'Folder reordered' });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Reorder playlist folder', 'Error reordering folder');
+  }
+});
+
+// Rename a folder or move it: `parent` null moves it to the top level
+router.put('/folders/:folderId', auth, [
+  param('folderId').isMongoId().withMessage('Invalid folder ID'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Folder name must be between 1 and 100 characters'),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Invalid parent folder ID'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be non-negative').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const folder = await folders.updateFolder(req.user._id, req.params.folderId, {
+      name: req.body.name,
+      parent: req.body.parent,
+      position: req.body.position
+    });
+
+    res.json({
+      message: 'Folder updated',
+      folder: { ...folders.folderJSON(folder), parent: folder.parent }
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Update playlist folder', 'Error updating folder');
+  }
+});
+
+// Delete a folder. Non-empty folders need `contents=moveUp` to move what
+// they hold up a level, or `contents=remove` to drop their subfolders.
+router.delete('/folders/:folderId', auth, [
+  param('folderId').isMongoId().withMessage('Invalid folder ID'),
+  query('contents').optional().isIn(['moveUp', 'remove']).withMessage('Contents must be moveUp or remove')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { moved } = await folders.deleteFolder(req.user._id, req.params.folderId, {
+      contents: req.query.contents
+    });
+
+    res.json({ message: 'Folder deleted', moved });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Delete playlist folder', 'Error deleting folder');
+  }
+});
+
+// Invites waiting for the signed-in user's answer
+router.get('/invites', auth, async (req, res) => {
+  try {
+    const invites = await collaborators.pendingInvites(req.user._id);
+    res.json({ invites: invites.map(invite => collaborators.inviteJSON(invite)) });
+  } catch (error) {
+    console.error('Get playlist invites error:', error);
+    res.status(500).json({ message: 'Error fetching invites' });
+  }
+});
+
+// Accept or decline an invite
+router.post('/invites/:inviteId/:answer', auth, [
+  param('inviteId').isMongoId().withMessage('Invalid invite ID'),
+  param('answer').isIn(['accept', 'decline']).withMessage('Answer must be accept or decline')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const accept = req.params.answer === 'accept';
+    const playlist = await collaborators.respond(req.user._id, req.params.inviteId, accept);
+
+    res.json({
+      message: accept ? 'Invite accepted' : 'Invite declined',
+      playlist: { id: playlist._id, name: playlist.name }
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Answer playlist invite', 'Error answering invite');
+  }
+});
+
+// Join a playlist through an invite link
+router.post('/join/:token', auth, async (req, res) => {
+  try {
+    const playlist = await collaborators.join(req.user._id, req.params.token);
+
+    res.json({
+      message: 'Joined playlist',
+      playlist: {
+        id: playlist._id,
+        name: playlist.name,
+        permissions: playlist.getCollaborator(req.user._id)?.permissions
+      }
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Join playlist', 'Error joining playlist');
+  }
+});
+
+// Get playlist by ID
+router.get('/:id', optionalAuth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID')
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const playlist = await Playlist.findById(id)
+      .populate('owner', 'username profile.displayName profile.avatar')
+      .populate('collaborators.user', 'username profile.displayName profile.avatar')
+      .populate('forkedFrom.owner', 'username profile.displayName profile.avatar');
+
+    if (!playlist || !playlist.isActive) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    // Check if user can view this playlist
+    if (!playlist.canView(req.user?._id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({
+      playlist: {
+        id: playlist._id,
+        name: playlist.name,
+        description: playlist.description,
+        tracks: playlist.tracks,
+        trackCount: playlist.tracks.length,
+        totalDuration: playlist.totalDuration,
+        isPublic: playlist.isPublic,
+        collaborative: playlist.collaborative,
+        mood: playlist.mood,
+        genre: playlist.genre,
+        coverImage: playlist.coverImage,
+        playCount: playlist.playCount,
+        followerCount: playlist.followerCount,
+        isFollowing: playlist.isFollowedBy(req.user?._id),
+        forkCount: playlist.forkCount,
+        forkedFrom: forks.attributionJSON(playlist),
+        smart: smartPlaylists.toJSON(playlist.smart),
+        lastPlayed: playlist.lastPlayed,
+        createdAt: playlist.createdAt,
+        updatedAt: playlist.updatedAt,
+        owner: {
+          id: playlist.owner._id,
+          username: playlist.owner.username,
+          displayName: playlist.owner.profile?.displayName || playlist.owner.username,
+          avatar: playlist.owner.profile?.avatar || ''
+        },
+        collaborators: playlist.collaborators.map(c => ({
+          user: {
+            id: c.user._id,
+            username: c.user.username,
+            displayName: c.user.profile?.displayName || c.user.username,
+            avatar: c.user.profile?.avatar || ''
+          },
+          permissions: c.permissions,
+          addedAt: c.addedAt
+        })),
+        canEdit: playlist.canEdit(req.user?._id)
+      }
+    });
+  } catch (error) {
+    console.error('Get playlist error:', error);
+    res.status(500).json({ message: 'Error fetching playlist' });
+  }
+});
+
+// Update playlist
+router.put('/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  body('name').optional().isLength({ min: 1, max: 100 }).withMessage('Playlist name must be between 1 and 100 characters'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description must be under 500 characters'),
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean'),
+  body('collaborative').optional().isBoolean().withMessage('collaborative must be a boolean'),
+  body('mood').optional().isIn(['happy', 'sad', 'relaxed', 'energetic', 'focus', 'party', 'chill', 'mixed']).withMessage('Invalid mood'),
+  body('genre').optional().isString().withMessage('Genre must be a string'),
+  body('coverImage').optional().isURL().withMessage('Cover image must be a valid URL'),
+  smartValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const playlist = await Playlist.findById(id);
+
+    if (!playlist || !playlist.isActive) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    if (!playlist.canEdit(req.user._id)) {
+      return res.status(403).json({ message: 'Permission denied' });
+    }
+
+    const { name, description, isPublic, collaborative, mood, genre, coverImage, smart } = req.body;
+    const previous = revisions.snapshot(playlist);
+
+    if (name !== undefined) playlist.name = name;
+    if (description !== undefined) playlist.description = description;
+    if (isPublic !== undefined) playlist.isPublic = isPublic;
+    if (collaborative !== undefined) playlist.collaborative = collaborative;
+    if (mood !== undefined) playlist.mood = mood;
+    if (genre !== undefined) playlist.genre = genre;
+    if (coverImage !== undefined) playlist.coverImage = coverImage;
+    // Turning rules off keeps the tracks generated last
+    if (smart !== undefined) playlist.smart = smart ? smartPlaylists.validateSmart(smart) : undefined;
+
+    const rulesChanged = smart !== undefined && playlist.isModified('smart');
+    const changed = playlist.isModified();
+    await playlist.save();
+    if (changed) {
+      await revisions.record(playlist, req.user._id, 'update', previous);
+      notifications.notifyFollowers(playlist, req.user._id, { details: true });
+    }
+    if (rulesChanged && playlist.isSmart()) await refreshSmart(playlist, req.user._id);
+
+    res.json({
+      message: 'Playlist updated successfully',
+      playlist: {
+        id: playlist._id,
+        name: playlist.name,
+        description: playlist.description,
+        isPublic: playlist.isPublic,
+        collaborative: playlist.collaborative,
+        mood: playlist.mood,
+        genre: playlist.genre,
+        coverImage: playlist.coverImage,
+        smart: smartPlaylists.toJSON(playlist.smart),
+        trackCount: playlist.tracks.length
+      }
+    });
+  } catch (error) {
+    console.error('Update playlist error:', error);
+    res.status(500).json({ message: 'Error updating playlist' });
+  }
+});
+
+// Add track to playlist
+router.post('/:id/tracks', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  body('trackId').notEmpty().withMessage('Track ID is required'),
+  body('title').notEmpty().withMessage('Track title is required'),
+  body('artist').notEmpty().withMessage('Track artist is required'),
+  body('duration').optional().isInt({ min: 0 }).withMessage('Duration must be a positive integer'),
+  body('audioUrl').optional().isURL().withMessage('Audio URL must be valid'),
+  body('imageUrl').optional().isURL().withMessage('Image URL must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { trackId, title, artist, duration, audioUrl, imageUrl } = req.body;
+
+    const playlist = await Playlist.findById(id);
+
+    if (!playlist || !playlist.isActive) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    if (!playlist.canEdit(req.user._id)) {
+      return res.status(403).json({ message: 'Permission denied' });
+    }
+
+    if (rejectSmart(res, playlist)) return;
+
+    // Get full track details from music API, falling back to the request
+    // body when the catalog is unavailable
+    const trackDetails = await musicAPI.getTrackById(trackId).catch(error => {
+      if (error instanceof UpstreamError) return null;
+      throw error;
+    });
+    const trackData = trackDetails || {
+      id: trackId,
+      title,
+      artist,
+      duration: duration || 0,
+      audioUrl: audioUrl || '',
+      imageUrl: imageUrl || ''
+    };
+
+    try {
+      const previous = revisions.snapshot(playlist);
+      playlist.addTrack(trackData, req.user._id);
+      await playlist.save();
+      await revisions.record(playlist, req.user._id, 'add', previous);
+      notifications.notifyFollowers(playlist, req.user._id, { tracksAdded: 1 });
+
+      res.json({
+        message: 'Track added to playlist',
+        track: {
+          trackId: trackData.id,
+          title: trackData.title,
+          artist: trackData.artist,
+          duration: trackData.duration,
+          audioUrl: trackData.audioUrl,
+          imageUrl: trackData.imageUrl
+        },
+        totalTracks: playlist.tracks.length,
+        totalDuration: playlist.totalDuration
+      });
+    } catch (addError) {
+      if (addError.message === 'Track already exists in playlist') {
+        return res.status(400).json({ message: 'Track already exists in playlist' });
+      }
+      throw addError;
+    }
+  } catch (error) {
+    console.error('Add track to playlist error:', error);
+    res.status(500).json({ message: 'Error adding track to playlist' });
+  }
+});
+
+// Remove track from playlist
+router.delete('/:id/tracks/:trackId', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  param('trackId').notEmpty().withMessage('Track ID is required')
+], async (req, res) => {
+  try {
+    const { id, trackId } = req.params;
+
+    const playlist = await Playlist.findById(id);
+
+    if (!playlist || !playlist.isActive) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    if (!playlist.canEdit(req.user._id)) {
+      return res.status(403).json({ message: 'Permission denied' });
+    }
+
+    if (rejectSmart(res, playlist)) return;
+
+    const previous = revisions.snapshot(playlist);
+    playlist.removeTrack(trackId);
     await playlist.save();
+    if (playlist.tracks.length < previous.tracks.length) {
+      await revisions.record(playlist, req.user._id, 'remove', previous);
+      notifications.notifyFollowers(playlist, req.user._id, { tracksRemoved: previous.tracks.length - playlist.tracks.length });
+    }
+
+    res.json({
+      message: 'Track removed from playlist',
+      totalTracks: playlist.tracks.length,
+      totalDuration: playlist.totalDuration
+    });
+  } catch (error) {
+    console.error('Remove track from playlist error:', error);
+    res.status(500).json({ message: 'Error removing track from playlist' });
+  }
+});
+
+// Reorder tracks in playlist
+router.put('/:id/tracks/reorder', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  body('trackIds').isArray().withMessage('Track IDs must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { trackIds } = req.body;
+
+    const playlist = await Playlist.findById(id);
+
+    if (!playlist || !playlist.isActive) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    if (!playlist.canEdit(req.user._id)) {
+      return res.status(403).json({ message: 'Permission denied' });
+    }
+
+    if (rejectSmart(res, playlist)) return;
+
+    const previous = revisions.snapshot(playlist);
+    playlist.reorderTracks(trackIds);
+    await playlist.save();
+    if (await revisions.record(playlist, req.user._id, 'reorder', previous)) {
+      notifications.notifyFollowers(playlist, req.user._id, { reordered: true });
+    }
+
+    res.json({
+      message: 'Tracks reordered successfully',
+      tracks: playlist.tracks
+    });
+  } catch (error) {
+    console.error('Reorder tracks error:', error);
+    res.status(500).json({ message: 'Error reordering tracks' });
+  }
+});
+
+// Validators of a selection of a playlist's tracks
+const trackIdsValidator = body('trackIds')
+  .isArray({ min: 1, max: playlistBatch.MAX_BATCH })
+  .withMessage(`Track IDs must be an array of 1 to ${playlistBatch.MAX_BATCH} IDs`);
+const trackIdValidator = body('trackIds.*').isString().notEmpty().withMessage('Track IDs must be strings');
+
+const trackTransferValidators = [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  trackIdsValidator,
+  trackIdValidator,
+  body('target').isMongoId().withMessage('Invalid target playlist ID'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be non-negative').toInt()
+];
+
+// Copy or move a selection of tracks into another playlist
+const transferTracks = (move) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { source, destination, added, skipped } = await playlistBatch.transfer(req.params.id, req.user._id, {
+      trackIds: req.body.trackIds,
+      target: req.body.target,
+      position: req.body.position,
+      move
+    });
+
+    res.json({
+      message: move ? 'Tracks moved' : 'Tracks copied',
+      added,
+      skipped,
+      source: { id: source._id, totalTracks: source.tracks.length, totalDuration: source.totalDuration },
+      target: { id: destination._id, totalTracks: destination.tracks.length, totalDuration: destination.totalDuration }
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, move ? 'Move tracks' : 'Copy tracks', `Error ${move ? 'moving' : 'copying'} tracks`);
+  }
+};
+
+// Add many tracks at once, at `position` or at the end. Tracks already in
+// the playlist are skipped.
+router.post('/:id/tracks/batch', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  body('tracks').isArray({ min: 1, max: playlistBatch.MAX_BATCH }).withMessage(`Tracks must be an array of 1 to ${playlistBatch.MAX_BATCH} tracks`),
+  body('tracks.*.trackId').isString().notEmpty().withMessage('Track ID is required'),
+  body('tracks.*.title').optional().isString().withMessage('Track title must be a string'),
+  body('tracks.*.artist').optional().isString().withMessage('Track artist must be a string'),
+  body('tracks.*.duration').optional().isInt({ min: 0 }).withMessage('Duration must be a positive integer'),
+  body('tracks.*.audioUrl').optional().isURL().withMessage('Audio URL must be valid'),
+  body('tracks.*.imageUrl').optional().isURL().withMessage('Image URL must be valid'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be non-negative').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { playlist, added, skipped } = await playlistBatch.addTracks(req.params.id, req.user._id, {
+      tracks: req.body.tracks,
+      position: req.body.position
+    });
+
+    res.json({
+      message: 'Tracks added to playlist',
+      added,
+      skipped,
+      totalTracks: playlist.tracks.length,
+      totalDuration: playlist.totalDuration
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Add tracks to playlist', 'Error adding tracks to playlist');
+  }
+});
+
+// Remove many tracks at once; all of them must be in the playlist
+router.delete('/:id/tracks', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  trackIdsValidator,
+  trackIdValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { playlist, removed } = await playlistBatch.removeTracks(req.params.id, req.user._id, {
+      trackIds: req.body.trackIds
+    });
+
+    res.json({
+      message: 'Tracks removed from playlist',
+      removed,
+      totalTracks: playlist.tracks.length,
+      totalDuration: playlist.totalDuration
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Remove tracks from playlist', 'Error removing tracks from playlist');
+  }
+});
+
+router.post('/:id/tracks/copy', auth, trackTransferValidators, transferTracks(false));
+router.post('/:id/tracks/move', auth, trackTransferValidators, transferTracks(true));
+
+// Download a playlist as M3U8, XSPF or JSPF
+router.get('/:id/export', optionalAuth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  query('format').optional().isIn(playlistFormats).withMessage(`Format must be one of: ${playlistFormats.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const playlist = await loadPlaylist(req.params.id, req.user?._id);
+    await playlist.populate('owner', 'username profile.displayName');
+
+    const file = exportPlaylist(playlist, req.query.format || 'm3u8', {
+      baseUrl: publicBaseUrl(req),
+      creator: playlist.owner.profile?.displayName || playlist.owner.username
+    });
+    const fileName = playlist.name.replace(/[^\w\- ]+/g, '').trim() || 'playlist';
+
+    res.attachment(`${fileName}.${file.extension}`);
+    res.type(file.contentType);
+    res.send(file.body);
+  } catch (error) {
+    sendPlaylistError(res, error, 'Export playlist', 'Error exporting playlist');
+  }
+});
+
+// List a playlist's revisions, newest first
+router.get('/:id/revisions', optionalAuth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { limit = 20, offset = 0 } = req.query;
+    const playlist = await loadPlaylist(req.params.id, req.user?._id);
+    const result = await revisions.list(playlist._id, { limit, offset });
+
+    res.json({
+      revisions: result.revisions.map(revision => revisions.toJSON(revision)),
+      current: playlist.revision,
+      total: result.total,
+      hasMore: offset + limit < result.total
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'List playlist revisions', 'Error fetching revisions');
+  }
+});
+
+// Diff two revisions; without `to`, diff a revision against the playlist now
+router.get('/:id/revisions/diff', optionalAuth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  query('from').isInt({ min: 1 }).withMessage('from must be a revision number').toInt(),
+  query('to').optional().isInt({ min: 1 }).withMessage('to must be a revision number').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { from, to } = req.query;
+    const playlist = await loadPlaylist(req.params.id, req.user?._id);
+    const diff = await revisions.diff(playlist, from, to);
+
+    res.json({ from, to: to ?? null, diff });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Diff playlist revisions', 'Error comparing revisions');
+  }
+});
+
+// Get one revision with its tracks
+router.get('/:id/revisions/:number', optionalAuth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  param('number').isInt({ min: 1 }).withMessage('Invalid revision number').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const playlist = await loadPlaylist(req.params.id, req.user?._id);
+    const revision = await revisions.get(playlist._id, req.params.number);
+
+    res.json({ revision: revisions.toJSON(revision, { tracks: true }) });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Get playlist revision', 'Error fetching revision');
+  }
+});
+
+// Restore the content of a previous revision
+router.post('/:id/revisions/:number/restore', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  param('number').isInt({ min: 1 }).withMessage('Invalid revision number').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const playlist = await loadPlaylist(req.params.id, req.user._id, 'edit');
+    if (rejectSmart(res, playlist)) return;
+
+    const revision = await revisions.restore(playlist, req.params.number, req.user._id);
+
+    if (revision) {
+      const { added, removed, moved, fields } = revision.changes;
+      notifications.notifyFollowers(playlist, req.user._id, {
+        tracksAdded: added.length,
+        tracksRemoved: removed.length,
+        reordered: moved.length > 0,
+        details: fields.length > 0
+      });
+    }
 
     res.json({
-      message: 'Tracks reordered successfully',
-      tracks: playlist.tracks
+      message: revision ? 'Playlist restored' : 'Playlist already matches this revision',
+      revision: revision ? revisions.toJSON(revision) : null,
+      tracks: playlist.tracks,
+      totalDuration: playlist.totalDuration
     });
   } catch (error) {
-    console.error('Reorder tracks error:', error);
-    res.status(500).json({ message: 'Error reordering tracks' });
+    sendPlaylistError(res, error, 'Restore playlist revision', 'Error restoring revision');
   }
 });
 
@@ -462,6 +1257,7 @@ router.delete('/:id', auth, [
     // Soft delete
     playlist.isActive = false;
     await playlist.save();
+    await forks.forkDeleted(playlist);
 
     // Remove from user's playlists
     req.user.playlists = req.user.playlists.filter(
@@ -476,6 +1272,365 @@ router.delete('/:id', auth, [
   }
 });
 
+// List a playlist's pending invites (owner only)
+router.get('/:id/invites', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID')
+], async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req.params.id, req.user._id, 'owner');
+    const invites = await collaborators.listInvites(playlist._id);
+
+    res.json({ invites: invites.map(invite => collaborators.inviteJSON(invite)) });
+  } catch (error) {
+    sendPlaylistError(res, error, 'List playlist invites', 'Error fetching invites');
+  }
+});
+
+// Invite a user by username
+router.post('/:id/invites', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  body('username').notEmpty().withMessage('Username is required'),
+  permissionsValidator('permissions')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const playlist = await loadPlaylist(req.params.id, req.user._id, 'owner');
+    const invite = await collaborators.inviteUser(playlist, req.user._id, req.body);
+
+    res.status(201).json({
+      message: 'Invite sent',
+      invite: collaborators.inviteJSON(invite)
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Invite collaborator', 'Error sending invite');
+  }
+});
+
+// Create an invite link
+router.post('/:id/invites/link', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  permissionsValidator('permissions'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 30 }).withMessage('expiresInDays must be between 1 and 30').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const playlist = await loadPlaylist(req.params.id, req.user._id, 'owner');
+    const invite = await collaborators.createLink(playlist, req.user._id, req.body);
+
+    res.status(201).json({
+      message: 'Invite link created',
+      invite: collaborators.inviteJSON(invite)
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Create invite link', 'Error creating invite link');
+  }
+});
+
+// Revoke an invite or invite link
+router.delete('/:id/invites/:inviteId', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  param('inviteId').isMongoId().withMessage('Invalid invite ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const playlist = await loadPlaylist(req.params.id, req.user._id, 'owner');
+    await collaborators.revokeInvite(playlist._id, req.params.inviteId);
+
+    res.json({ message: 'Invite revoked' });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Revoke invite', 'Error revoking invite');
+  }
+});
+
+// Change a collaborator's permissions
+router.put('/:id/collaborators/:userId', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('permissions').isIn(['view', 'edit']).withMessage('Permissions must be view or edit')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const playlist = await loadPlaylist(req.params.id, req.user._id, 'owner');
+    const collaborator = await collaborators.setPermissions(playlist, req.params.userId, req.body.permissions);
+
+    res.json({
+      message: 'Permissions updated',
+      collaborator: {
+        user: collaborator.user,
+        permissions: collaborator.permissions,
+        addedAt: collaborator.addedAt
+      }
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Update collaborator', 'Error updating collaborator');
+  }
+});
+
+// Remove a collaborator
+router.delete('/:id/collaborators/:userId', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const playlist = await loadPlaylist(req.params.id, req.user._id, 'owner');
+    await collaborators.removeCollaborator(playlist, req.params.userId);
+
+    res.json({ message: 'Collaborator removed' });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Remove collaborator', 'Error removing collaborator');
+  }
+});
+
+// Leave a playlist shared with you
+router.post('/:id/leave', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID')
+], async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req.params.id, req.user._id);
+    await collaborators.leave(playlist, req.user._id);
+
+    res.json({ message: 'Left playlist' });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Leave playlist', 'Error leaving playlist');
+  }
+});
+
+// Transfer ownership to a collaborator
+router.post('/:id/transfer', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  body('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const playlist = await loadPlaylist(req.params.id, req.user._id, 'owner');
+    await collaborators.transferOwnership(playlist, req.body.userId);
+
+    res.json({
+      message: 'Ownership transferred',
+      playlist: { id: playlist._id, owner: playlist.owner }
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Transfer playlist', 'Error transferring playlist');
+  }
+});
+
+// Re-evaluate a smart playlist's rules now
+router.post('/:id/refresh', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID')
+], async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req.params.id, req.user._id, 'edit');
+    if (!playlist.isSmart()) {
+      return res.status(400).json({ message: 'Only smart playlists can be refreshed' });
+    }
+
+    const revision = await smartPlaylists.refresh(playlist, req.user._id);
+
+    res.json({
+      message: 'Smart playlist refreshed',
+      changes: revision ? revision.changes : null,
+      tracks: playlist.tracks,
+      totalDuration: playlist.totalDuration,
+      refreshedAt: playlist.smart.refreshedAt
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Refresh smart playlist', 'Error refreshing smart playlist');
+  }
+});
+
+// Place a playlist you own, collaborate on or follow in one of your
+// folders; `folder` null puts it back at the top level
+router.put('/:id/folder', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  body('folder').optional({ nullable: true }).isMongoId().withMessage('Invalid folder ID'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be non-negative').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    await folders.movePlaylist(req.user._id, req.params.id, {
+      folder: req.body.folder,
+      position: req.body.position
+    });
+
+    res.json({ message: 'Playlist moved' });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Move playlist to folder', 'Error moving playlist');
+  }
+});
+
+// Follow a playlist
+router.post('/:id/follow', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID')
+], async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req.params.id, req.user._id);
+    if (isOwner(playlist, req.user._id)) {
+      return res.status(400).json({ message: 'You cannot follow your own playlist' });
+    }
+
+    // Following does not count as an update of the playlist
+    const result = await Playlist.updateOne(
+      { _id: playlist._id, followers: { $ne: req.user._id } },
+      { $push: { followers: req.user._id }, $inc: { followerCount: 1 } },
+      { timestamps: false }
+    );
+
+    res.json({
+      message: 'Playlist followed',
+      followerCount: playlist.followerCount + result.modifiedCount
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Follow playlist', 'Error following playlist');
+  }
+});
+
+// Unfollow a playlist, also one that is no longer visible
+router.delete('/:id/follow', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID')
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const playlist = await Playlist.findOneAndUpdate(
+      { _id: id, followers: req.user._id },
+      { $pull: { followers: req.user._id }, $inc: { followerCount: -1 } },
+      { new: true, timestamps: false }
+    ).select('followerCount');
+
+    if (!playlist) {
+      return res.status(404).json({ message: 'You do not follow this playlist' });
+    }
+
+    res.json({
+      message: 'Playlist unfollowed',
+      followerCount: playlist.followerCount
+    });
+  } catch (error) {
+    console.error('Unfollow playlist error:', error);
+    res.status(500).json({ message: 'Error unfollowing playlist' });
+  }
+});
+
+// Copy a playlist you can see into a new playlist of your own
+router.post('/:id/fork', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  body('name').optional().isLength({ min: 1, max: 100 }).withMessage('Playlist name must be between 1 and 100 characters'),
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const fork = await forks.fork(req.params.id, req.user._id, {
+      name: req.body.name,
+      isPublic: req.body.isPublic
+    });
+
+    res.status(201).json({
+      message: 'Playlist forked',
+      playlist: {
+        id: fork._id,
+        name: fork.name,
+        isPublic: fork.isPublic,
+        trackCount: fork.tracks.length,
+        totalDuration: fork.totalDuration,
+        forkedFrom: {
+          id: fork.forkedFrom.playlist,
+          name: fork.forkedFrom.name
+        }
+      }
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Fork playlist', 'Error forking playlist');
+  }
+});
+
+// Forks made of a playlist (owner only)
+router.get('/:id/forks', auth, [
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const playlist = await loadPlaylist(req.params.id, req.user._id, 'owner');
+    const { forks: list, total } = await forks.list(playlist, { limit, offset });
+
+    res.json({
+      forks: list.map(fork => forks.forkJSON(fork)),
+      total,
+      hasMore: offset + limit < total
+    });
+  } catch (error) {
+    sendPlaylistError(res, error, 'List playlist forks', 'Error fetching forks');
+  }
+});
+
 // Play playlist (increment play count)
 router.post('/:id/play', optionalAuth, [
   param('id').isMongoId().withMessage('Invalid playlist ID')
@@ -498,8 +1653,16 @@ router.post('/:id/play', optionalAuth, [
 
     res.json({
       message: 'Play count updated',
-      playCount: playlist.playCount
+      playCount: playlist.playCount,
+      tracks: playlist.tracks,
+      ...(playlist.isSmart() && { refreshedAt: playlist.smart.refreshedAt })
     });
+
+    // Out of date smart playlists play their current tracks and are
+    // refreshed in the background, after the play count is saved
+    if (playlist.isSmart() && smartPlaylists.isStale(playlist)) {
+      refreshSmart(playlist, null);
+    }
   } catch (error) {
     console.error('Play playlist error:', error);
     res.status(500).json({ message: 'Error updating play count' });
@@ -1,11 +1,283 @@
 const express = require('express');
-const { query, param } = require('express-validator');
+const { query, param, body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Playlist = require('../models/Playlist');
 const { auth, optionalAuth } = require('../middleware/auth');
+const { singleFileUpload } = require('../middleware/upload');
+const playEvents = require('../services/playEvents');
+const listeningStats = require('../services/listeningStats');
+const wrapped = require('../services/wrapped');
+const userDataExport = require('../services/userDataExport');
+const historyImport = require('../services/historyImport');
+const notifications = require('../services/notifications');
+const { historyFormats } = require('../services/historyFormats');
+const { toCsv } = require('../services/csv');
 
 const router = express.Router();
 
+const uploadFile = singleFileUpload(parseInt(process.env.HISTORY_IMPORT_MAX_BYTES) || 20 * 1024 * 1024);
+
+// Export listening history, favorites and playlists as one JSON download
+router.get('/me/export', auth, async (req, res) => {
+  try {
+    const [history, playlists] = await Promise.all([
+      userDataExport.getHistory(req.user._id),
+      userDataExport.getPlaylists(req.user._id)
+    ]);
+
+    res.attachment(`${req.user.username}-export.json`);
+    res.json({
+      exportedAt: new Date(),
+      user: { id: req.user._id, username: req.user.username },
+      history,
+      favorites: userDataExport.getFavorites(req.user),
+      playlists
+    });
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ message: 'Error exporting data' });
+  }
+});
+
+// Export one dataset (history, favorites or playlists) as JSON or CSV
+router.get('/me/export/:dataset', auth, [
+  param('dataset').isIn(userDataExport.datasets).withMessage(`Dataset must be one of: ${userDataExport.datasets.join(', ')}`),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { dataset } = req.params;
+    const { format = 'json' } = req.query;
+    const fileName = `${req.user.username}-${dataset}.${format}`;
+
+    if (format === 'csv') {
+      const rows = await userDataExport.getRows(req.user, dataset);
+      res.attachment(fileName);
+      res.type('text/csv');
+      return res.send(toCsv(rows, userDataExport.columns[dataset]));
+    }
+
+    res.attachment(fileName);
+    res.json({ [dataset]: await userDataExport.getDataset(req.user, dataset) });
+  } catch (error) {
+    console.error('Export dataset error:', error);
+    res.status(500).json({ message: 'Error exporting data' });
+  }
+});
+
+// Import listening history from a Last.fm CSV or Spotify JSON file, sent
+// as a "file" upload or as `content` in a JSON body. Tracks are matched to
+// the catalog in the background; poll the import for its report.
+router.post('/me/history/import', auth, uploadFile, [
+  body('format').optional().isIn(historyFormats).withMessage(`Format must be one of: ${historyFormats.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ message: 'A history file is required' });
+    }
+
+    const job = await historyImport.create(req.user._id, {
+      content,
+      format: req.body.format,
+      fileName: req.file?.originalname
+    });
+
+    res.status(202).json({
+      message: 'History import started',
+      import: historyImport.toJSON(job)
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('History import error:', error);
+    res.status(500).json({ message: 'Error importing history' });
+  }
+});
+
+// List the signed-in user's history imports
+router.get('/me/history/imports', auth, async (req, res) => {
+  try {
+    const imports = await historyImport.list(req.user._id);
+    res.json({ imports: imports.map(job => historyImport.toJSON(job)) });
+  } catch (error) {
+    console.error('List history imports error:', error);
+    res.status(500).json({ message: 'Error fetching imports' });
+  }
+});
+
+// Progress and report of a history import: which tracks were matched
+router.get('/me/history/imports/:importId', auth, [
+  param('importId').isMongoId().withMessage('Invalid import ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const job = await historyImport.get(req.user._id, req.params.importId);
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    res.json({ import: historyImport.toJSON(job, { report: true }) });
+  } catch (error) {
+    console.error('Get history import error:', error);
+    res.status(500).json({ message: 'Error fetching import' });
+  }
+});
+
+// List the signed-in user's notifications, newest first
+router.get('/me/notifications', auth, [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative').toInt(),
+  query('unread').optional().isBoolean().withMessage('unread must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { limit = 20, offset = 0, unread = false } = req.query;
+    const result = await notifications.list(req.user._id, { limit, offset, unread });
+
+    res.json({
+      notifications: result.notifications.map(notification => notifications.toJSON(notification)),
+      unreadCount: result.unreadCount,
+      total: result.total,
+      hasMore: offset + limit < result.total
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Error fetching notifications' });
+  }
+});
+
+// Mark notifications as read; without ids, all of them
+router.put('/me/notifications/read', auth, [
+  body('ids').optional().isArray({ max: 100 }).withMessage('ids must be an array of at most 100 IDs'),
+  body('ids.*').isMongoId().withMessage('Invalid notification ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const updated = await notifications.markRead(req.user._id, req.body.ids);
+    res.json({ message: 'Notifications marked as read', updated });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ message: 'Error updating notifications' });
+  }
+});
+
+const yearValidator = param('year').isInt({ min: 2000, max: 9999 }).withMessage('Invalid year');
+
+// Get the signed-in user's year in review
+router.get('/me/wrapped/:year', auth, [yearValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const recap = await wrapped.getRecap(req.user._id, parseInt(req.params.year));
+    if (!recap) {
+      return res.status(404).json({ message: `No recap for ${req.params.year} yet` });
+    }
+
+    res.json({ wrapped: wrapped.toJSON(recap) });
+  } catch (error) {
+    console.error('Get wrapped error:', error);
+    res.status(500).json({ message: 'Error fetching recap' });
+  }
+});
+
+// Share or stop sharing a year in review publicly
+router.put('/me/wrapped/:year/share', auth, [
+  yearValidator,
+  body('shared').isBoolean().withMessage('shared must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const recap = await wrapped.setShared(req.user._id, parseInt(req.params.year), req.body.shared);
+    if (!recap) {
+      return res.status(404).json({ message: `No recap for ${req.params.year} yet` });
+    }
+
+    res.json({
+      message: recap.shareId ? 'Recap shared' : 'Recap no longer shared',
+      wrapped: wrapped.toJSON(recap)
+    });
+  } catch (error) {
+    console.error('Share wrapped error:', error);
+    res.status(500).json({ message: 'Error updating recap sharing' });
+  }
+});
+
+// Public version of a shared year in review
+router.get('/wrapped/:shareId', [
+  param('shareId').isLength({ min: 1, max: 64 }).withMessage('Invalid share ID')
+], async (req, res) => {
+  try {
+    const recap = await wrapped.getSharedRecap(req.params.shareId);
+    if (!recap || !recap.user?.isActive) {
+      return res.status(404).json({ message: 'Recap not found' });
+    }
+
+    res.json({
+      user: {
+        id: recap.user._id,
+        username: recap.user.username,
+        displayName: recap.user.profile.displayName,
+        avatar: recap.user.profile.avatar
+      },
+      wrapped: wrapped.toJSON(recap, { shared: true })
+    });
+  } catch (error) {
+    console.error('Get shared wrapped error:', error);
+    res.status(500).json({ message: 'Error fetching recap' });
+  }
+});
+
 // Get user profile by ID
 router.get('/:id', optionalAuth, [
   param('id').isMongoId().withMessage('Invalid user ID')
@@ -50,7 +322,7 @@ router.get('/:id', optionalAuth, [
           email: user.email,
           preferences: user.preferences,
           favorites: user.favorites,
-          recentlyPlayed: user.recentlyPlayed.slice(0, 10)
+          recentlyPlayed: (await playEvents.getRecentlyPlayed(user._id, { limit: 10 })).tracks
         })
       }
     });
@@ -183,18 +455,35 @@ router.get('/:id/playlists', [
   }
 });
 
-// Get user stats
+// Get user stats. Listening stats cover one range (4weeks, 6months, year
+// or all) and are only shown to others when the user made them public.
 router.get('/:id/stats', optionalAuth, [
-  param('id').isMongoId().withMessage('Invalid user ID')
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  query('range').optional().isIn(listeningStats.rangeIds).withMessage(`Range must be one of: ${listeningStats.rangeIds.join(', ')}`),
+  query('year').optional().isInt({ min: 2000, max: 9999 }).withMessage('Invalid year'),
+  query('timezone').optional().custom(listeningStats.isTimezone).withMessage('Invalid timezone'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
     const { id } = req.params;
+    const { range = '4weeks', year, timezone = 'UTC', limit = 10 } = req.query;
     
-    const user = await User.findById(id).select('username profile.displayName createdAt');
+    const user = await User.findById(id).select('username profile.displayName preferences.privacy isActive createdAt');
     if (!user || !user.isActive) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const isOwnProfile = req.user && req.user._id.toString() === id;
+    const listeningVisible = isOwnProfile || user.preferences?.privacy?.listeningStats === 'public';
+
     // Get playlist stats
     const playlistStats = await Playlist.aggregate([
       {
@@ -242,7 +531,16 @@ router.get('/:id/stats', optionalAuth, [
         totalDuration: stats.totalDuration,
         daysSinceJoined,
         joinedAt: user.createdAt
-      }
+      },
+      // null when the user keeps listening stats private
+      listening: listeningVisible
+        ? await listeningStats.getStats(user._id, {
+          range,
+          year: year && parseInt(year),
+          timezone,
+          limit: parseInt(limit)
+        })
+        : null
     });
   } catch (error) {
     console.error('Get user stats error:', error);
@@ -11,6 +11,14 @@ const authRoutes = require('./routes/auth');
 const musicRoutes = require('./routes/music');
 const playlistRoutes = require('./routes/playlists');
 const userRoutes = require('./routes/users');
+const catalogProviders = require('./services/providers');
+const browse = require('./services/browse');
+const playEvents = require('./services/playEvents');
+const wrapped = require('./services/wrapped');
+const charts = require('./services/charts');
+const historyImport = require('./services/historyImport');
+const smartPlaylists = require('./services/smartPlaylists');
+const playlistImports = require('./services/playlistImports');
 
 const app = express();
 
@@ -48,6 +56,15 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/music-str
 })
 .then(() => {
   console.log('Connected to MongoDB');
+  return catalogProviders.startAll();
+})
+.then(() => Promise.all([browse.start(), playEvents.migrateLegacyHistory()]))
+.then(() => {
+  wrapped.start();
+  charts.start();
+  smartPlaylists.start();
+  playlistImports.start();
+  return historyImport.start();
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const axios = require('axios');
+const StreamStat = require('../models/StreamStat');
+const { UpstreamError, fromAxiosError } = require('./upstream/errors');
+
+// Response headers passed through from an upstream audio server
+const proxiedHeaders = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified'];
+
+// Request headers forwarded so the upstream handles ranges and revalidation
+const forwardedHeaders = ['range', 'if-range', 'if-none-match', 'if-modified-since'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Serves track audio for /api/music/tracks/:id/stream, either from a local
+// file or by proxying the provider's URL, and records the bytes sent.
+class AudioStreamer {
+  constructor(options = {}) {
+    this.timeout = options.timeout || parseInt(process.env.AUDIO_STREAM_TIMEOUT) || 10000;
+    this.maxAge = options.maxAge ?? (parseInt(process.env.AUDIO_STREAM_MAX_AGE) || 24 * 60 * 60);
+  }
+
+  // Stream a source from musicAPI.getAudioSource. Resolves once the
+  // response has ended or the client went away.
+  async stream(req, res, source) {
+    const { bytes, failovers } = source.type === 'file'
+      ? await this.serveFile(req, res, source)
+      : await this.proxy(req, res, source);
+
+    this.record(source, bytes, failovers);
+    return bytes;
+  }
+
+  // Serve a local file with ETag/Last-Modified validation and single
+  // byte ranges. Multiple ranges are answered with the whole file.
+  async serveFile(req, res, source) {
+    const stats = await fs.promises.stat(source.path);
+    const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+    const lastModified = stats.mtime.toUTCString();
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': `public, max-age=${this.maxAge}`,
+      'Content-Type': source.mimeType || 'application/octet-stream',
+      ETag: etag,
+      'Last-Modified': lastModified
+    });
+
+    if (req.fresh) {
+      res.status(304).end();
+      return { bytes: 0, failovers: 0 };
+    }
+
+    let start = 0;
+    let end = stats.size - 1;
+    const ranges = this.rangeApplies(req, etag, lastModified) ? req.range(stats.size, { combine: true }) : null;
+
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${stats.size}`);
+      res.status(416).end();
+      return { bytes: 0, failovers: 0 };
+    }
+
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      ({ start, end } = ranges[0]);
+      res.status(206);
+      res.set('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+    }
+
+    res.set('Content-Length', String(end - start + 1));
+
+    if (req.method === 'HEAD' || stats.size === 0) {
+      res.end();
+      return { bytes: 0, failovers: 0 };
+    }
+
+    const bytes = await this.pipe(fs.createReadStream(source.path, { start, end }), res);
+    return { bytes, failovers: 0 };
+  }
+
+  // If-Range only allows a partial response when the validator still matches
+  rangeApplies(req, etag, lastModified) {
+    const ifRange = req.get('If-Range');
+    if (!ifRange) return true;
+
+    return ifRange.includes('"') ? ifRange === etag : ifRange === lastModified;
+  }
+
+  // Proxy an upstream URL, trying the fallback URLs when it cannot be
+  // reached or answers with an error. Range and conditional headers are
+  // forwarded, so 206, 304 and 416 come straight from the upstream.
+  async proxy(req, res, source) {
+    const urls = [source.url, ...(source.fallbackUrls || [])].filter(Boolean);
+    const headers = {};
+    forwardedHeaders.forEach(name => {
+      if (req.get(name)) headers[name] = req.get(name);
+    });
+
+    let lastError;
+    for (let index = 0; index < urls.length; index++) {
+      let response;
+      try {
+        response = await axios.get(urls[index], {
+          headers,
+          responseType: 'stream',
+          timeout: this.timeout,
+          maxRedirects: 5,
+          validateStatus: () => true
+        });
+      } catch (error) {
+        lastError = fromAxiosError(error, source.provider, this.timeout);
+        continue;
+      }
+
+      if (response.status >= 400 && response.status !== 416) {
+        response.data.destroy();
+        lastError = new UpstreamError(`${source.provider} audio responded with ${response.status}`, {
+          provider: source.provider
+        });
+        continue;
+      }
+
+      res.status(response.status);
+      proxiedHeaders.forEach(name => {
+        if (response.headers[name]) res.set(name, response.headers[name]);
+      });
+      if (!response.headers['content-type']) res.type(source.mimeType || 'audio/mpeg');
+      res.set('Cache-Control', `public, max-age=${this.maxAge}`);
+
+      if (req.method === 'HEAD' || response.status === 304 || response.status === 416) {
+        response.data.destroy();
+        res.end();
+        return { bytes: 0, failovers: index };
+      }
+
+      const bytes = await this.pipe(response.data, res);
+      return { bytes, failovers: index };
+    }
+
+    throw lastError || new UpstreamError('No audio source available', { provider: source.provider });
+  }
+
+  // Pipe a readable into the response, counting bytes. The readable is
+  // destroyed if the client disconnects (e.g. when seeking).
+  pipe(readable, res) {
+    return new Promise((resolve) => {
+      let bytes = 0;
+      let settled = false;
+      const finish = () => {
+        if (settled) return;
+        settled = true;
+        resolve(bytes);
+      };
+
+      readable.on('data', chunk => {
+        bytes += chunk.length;
+      });
+      readable.on('error', (error) => {
+        console.error('Audio stream error:', error.message);
+        res.destroy(error);
+        finish();
+      });
+      res.on('close', () => {
+        readable.destroy();
+        finish();
+      });
+      res.on('finish', finish);
+
+      readable.pipe(res);
+    });
+  }
+
+  record(source, bytes, failovers = 0) {
+    if (!source.trackId) return;
+
+    StreamStat.updateOne(
+      { trackId: source.trackId, day: today() },
+      {
+        $set: { provider: source.provider },
+        $inc: { bytes, requests: 1, failovers }
+      },
+      { upsert: true }
+    ).catch(error => {
+      console.error('Stream stat error:', error.message);
+    });
+  }
+
+  // Bytes streamed per day and the most streamed tracks, for the admin endpoint
+  async getStats({ days = 7, limit = 20 } = {}) {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const match = { $match: { day: { $gte: since } } };
+
+    const [daily, topTracks] = await Promise.all([
+      StreamStat.aggregate([
+        match,
+        {
+          $group: {
+            _id: '$day',
+            bytes: { $sum: '$bytes' },
+            requests: { $sum: '$requests' },
+            failovers: { $sum: '$failovers' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      StreamStat.aggregate([
+        match,
+        {
+          $group: {
+            _id: '$trackId',
+            provider: { $first: '$provider' },
+            bytes: { $sum: '$bytes' },
+            requests: { $sum: '$requests' }
+          }
+        },
+        { $sort: { bytes: -1 } },
+        { $limit: limit }
+      ])
+    ]);
+
+    return {
+      since,
+      daily: daily.map(({ _id, ...totals }) => ({ day: _id, ...totals })),
+      topTracks: topTracks.map(({ _id, ...totals }) => ({ trackId: _id, ...totals }))
+    };
+  }
+}
+
+module.exports = new AudioStreamer();
+module.exports.AudioStreamer = AudioStreamer;
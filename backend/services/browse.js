@@ -0,0 +1,335 @@
+const BrowseCategory = require('../models/BrowseCategory');
+const providers = require('./providers');
+const musicAPI = require('./musicAPI');
+const { defaultMoods, speeds } = require('./providers/moods');
+const { toKey } = require('./providers/LocalLibraryProvider');
+
+// Fields an admin may set; once set, refreshes no longer overwrite them
+const curatableFields = ['name', 'description', 'tags', 'parent', 'imageUrl', 'hidden', 'sortOrder'];
+
+// "progressive rock" -> "Progressive Rock"
+const displayName = (tag) => tag.replace(/(^|[\s-])(\w)/g, (match, separator, letter) => separator + letter.toUpperCase());
+
+// Sub-genres are inferred from tag names: a tag that ends with another,
+// shorter genre tag belongs to it ("poprock" and "hard rock" -> "rock").
+// The longest match wins so "deep tech house" lands under "tech house".
+const inferParent = (tag, tags) => tags
+  .filter(other => other !== tag && other.length >= 3 && tag.endsWith(other))
+  .sort((a, b) => b.length - a.length)[0] || null;
+
+class BrowseService {
+  constructor(registry = providers, catalog = musicAPI) {
+    this.providers = registry;
+    this.catalog = catalog;
+    this.refreshInterval = parseInt(process.env.BROWSE_REFRESH_INTERVAL) || 24 * 60 * 60 * 1000;
+    this.sampleSize = parseInt(process.env.BROWSE_TAG_SAMPLE_SIZE) || 400;
+    this.maxTags = parseInt(process.env.BROWSE_MAX_TAGS) || 40;
+
+    this.refreshing = null;
+    this.lastRefresh = null;
+    this.timer = null;
+  }
+
+  // Seed moods and rebuild genre categories when they are out of date
+  async start() {
+    await this.seedMoods();
+
+    const latest = await BrowseCategory.findOne({ type: 'genre' }).sort({ countedAt: -1 }).lean();
+    this.lastRefresh = latest?.countedAt || null;
+
+    const runRefresh = () => this.refresh().catch(error => {
+      console.error('Browse category refresh error:', error);
+    });
+
+    if (!this.lastRefresh || Date.now() - this.lastRefresh.getTime() >= this.refreshInterval) {
+      runRefresh();
+    }
+
+    this.timer = setInterval(runRefresh, this.refreshInterval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async seedMoods() {
+    await BrowseCategory.bulkWrite(defaultMoods.map(mood => ({
+      updateOne: {
+        filter: { type: 'mood', slug: mood.slug },
+        update: {
+          $setOnInsert: {
+            ...mood,
+            type: 'mood',
+            parent: null,
+            hidden: false,
+            sortOrder: 0,
+            createdBy: 'catalog',
+            curatedFields: []
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  // Concurrent callers share one rebuild
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.rebuild().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
+  }
+
+  // Rebuild genre categories from every provider's tag statistics and
+  // recount moods and admin-created categories. A provider that fails
+  // keeps its previous counts.
+  async rebuild() {
+    const counted = this.providers.list().filter(provider => provider.supports('getTagStats'));
+    const outcomes = await Promise.all(counted.map(async (provider) => {
+      try {
+        const { tags } = await provider.getTagStats({ sampleSize: this.sampleSize, maxTags: this.maxTags });
+        return { provider: provider.name, tags };
+      } catch (error) {
+        console.error(`Tag statistics error (${provider.name}):`, error.message);
+        return { provider: provider.name, error };
+      }
+    }));
+    const succeeded = outcomes.filter(outcome => !outcome.error);
+
+    // tag -> { name, counts: { provider: count } }
+    const merged = new Map();
+    succeeded.forEach(outcome => outcome.tags.forEach(({ tag, name, count }) => {
+      const key = tag.toLowerCase();
+      const entry = merged.get(key) || { name: name || key, counts: {} };
+      entry.counts[outcome.provider] = count;
+      merged.set(key, entry);
+    }));
+
+    const now = new Date();
+    const categories = await BrowseCategory.find();
+    const genres = new Map(categories.filter(category => category.type === 'genre').map(category => [category.slug, category]));
+    const catalogTags = [...merged.keys()];
+
+    merged.forEach((entry, tag) => {
+      const slug = toKey(tag);
+      if (!genres.has(slug)) {
+        const category = new BrowseCategory({ slug, type: 'genre', name: displayName(entry.name), tags: [tag] });
+        genres.set(slug, category);
+        categories.push(category);
+      }
+      genres.get(slug).lastSeenAt = now;
+    });
+
+    await Promise.all(categories.map(async (category) => {
+      if (category.type === 'genre' && category.createdBy === 'catalog') {
+        const entry = merged.get(category.tags[0]);
+        succeeded.forEach(outcome => {
+          category.providerCounts.set(outcome.provider, entry?.counts[outcome.provider] || 0);
+        });
+
+        if (!category.curatedFields.includes('parent')) {
+          const parent = inferParent(category.tags[0], catalogTags);
+          category.parent = parent ? toKey(parent) : null;
+        }
+      } else {
+        await this.countCategory(category);
+      }
+
+      category.trackCount = [...category.providerCounts.values()].reduce((sum, count) => sum + count, 0);
+      category.countedAt = now;
+      await category.save();
+    }));
+
+    this.lastRefresh = now;
+
+    return {
+      categories: categories.length,
+      refreshedAt: now,
+      providers: outcomes.map(outcome => ({
+        provider: outcome.provider,
+        status: outcome.error ? 'error' : 'ok',
+        ...(outcome.tags && { tags: outcome.tags.length }),
+        ...(outcome.error && { error: outcome.error.message })
+      }))
+    };
+  }
+
+  // Count a category's tracks per provider with a one-track browse query
+  async countCategory(category) {
+    const browsable = this.providers.list().filter(provider => provider.supports('browseTracks'));
+
+    await Promise.all(browsable.map(async (provider) => {
+      try {
+        const result = await this.catalog.browseTracks(
+          this.categoryFilters(category),
+          { limit: 1, offset: 0, provider: provider.name }
+        );
+        if (!result.degraded) {
+          category.providerCounts.set(provider.name, parseInt(result.total) || 0);
+        }
+      } catch (error) {
+        console.error(`Category count error (${provider.name}, ${category.slug}):`, error.message);
+      }
+    }));
+  }
+
+  // A single tag must match; several tags match any of them
+  categoryFilters(category, extraTags = []) {
+    const tags = [...new Set([...category.tags, ...extraTags])];
+    return tags.length === 1 ? { tags } : { anyTags: tags };
+  }
+
+  // Visible categories of one type. Genres are listed top-level unless a
+  // parent is given, and only when the catalog has tracks for them.
+  async listCategories(type, options = {}) {
+    const { parent, includeSubgenres = false, includeHidden = false } = options;
+    const filter = { type };
+
+    if (!includeHidden) filter.hidden = false;
+    if (type === 'genre') {
+      if (parent) filter.parent = parent;
+      else if (!includeSubgenres) filter.parent = null;
+      if (!includeHidden) filter.$or = [{ trackCount: { $gt: 0 } }, { createdBy: 'admin' }];
+    }
+
+    const categories = await BrowseCategory.find(filter).sort({ sortOrder: -1, trackCount: -1, name: 1 });
+    if (type !== 'genre') return categories.map(category => category.toBrowseJSON());
+
+    const subgenreCounts = await BrowseCategory.aggregate([
+      {
+        $match: {
+          type: 'genre',
+          hidden: false,
+          trackCount: { $gt: 0 },
+          parent: { $in: categories.map(category => category.slug) }
+        }
+      },
+      { $group: { _id: '$parent', count: { $sum: 1 } } }
+    ]);
+    const countsByParent = new Map(subgenreCounts.map(entry => [entry._id, entry.count]));
+
+    return categories.map(category => ({
+      ...category.toBrowseJSON(),
+      subgenreCount: countsByParent.get(category.slug) || 0
+    }));
+  }
+
+  async getCategory(type, slug) {
+    return BrowseCategory.findOne({ type, slug, hidden: false });
+  }
+
+  async getSubgenres(slug) {
+    return this.listCategories('genre', { parent: slug });
+  }
+
+  // Tracks in a category, optionally including its sub-genres and narrowed
+  // by speed or vocal/instrumental
+  async getCategoryTracks(category, options = {}) {
+    const { includeSubgenres = false, speed, vocalInstrumental, limit = 20, offset = 0, provider, quality } = options;
+    let extraTags = [];
+
+    if (includeSubgenres && category.type === 'genre') {
+      const subgenres = await BrowseCategory.find({ type: 'genre', parent: category.slug, hidden: false }).lean();
+      extraTags = subgenres.flatMap(subgenre => subgenre.tags);
+    }
+
+    return this.catalog.browseTracks(
+      { ...this.categoryFilters(category, extraTags), speed, vocalInstrumental },
+      { limit, offset, provider, quality }
+    );
+  }
+
+  // Filter values accepted by the browse endpoints
+  getFilters() {
+    return {
+      speeds: speeds.map(({ id, name }) => ({ id, name })),
+      vocalInstrumental: ['vocal', 'instrumental']
+    };
+  }
+
+  // Admin curation
+
+  async listAllCategories(type) {
+    const categories = await BrowseCategory.find(type ? { type } : {}).sort({ type: 1, sortOrder: -1, trackCount: -1 });
+    return categories.map(category => ({
+      ...category.toBrowseJSON(),
+      hidden: category.hidden,
+      sortOrder: category.sortOrder,
+      createdBy: category.createdBy,
+      curatedFields: category.curatedFields,
+      lastSeenAt: category.lastSeenAt
+    }));
+  }
+
+  // Returns null when the slug is already taken
+  async createCategory(fields) {
+    const slug = toKey(fields.slug || fields.name);
+    if (await BrowseCategory.exists({ type: fields.type, slug })) return null;
+
+    const category = new BrowseCategory({
+      slug,
+      type: fields.type,
+      createdBy: 'admin',
+      tags: [slug]
+    });
+    this.applyChanges(category, fields);
+
+    await this.countCategory(category);
+    category.trackCount = [...category.providerCounts.values()].reduce((sum, count) => sum + count, 0);
+    category.countedAt = new Date();
+
+    return category.save();
+  }
+
+  async updateCategory(type, slug, changes) {
+    const category = await BrowseCategory.findOne({ type, slug });
+    if (!category) return null;
+
+    this.applyChanges(category, changes);
+
+    if (changes.tags !== undefined) {
+      await this.countCategory(category);
+      category.trackCount = [...category.providerCounts.values()].reduce((sum, count) => sum + count, 0);
+      category.countedAt = new Date();
+    }
+
+    return category.save();
+  }
+
+  applyChanges(category, changes) {
+    curatableFields.forEach(field => {
+      if (changes[field] === undefined) return;
+
+      category[field] = field === 'tags'
+        ? changes.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean)
+        : changes[field];
+
+      if (!category.curatedFields.includes(field)) {
+        category.curatedFields.push(field);
+      }
+    });
+  }
+
+  // Categories built from the catalog or seeded moods would come back on
+  // the next refresh or restart, so those are hidden instead of deleted
+  async removeCategory(type, slug) {
+    const category = await BrowseCategory.findOne({ type, slug });
+    if (!category) return null;
+
+    if (category.createdBy === 'admin') {
+      await category.deleteOne();
+      return 'deleted';
+    }
+
+    this.applyChanges(category, { hidden: true });
+    await category.save();
+    return 'hidden';
+  }
+}
+
+module.exports = new BrowseService();
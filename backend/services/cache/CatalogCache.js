@@ -0,0 +1,224 @@
+// Size-bounded LRU cache for catalog responses with per-endpoint TTLs,
+// stale-while-revalidate and an optional persistent store behind it.
+//
+// Each entry has two deadlines: after `expiresAt` it is stale and the next
+// read triggers a background refresh while still returning the old data;
+// after `staleUntil` the next read waits for a fetch. Entries are kept until
+// `keepUntil` (or LRU eviction) so that, if that fetch fails, the last known
+// good data can still be served as a degraded response.
+// Concurrent fetches for the same key share one pending promise.
+class CatalogCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+    this.defaultTtl = options.defaultTtl || 5 * 60 * 1000;
+    this.staleTtl = options.staleTtl ?? 60 * 60 * 1000;
+    this.fallbackTtl = options.fallbackTtl ?? 7 * 24 * 60 * 60 * 1000;
+    this.ttls = options.ttls || {};
+    this.store = options.store || null;
+
+    this.entries = new Map();
+    this.bytes = 0;
+    this.inFlight = new Map();
+    this.stats = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      coalesced: 0,
+      storeHits: 0,
+      refreshes: 0,
+      refreshErrors: 0,
+      fallbacks: 0,
+      evictions: 0
+    };
+  }
+
+  getKey(endpoint, params) {
+    return `${endpoint}_${JSON.stringify(params)}`;
+  }
+
+  getTtl(endpoint) {
+    return this.ttls[endpoint] || this.defaultTtl;
+  }
+
+  // Return cached data for the request, fetching it when missing or expired.
+  // Resolves to { data, source, degraded, storedAt } where source is one of
+  // 'cache', 'stale', 'upstream' or 'fallback'.
+  async lookup(endpoint, params, fetchFunction) {
+    const key = this.getKey(endpoint, params);
+    let entry = this.entries.get(key) || await this.loadFromStore(key);
+    const now = Date.now();
+
+    if (entry && now >= entry.keepUntil) {
+      this.removeFromMemory(key);
+      entry = null;
+    }
+
+    if (entry && now < entry.expiresAt) {
+      this.touch(key, entry);
+      this.stats.hits += 1;
+      return { data: entry.data, source: 'cache', degraded: false, storedAt: entry.storedAt };
+    }
+
+    if (entry && now < entry.staleUntil) {
+      this.touch(key, entry);
+      this.stats.staleHits += 1;
+      this.refresh(key, endpoint, params, fetchFunction);
+      return { data: entry.data, source: 'stale', degraded: false, storedAt: entry.storedAt };
+    }
+
+    this.stats.misses += 1;
+
+    try {
+      const data = await this.fetchOnce(key, endpoint, params, fetchFunction);
+      return { data, source: 'upstream', degraded: false, storedAt: Date.now() };
+    } catch (error) {
+      if (!entry) throw error;
+
+      this.stats.fallbacks += 1;
+      console.warn(`Serving last known good data for ${endpoint}:`, error.message);
+      return { data: entry.data, source: 'fallback', degraded: true, storedAt: entry.storedAt, error };
+    }
+  }
+
+  async getOrFetch(endpoint, params, fetchFunction) {
+    const { data } = await this.lookup(endpoint, params, fetchFunction);
+    return data;
+  }
+
+  // Start a fetch for the key, or join the one already in flight
+  fetchOnce(key, endpoint, params, fetchFunction) {
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      this.stats.coalesced += 1;
+      return pending;
+    }
+
+    const request = Promise.resolve()
+      .then(fetchFunction)
+      .then(data => {
+        this.set(key, endpoint, params, data);
+        return data;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  // Refetch an entry in the background, once per key at a time
+  refresh(key, endpoint, params, fetchFunction) {
+    if (this.inFlight.has(key)) return;
+
+    this.stats.refreshes += 1;
+    this.fetchOnce(key, endpoint, params, fetchFunction).catch(error => {
+      this.stats.refreshErrors += 1;
+      console.error(`Cache refresh error (${endpoint}):`, error.message);
+    });
+  }
+
+  set(key, endpoint, params, data) {
+    const now = Date.now();
+    const entry = {
+      data,
+      endpoint,
+      provider: params?.provider || null,
+      storedAt: now,
+      expiresAt: now + this.getTtl(endpoint),
+      staleUntil: now + this.getTtl(endpoint) + this.staleTtl,
+      keepUntil: now + this.getTtl(endpoint) + this.staleTtl + this.fallbackTtl,
+      size: Buffer.byteLength(JSON.stringify(data) || '')
+    };
+
+    this.setInMemory(key, entry);
+
+    if (this.store) {
+      this.store.set(key, entry).catch(error => {
+        console.error('Cache store write error:', error.message);
+      });
+    }
+  }
+
+  setInMemory(key, entry) {
+    this.removeFromMemory(key);
+    this.entries.set(key, entry);
+    this.bytes += entry.size;
+    this.evict();
+  }
+
+  // Move an entry to the most recently used position
+  touch(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+  }
+
+  // Drop least recently used entries until both limits are respected
+  evict() {
+    while (this.entries.size > this.maxEntries || (this.bytes > this.maxBytes && this.entries.size > 1)) {
+      const oldestKey = this.entries.keys().next().value;
+      this.removeFromMemory(oldestKey);
+      this.stats.evictions += 1;
+    }
+  }
+
+  removeFromMemory(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.bytes -= entry.size;
+      this.entries.delete(key);
+    }
+  }
+
+  async loadFromStore(key) {
+    if (!this.store) return null;
+
+    try {
+      const entry = await this.store.get(key);
+      if (!entry || Date.now() >= entry.keepUntil) return null;
+
+      this.stats.storeHits += 1;
+      this.setInMemory(key, entry);
+      return entry;
+    } catch (error) {
+      console.error('Cache store read error:', error.message);
+      return null;
+    }
+  }
+
+  // Remove entries matching an endpoint and/or provider, or everything
+  async purge(filter = {}) {
+    const { endpoint, provider } = filter;
+    let removed = 0;
+
+    for (const [key, entry] of this.entries) {
+      if ((endpoint && entry.endpoint !== endpoint) || (provider && entry.provider !== provider)) {
+        continue;
+      }
+      this.removeFromMemory(key);
+      removed += 1;
+    }
+
+    if (this.store) {
+      await this.store.purge(filter);
+    }
+
+    return removed;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hitRate: lookups ? (this.stats.hits + this.stats.staleHits) / lookups : 0,
+      entries: this.entries.size,
+      inFlight: this.inFlight.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      store: this.store ? this.store.name : 'memory'
+    };
+  }
+}
+
+module.exports = CatalogCache;
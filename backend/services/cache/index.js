@@ -0,0 +1,32 @@
+const CatalogCache = require('./CatalogCache');
+const { createStore } = require('./stores');
+
+// Fresh-data lifetime per catalog endpoint
+const endpointTtls = {
+  search_tracks: 5 * 60 * 1000,
+  search_artists: 5 * 60 * 1000,
+  popular_tracks: 10 * 60 * 1000,
+  browse_tracks: 15 * 60 * 1000,
+  artist_tracks: 15 * 60 * 1000,
+  search_albums: 5 * 60 * 1000,
+  artist_albums: 30 * 60 * 1000,
+  album_tracks: 60 * 60 * 1000,
+  album_detail: 60 * 60 * 1000,
+  track_detail: 60 * 60 * 1000,
+  artist_detail: 60 * 60 * 1000
+};
+
+const createCatalogCache = () => new CatalogCache({
+  maxEntries: parseInt(process.env.CATALOG_CACHE_MAX_ENTRIES) || 1000,
+  maxBytes: parseInt(process.env.CATALOG_CACHE_MAX_BYTES) || 50 * 1024 * 1024,
+  staleTtl: parseInt(process.env.CATALOG_CACHE_STALE_TTL) || 60 * 60 * 1000,
+  fallbackTtl: parseInt(process.env.CATALOG_CACHE_FALLBACK_TTL) || 7 * 24 * 60 * 60 * 1000,
+  ttls: endpointTtls,
+  store: createStore()
+});
+
+module.exports = {
+  CatalogCache,
+  endpointTtls,
+  createCatalogCache
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const CacheEntry = require('../../models/CacheEntry');
+
+// Persistent cache store backed by the CacheEntry collection. Mongo's TTL
+// monitor removes entries once they can no longer be served as a fallback.
+class MongoCacheStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  async get(key) {
+    return CacheEntry.findOne({ key }).lean();
+  }
+
+  async set(key, entry) {
+    await CacheEntry.updateOne(
+      { key },
+      { $set: { ...entry, key, removeAt: new Date(entry.keepUntil) } },
+      { upsert: true }
+    );
+  }
+
+  async purge({ endpoint, provider } = {}) {
+    const filter = {};
+    if (endpoint) filter.endpoint = endpoint;
+    if (provider) filter.provider = provider;
+
+    await CacheEntry.deleteMany(filter);
+  }
+}
+
+// Persistent cache store writing one JSON file per entry to a directory
+class DiskCacheStore {
+  constructor(directory) {
+    this.name = 'disk';
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  async get(key) {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+
+      if (Date.now() >= entry.keepUntil) {
+        await fs.promises.unlink(this.filePath(key)).catch(() => {});
+        return null;
+      }
+
+      return entry;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.promises.writeFile(this.filePath(key), JSON.stringify({ ...entry, key }));
+  }
+
+  // Files that cannot be read or parsed are removed whatever the filter, so
+  // one bad entry does not fail the purge
+  async purge({ endpoint, provider } = {}) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    await Promise.all(files.filter(file => file.endsWith('.json')).map(async (file) => {
+      const fullPath = path.join(this.directory, file);
+
+      if (endpoint || provider) {
+        const entry = await fs.promises.readFile(fullPath, 'utf8')
+          .then(content => JSON.parse(content))
+          .catch(() => null);
+        if (entry && ((endpoint && entry.endpoint !== endpoint) || (provider && entry.provider !== provider))) {
+          return;
+        }
+      }
+
+      await fs.promises.unlink(fullPath).catch(() => {});
+    }));
+  }
+}
+
+// Build the store selected by CATALOG_CACHE_STORE (memory, mongo or disk)
+const createStore = (type = process.env.CATALOG_CACHE_STORE || 'memory') => {
+  switch (type) {
+    case 'mongo':
+      return new MongoCacheStore();
+    case 'disk':
+      return new DiskCacheStore(
+        process.env.CATALOG_CACHE_DIR || path.join(__dirname, '../../.cache/catalog')
+      );
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  MongoCacheStore,
+  DiskCacheStore,
+  createStore
+};
@@ -0,0 +1,378 @@
+const mongoose = require('mongoose');
+const Chart = require('../models/Chart');
+const PlayEvent = require('../models/PlayEvent');
+const Playlist = require('../models/Playlist');
+const BrowseCategory = require('../models/BrowseCategory');
+const listeningStats = require('./listeningStats');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const utcMidnight = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+// Charts cover whole UTC days and Monday-to-Sunday UTC weeks
+const periods = {
+  daily: {
+    length: DAY,
+    start: (date) => utcMidnight(date)
+  },
+  weekly: {
+    length: 7 * DAY,
+    start: (date) => utcMidnight(date) - ((date.getUTCDay() + 6) % 7) * DAY
+  }
+};
+const periodIds = Object.keys(periods);
+const kinds = ['tracks', 'artists', 'playlists'];
+
+const lower = (value) => (value || '').toLowerCase();
+
+// Lowercased tags of a chart entry. Plays recorded before tags were kept
+// only have their genre.
+const tagSet = (...tags) => [...new Set(tags.flat().filter(Boolean).map(lower))];
+
+// Computes charts of what users play into the charts collection. The last
+// complete day and week are recomputed on every refresh, since players
+// upload plays made offline later.
+class ChartService {
+  constructor() {
+    this.refreshInterval = parseInt(process.env.CHARTS_REFRESH_INTERVAL) || 60 * 60 * 1000;
+    this.size = parseInt(process.env.CHARTS_SIZE) || 200;
+
+    this.refreshing = null;
+    this.timer = null;
+  }
+
+  start() {
+    const runRefresh = () => this.refresh().catch(error => {
+      console.error('Chart refresh error:', error);
+    });
+
+    runRefresh();
+    this.timer = setInterval(runRefresh, this.refreshInterval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Concurrent callers share one rebuild
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.rebuild().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
+  }
+
+  // Compute the latest complete period of each chart, and the one before
+  // it when missing so movement can be shown
+  async rebuild(now = new Date()) {
+    const computed = [];
+    const categories = await BrowseCategory.find({ type: { $in: ['genre', 'mood'] }, hidden: false })
+      .select('type slug tags')
+      .lean();
+
+    for (const period of periodIds) {
+      const { start, length } = periods[period];
+      const latest = start(now) - length;
+
+      for (const kind of kinds) {
+        await this.computeChart(period, kind, latest, categories);
+        computed.push({ period, kind, periodStart: new Date(latest) });
+
+        const previous = latest - length;
+        if (!await Chart.exists({ period, kind, category: '', periodStart: new Date(previous) })) {
+          await this.computeChart(period, kind, previous, categories);
+          computed.push({ period, kind, periodStart: new Date(previous) });
+        }
+      }
+    }
+
+    return { computed, refreshedAt: new Date() };
+  }
+
+  // Rank everything played in the period once, then store the top of the
+  // overall chart and of each genre and mood within it
+  async computeChart(period, kind, periodStart, categories = []) {
+    const from = new Date(periodStart);
+    const to = new Date(periodStart + periods[period].length);
+    const counted = [
+      { $match: { occurredAt: { $gte: from, $lt: to } } },
+      ...(kind === 'playlists' ? [{ $match: { 'context.type': 'playlist', 'context.id': { $exists: true } } }] : []),
+      ...listeningStats.playStages(),
+      { $match: { counted: true } }
+    ];
+
+    const entries = await this[`${kind}Entries`](counted);
+    const charts = [
+      { category: '', entries },
+      ...categories.map(category => ({
+        category: `${category.type}:${category.slug}`,
+        entries: entries.filter(entry => this.matches(kind, entry, { [category.type]: category }))
+      }))
+    ];
+    const computedAt = new Date();
+
+    await Chart.bulkWrite(charts.map(chart => ({
+      updateOne: {
+        filter: { period, kind, category: chart.category, periodStart: from },
+        update: {
+          periodEnd: to,
+          entries: chart.entries.slice(0, this.size).map((entry, index) => ({ ...entry, rank: index + 1 })),
+          computedAt
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  // Most plays first; ties go to the entry more people played
+  rankStages() {
+    return [
+      { $addFields: { listenerCount: { $size: '$listeners' } } },
+      { $project: { listeners: 0 } },
+      { $sort: { plays: -1, listenerCount: -1, _id: 1 } }
+    ];
+  }
+
+  async tracksEntries(counted) {
+    const results = await PlayEvent.aggregate([
+      ...counted,
+      {
+        $group: {
+          _id: '$trackId',
+          plays: { $sum: 1 },
+          listeners: { $addToSet: '$user' },
+          track: { $last: '$track' }
+        }
+      },
+      ...this.rankStages()
+    ]).allowDiskUse(true);
+
+    return results.map(({ _id, plays, listenerCount, track }) => ({
+      id: _id,
+      plays,
+      listenerCount,
+      title: track?.title,
+      artist: track?.artist,
+      artistId: track?.artistId,
+      albumName: track?.albumName,
+      imageUrl: track?.imageUrl,
+      genre: track?.genre,
+      tags: tagSet(track?.tags || [], track?.genre)
+    }));
+  }
+
+  async artistsEntries(counted) {
+    const results = await PlayEvent.aggregate([
+      ...counted,
+      { $match: { artistKey: { $nin: [null, ''] } } },
+      {
+        $group: {
+          _id: '$artistKey',
+          plays: { $sum: 1 },
+          listeners: { $addToSet: '$user' },
+          name: { $last: '$track.artist' },
+          genres: { $addToSet: '$track.genre' },
+          tags: { $addToSet: '$track.tags' }
+        }
+      },
+      ...this.rankStages()
+    ]).allowDiskUse(true);
+
+    return results.map(({ _id, plays, listenerCount, name, genres, tags }) => ({
+      id: _id,
+      plays,
+      listenerCount,
+      name,
+      genres: genres.filter(Boolean),
+      tags: tagSet(genres, tags.filter(Array.isArray).flat())
+    }));
+  }
+
+  // Only public playlists are charted
+  async playlistsEntries(counted) {
+    const results = await PlayEvent.aggregate([
+      ...counted,
+      {
+        $group: {
+          _id: '$context.id',
+          plays: { $sum: 1 },
+          listeners: { $addToSet: '$user' }
+        }
+      },
+      ...this.rankStages()
+    ]).allowDiskUse(true);
+
+    const playlists = await Playlist.find({
+      _id: { $in: results.map(result => result._id).filter(id => mongoose.isValidObjectId(id)) },
+      isPublic: true,
+      isActive: true
+    }).select('name coverImage mood genre owner');
+    const byId = new Map(playlists.map(playlist => [playlist._id.toString(), playlist]));
+
+    return results
+      .filter(result => byId.has(result._id))
+      .map(({ _id, plays, listenerCount }) => {
+        const playlist = byId.get(_id);
+        return {
+          id: _id,
+          plays,
+          listenerCount,
+          name: playlist.name,
+          imageUrl: playlist.coverImage,
+          mood: playlist.mood,
+          genre: playlist.genre,
+          owner: playlist.owner
+        };
+      });
+  }
+
+  // Tags matched by the genre and mood filters. Returns null when a
+  // filter names an unknown category.
+  async resolveFilters({ genre, mood }) {
+    const filters = {};
+
+    for (const [type, slug] of [['genre', genre], ['mood', mood]]) {
+      if (!slug) continue;
+      const category = await BrowseCategory.findOne({ type, slug, hidden: false }).lean();
+      if (!category) return null;
+      filters[type] = { slug, tags: category.tags };
+    }
+
+    return filters;
+  }
+
+  // Whether an entry belongs to every filter's category. Tracks and
+  // artists match on any of their tags, playlists on their genre or mood.
+  matches(kind, entry, filters) {
+    return Object.entries(filters).every(([type, { slug, tags }]) => {
+      const wanted = tags.map(lower);
+      if (kind === 'playlists') {
+        return wanted.includes(lower(entry.genre)) || (type === 'mood' && entry.mood === slug);
+      }
+
+      const entryTags = tagSet(entry.tags || [], kind === 'tracks' ? entry.genre : entry.genres);
+      return entryTags.some(tag => wanted.includes(tag));
+    });
+  }
+
+  // The chart of a genre or mood, with movement against the previous
+  // period's chart of the same category. With both filters the genre chart
+  // is narrowed to the mood. Without a date the latest computed chart is
+  // returned. Returns null when there is no such chart.
+  async getChart(period, kind, options = {}) {
+    const { date, limit = 50, filters = {} } = options;
+    const { start, length } = periods[period];
+
+    const [primary, ...others] = Object.entries(filters);
+    const category = primary ? `${primary[0]}:${primary[1].slug}` : '';
+    const narrowing = Object.fromEntries(others);
+
+    const chart = await Chart.findOne({
+      period,
+      kind,
+      category,
+      ...(date && { periodStart: new Date(start(date)) })
+    }).sort({ periodStart: -1 }).populate('entries.owner', 'username profile.displayName isActive');
+    if (!chart) return null;
+
+    const previous = await Chart.findOne({
+      period,
+      kind,
+      category,
+      periodStart: new Date(chart.periodStart.getTime() - length)
+    }).lean();
+
+    // Playlists made private since the charts were computed are left out
+    // before ranking, in both periods
+    let visible = null;
+    if (kind === 'playlists') {
+      const ids = [...chart.entries, ...(previous?.entries || [])].map(entry => entry.id);
+      const stillPublic = await Playlist.find({
+        _id: { $in: [...new Set(ids)] },
+        isPublic: true,
+        isActive: true
+      }).distinct('_id');
+      visible = new Set(stillPublic.map(id => id.toString()));
+    }
+
+    const narrow = (entries) => entries
+      .filter(entry => (!visible || visible.has(entry.id)) && this.matches(kind, entry, narrowing))
+      .map((entry, index) => ({ ...entry, rank: index + 1 }));
+
+    const previousRanks = new Map(narrow(previous?.entries || []).map(entry => [entry.id, entry.rank]));
+    const entries = narrow(chart.entries.map(entry => entry.toObject()));
+
+    return {
+      period,
+      kind,
+      periodStart: chart.periodStart,
+      periodEnd: chart.periodEnd,
+      computedAt: chart.computedAt,
+      hasPrevious: Boolean(previous),
+      entries: entries.slice(0, limit).map(entry => this.toEntryJSON(kind, entry, previousRanks.get(entry.id)))
+    };
+  }
+
+  toEntryJSON(kind, entry, previousRank) {
+    let movement = 'new';
+    if (previousRank) {
+      movement = previousRank > entry.rank ? 'up' : previousRank < entry.rank ? 'down' : 'same';
+    }
+
+    const ranking = {
+      rank: entry.rank,
+      previousRank: previousRank || null,
+      movement,
+      change: previousRank ? previousRank - entry.rank : null,
+      plays: entry.plays,
+      listenerCount: entry.listenerCount
+    };
+
+    if (kind === 'tracks') {
+      return {
+        ...ranking,
+        trackId: entry.id,
+        title: entry.title,
+        artist: entry.artist,
+        artistId: entry.artistId,
+        albumName: entry.albumName,
+        imageUrl: entry.imageUrl,
+        genre: entry.genre
+      };
+    }
+
+    if (kind === 'artists') {
+      return { ...ranking, artistId: entry.id, name: entry.name, genres: entry.genres };
+    }
+
+    return {
+      ...ranking,
+      playlistId: entry.id,
+      name: entry.name,
+      imageUrl: entry.imageUrl,
+      mood: entry.mood,
+      genre: entry.genre,
+      owner: entry.owner?.isActive
+        ? { id: entry.owner._id, username: entry.owner.username, displayName: entry.owner.profile?.displayName }
+        : null
+    };
+  }
+
+  // The top of every latest chart
+  async getOverview({ limit = 5, filters = {} } = {}) {
+    const charts = await Promise.all(periodIds.flatMap(period => kinds.map(kind => (
+      this.getChart(period, kind, { limit, filters })
+    ))));
+
+    return charts.filter(Boolean);
+  }
+}
+
+module.exports = new ChartService();
+module.exports.periodIds = periodIds;
+module.exports.kinds = kinds;
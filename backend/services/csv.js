@@ -0,0 +1,64 @@
+// Minimal RFC 4180 CSV reading and writing for imports and exports
+
+// Parse CSV text into rows of strings. Handles quoted fields with commas,
+// doubled quotes and line breaks, and CRLF or LF line endings.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines come back as a single empty field
+  return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+};
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write objects as CSV with a header row. `columns` lists the keys, in order.
+const toCsv = (rows, columns) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => escapeField(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,136 @@
+const { parseCsv } = require('./csv');
+const { PlaylistError } = require('./playlistAccess');
+
+// Playlist exports of other streaming services. Parsers return playlists of
+// { name, entries: [{ title, artist, album, duration }] } with durations in
+// seconds. Known layouts: Spotify account data (Playlist1.json), Spotify
+// Web API style JSON, Exportify and TuneMyMusic CSV, and JSON or CSV with
+// title/artist/album/duration columns.
+
+// Candidate names of each column, lowercased
+const columnNames = {
+  title: ['track name', 'trackname', 'track_name', 'title', 'song', 'song name', 'name', 'track'],
+  artist: ['artist name(s)', 'artist name', 'artistname', 'artist_name', 'artist', 'artists', 'creator'],
+  album: ['album name', 'albumname', 'album_name', 'album', 'release'],
+  duration: ['duration (ms)', 'duration_ms', 'durationms', 'duration', 'length', 'time'],
+  playlist: ['playlist name', 'playlist', 'playlist_name']
+};
+
+// "3:45" or "1:02:03", milliseconds when the column says so or the number
+// is too large for seconds, otherwise seconds
+const parseDuration = (value, inMilliseconds) => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+  }
+
+  const number = parseFloat(text);
+  if (!Number.isFinite(number) || number <= 0) return null;
+  return Math.round(inMilliseconds || number > 10000 ? number / 1000 : number);
+};
+
+// Several artists are matched on the first one
+const firstArtist = (value) => {
+  if (Array.isArray(value)) value = value[0]?.name ?? value[0];
+  return String(value ?? '').split(/\s*[,;]\s*|\s+&\s+|\s+feat\.?\s+/i)[0].trim();
+};
+
+const lookup = (object, names) => {
+  const key = Object.keys(object).find(candidate => names.includes(candidate.toLowerCase()));
+  return key === undefined ? undefined : object[key];
+};
+
+const fromObject = (item) => {
+  // Spotify items wrap the track: { track: { trackName | name, ... } }
+  const source = item.track && typeof item.track === 'object' ? item.track : item;
+  const durationKey = Object.keys(source).find(key => columnNames.duration.includes(key.toLowerCase()));
+  const album = lookup(source, columnNames.album);
+
+  return {
+    title: String(lookup(source, columnNames.title) ?? '').trim(),
+    artist: firstArtist(lookup(source, columnNames.artist)),
+    album: String((album && typeof album === 'object' ? album.name : album) ?? '').trim(),
+    duration: durationKey ? parseDuration(source[durationKey], /ms/i.test(durationKey)) : null
+  };
+};
+
+const parseJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new PlaylistError('The export must be valid JSON');
+  }
+
+  const toPlaylist = (playlist) => ({
+    name: String(playlist.name || playlist.title || '').trim(),
+    entries: (playlist.items || playlist.tracks || playlist.songs || []).filter(Boolean).map(fromObject)
+  });
+
+  if (Array.isArray(data)) return [{ name: '', entries: data.filter(Boolean).map(fromObject) }];
+  if (Array.isArray(data?.playlists)) return data.playlists.filter(Boolean).map(toPlaylist);
+  if (data && typeof data === 'object') return [toPlaylist(data)];
+
+  throw new PlaylistError('Unrecognized export layout');
+};
+
+const parseCsvExport = (content) => {
+  const rows = parseCsv(content);
+  if (!rows.length) return [];
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const column = (field) => columnNames[field].map(name => header.indexOf(name)).find(index => index >= 0);
+  const columns = {
+    title: column('title'),
+    artist: column('artist'),
+    album: column('album'),
+    duration: column('duration'),
+    playlist: column('playlist')
+  };
+  if (columns.title === undefined || columns.artist === undefined) {
+    throw new PlaylistError('The CSV needs track title and artist columns');
+  }
+  const durationInMs = columns.duration !== undefined && /ms/.test(header[columns.duration]);
+
+  // Exports of several playlists name each row's playlist
+  const playlists = new Map();
+  rows.slice(1).forEach(cells => {
+    const name = columns.playlist === undefined ? '' : (cells[columns.playlist] || '').trim();
+    if (!playlists.has(name)) playlists.set(name, { name, entries: [] });
+    playlists.get(name).entries.push({
+      title: (cells[columns.title] || '').trim(),
+      artist: firstArtist(cells[columns.artist]),
+      album: columns.album === undefined ? '' : (cells[columns.album] || '').trim(),
+      duration: columns.duration === undefined ? null : parseDuration(cells[columns.duration], durationInMs)
+    });
+  });
+
+  return [...playlists.values()];
+};
+
+const parsers = {
+  json: parseJson,
+  csv: parseCsvExport
+};
+const externalFormats = Object.keys(parsers);
+
+const detectFormat = (content) => (/^\s*[[{]/.test(content) ? 'json' : 'csv');
+
+// Parse an export into its playlists. Rows without a title or artist are
+// counted as invalid and dropped.
+const parseExternalPlaylists = (content, format = detectFormat(content)) => {
+  const playlists = parsers[format](content.replace(/^\uFEFF/, '')).map(playlist => {
+    const entries = playlist.entries.filter(entry => entry.title && entry.artist);
+    return { name: playlist.name, entries, invalid: playlist.entries.length - entries.length };
+  });
+
+  return { format, playlists: playlists.filter(playlist => playlist.entries.length || playlist.invalid) };
+};
+
+module.exports = {
+  externalFormats,
+  parseExternalPlaylists,
+  parseDuration
+};
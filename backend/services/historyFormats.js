@@ -0,0 +1,118 @@
+const { parseCsv } = require('./csv');
+
+// Listening history files users bring from other services. Each parser
+// returns rows of { artist, title, album, playedAt, secondsPlayed } where
+// playedAt is when the play started and secondsPlayed may be null.
+
+class HistoryFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HistoryFormatError';
+    this.statusCode = 400;
+  }
+}
+
+// Unix seconds or milliseconds, ISO 8601, or dates without a timezone
+// such as "31 Jan 2021 12:34" (taken as UTC)
+const parseDate = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  let time;
+  if (/^\d{9,10}$/.test(text)) time = parseInt(text) * 1000;
+  else if (/^\d{12,13}$/.test(text)) time = parseInt(text);
+  else if (/(Z|[+-]\d{2}:?\d{2}|UTC|GMT)$/i.test(text)) time = Date.parse(text);
+  else time = Date.parse(`${text} UTC`);
+
+  return Number.isNaN(time) ? null : new Date(time);
+};
+
+// Last.fm scrobble exports: either with a header naming the columns
+// (uts/utc_time, artist, album, track) or the headerless
+// "artist,album,track,date" layout
+const parseLastfm = (content) => {
+  const rows = parseCsv(content);
+  if (!rows.length) return [];
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const hasHeader = header.includes('artist') && header.includes('track');
+  const column = hasHeader
+    ? (...names) => names.map(name => header.indexOf(name)).find(index => index >= 0)
+    : (name) => ({ artist: 0, album: 1, track: 2, date: 3 })[name];
+
+  const columns = {
+    artist: column('artist', 'artist_name'),
+    album: column('album', 'album_name'),
+    title: column('track', 'track_name', 'name'),
+    date: hasHeader ? column('uts', 'utc_time', 'date', 'timestamp') : column('date')
+  };
+  if (columns.artist === undefined || columns.title === undefined || columns.date === undefined) {
+    throw new HistoryFormatError('Unrecognized Last.fm CSV columns');
+  }
+
+  return (hasHeader ? rows.slice(1) : rows).map(cells => ({
+    artist: (cells[columns.artist] || '').trim(),
+    title: (cells[columns.title] || '').trim(),
+    album: (cells[columns.album] || '').trim(),
+    playedAt: parseDate(cells[columns.date]),
+    secondsPlayed: null
+  }));
+};
+
+// Spotify streaming history: the account data export (endTime, artistName,
+// trackName, msPlayed) or the extended export (ts,
+// master_metadata_track_name, ..., ms_played). Both record when a play
+// ended; podcast episodes are skipped.
+const parseSpotify = (content) => {
+  let entries;
+  try {
+    entries = JSON.parse(content);
+  } catch (error) {
+    throw new HistoryFormatError('Spotify history must be a JSON array');
+  }
+  if (!Array.isArray(entries)) {
+    throw new HistoryFormatError('Spotify history must be a JSON array');
+  }
+
+  return entries
+    .filter(entry => entry && !entry.episode_name && !entry.spotify_episode_uri)
+    .map(entry => {
+      const extended = 'ts' in entry;
+      const msPlayed = extended ? entry.ms_played : entry.msPlayed;
+      const endedAt = parseDate(extended ? entry.ts : entry.endTime);
+      const secondsPlayed = Number.isFinite(msPlayed) ? Math.round(msPlayed / 1000) : null;
+
+      return {
+        artist: String((extended ? entry.master_metadata_album_artist_name : entry.artistName) || '').trim(),
+        title: String((extended ? entry.master_metadata_track_name : entry.trackName) || '').trim(),
+        album: String((extended ? entry.master_metadata_album_album_name : '') || '').trim(),
+        playedAt: endedAt && new Date(endedAt.getTime() - (secondsPlayed || 0) * 1000),
+        secondsPlayed
+      };
+    });
+};
+
+const parsers = {
+  lastfm: parseLastfm,
+  spotify: parseSpotify
+};
+const historyFormats = Object.keys(parsers);
+
+// JSON is Spotify; anything else is taken as a Last.fm CSV
+const detectFormat = (content) => (/^\s*[[{]/.test(content) ? 'spotify' : 'lastfm');
+
+// Parse a history file. Rows without an artist, title or valid date are
+// counted as invalid instead of failing the whole file.
+const parseHistory = (content, format = detectFormat(content)) => {
+  const rows = parsers[format](content);
+  const valid = rows.filter(row => row.artist && row.title && row.playedAt);
+
+  return { format, rows: valid, invalid: rows.length - valid.length };
+};
+
+module.exports = {
+  HistoryFormatError,
+  historyFormats,
+  parseDate,
+  parseHistory
+};
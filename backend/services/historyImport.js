@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const HistoryImport = require('../models/HistoryImport');
+const PlayEvent = require('../models/PlayEvent');
+const playEvents = require('./playEvents');
+const trackMatcher = require('./trackMatcher');
+const { normalizeText } = require('./searchRanking');
+const { parseHistory, HistoryFormatError } = require('./historyFormats');
+const { UpstreamError } = require('./upstream/errors');
+
+const MAX_ROWS = parseInt(process.env.HISTORY_IMPORT_MAX_ROWS) || 20000;
+const MAX_TRACKS = parseInt(process.env.HISTORY_IMPORT_MAX_TRACKS) || 2000;
+const INSERT_CHUNK = 1000;
+
+// Imports interrupted by the catalog being unavailable run again after a
+// minute, doubling each time; tracks still unsearched after the last retry
+// are reported unmatched
+const RETRY_DELAY = 60 * 1000;
+const RETRY_LIMIT = 5;
+
+// A play of at least this share of the track counts as played to the end
+const COMPLETE_SHARE = 0.9;
+
+const formatNames = {
+  lastfm: 'Last.fm import',
+  spotify: 'Spotify import'
+};
+
+const trackKey = (row) => `${normalizeText(row.artist)}|${normalizeText(row.title)}`;
+
+// Imports listening history files from other services into the PlayEvent
+// log. Files are parsed on upload and matched to the catalog in the
+// background, one import at a time, and run again later when the catalog
+// is unavailable. Imported plays get an eventId derived from the row, so
+// importing the same file twice adds nothing.
+class HistoryImportService {
+  constructor() {
+    this.processing = null;
+    this.queued = false;
+    this.retryTimer = null;
+  }
+
+  // Resume imports interrupted by a restart
+  async start() {
+    await HistoryImport.updateMany({ status: 'processing' }, { status: 'pending' });
+    this.processQueue();
+  }
+
+  // Parse a file and queue it. Throws HistoryFormatError for files that
+  // cannot be imported.
+  async create(userId, { content, format, fileName }) {
+    const parsed = parseHistory(content, format);
+
+    if (!parsed.rows.length) {
+      throw new HistoryFormatError('No plays found in the file');
+    }
+    if (parsed.rows.length > MAX_ROWS) {
+      throw new HistoryFormatError(`A file may contain at most ${MAX_ROWS} plays`);
+    }
+
+    const tracks = new Set(parsed.rows.map(trackKey)).size;
+    if (tracks > MAX_TRACKS) {
+      throw new HistoryFormatError(`A file may contain at most ${MAX_TRACKS} different tracks`);
+    }
+
+    const job = await HistoryImport.create({
+      user: userId,
+      format: parsed.format,
+      fileName,
+      rows: parsed.rows,
+      totals: {
+        rows: parsed.rows.length + parsed.invalid,
+        invalid: parsed.invalid,
+        tracks
+      }
+    });
+
+    this.processQueue();
+    return job;
+  }
+
+  // Process pending imports until none are left. A call made while the
+  // queue is running starts another pass afterwards.
+  processQueue() {
+    if (this.processing) {
+      this.queued = true;
+      return this.processing;
+    }
+
+    this.queued = false;
+    this.processing = this.drain()
+      .catch(error => {
+        console.error('History import queue error:', error);
+      })
+      .finally(() => {
+        this.processing = null;
+        if (this.queued) this.processQueue();
+      });
+
+    return this.processing;
+  }
+
+  async drain() {
+    let job;
+    while ((job = await this.claimNext())) {
+      try {
+        await this.run(job);
+      } catch (error) {
+        console.error(`History import error (${job._id}):`, error.message);
+        job.status = 'failed';
+        job.error = error.message;
+        job.finishedAt = new Date();
+        await job.save();
+      }
+    }
+
+    await this.scheduleRetry();
+  }
+
+  claimNext() {
+    return HistoryImport.findOneAndUpdate(
+      { status: 'pending', $or: [{ retryAt: null }, { retryAt: { $lte: new Date() } }] },
+      { status: 'processing', startedAt: new Date() },
+      { sort: { createdAt: 1 }, new: true }
+    ).select('+rows');
+  }
+
+  // Run the queue again when the next deferred import is due
+  async scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    const next = await HistoryImport.findOne({ status: 'pending', retryAt: { $gt: new Date() } })
+      .sort({ retryAt: 1 })
+      .select('retryAt');
+    if (!next) return;
+
+    this.retryTimer = setTimeout(() => this.processQueue(), next.retryAt - Date.now());
+    this.retryTimer.unref?.();
+  }
+
+  // Put an import back in the queue. Nothing is imported before every track
+  // is matched, so the next run starts over.
+  defer(job) {
+    job.set({
+      status: 'pending',
+      attempts: job.attempts + 1,
+      retryAt: new Date(Date.now() + RETRY_DELAY * 2 ** job.attempts),
+      'totals.processedTracks': 0
+    });
+    return job.save();
+  }
+
+  async run(job) {
+    // Rows of the same track are matched once
+    const groups = new Map();
+    job.rows.forEach(row => {
+      const key = trackKey(row);
+      if (!groups.has(key)) {
+        groups.set(key, { artist: row.artist, title: row.title, album: row.album, rows: [] });
+      }
+      groups.get(key).rows.push(row);
+    });
+
+    const matched = [];
+    const unmatched = [];
+    const events = [];
+    let processed = 0;
+
+    for (const group of groups.values()) {
+      let best = null;
+      let unavailable = false;
+      try {
+        best = await trackMatcher.findBest(group);
+      } catch (error) {
+        if (!(error instanceof UpstreamError)) throw error;
+        if (job.attempts < RETRY_LIMIT) return this.defer(job);
+        unavailable = true;
+      }
+
+      const entry = {
+        artist: group.artist,
+        title: group.title,
+        album: group.album,
+        plays: group.rows.length,
+        score: best?.score || 0
+      };
+
+      if (best && best.score >= trackMatcher.threshold) {
+        matched.push({ ...entry, trackId: best.track.id, matchedTitle: best.track.title, matchedArtist: best.track.artist });
+        group.rows.forEach(row => events.push(this.toEvent(job, row, best.track)));
+      } else {
+        unmatched.push({ ...entry, ...(unavailable && { reason: 'Catalog unavailable' }) });
+      }
+
+      processed += 1;
+      if (processed % 25 === 0) {
+        await HistoryImport.updateOne({ _id: job._id }, { 'totals.processedTracks': processed });
+      }
+    }
+
+    let imported = 0;
+    for (let start = 0; start < events.length; start += INSERT_CHUNK) {
+      imported += await this.insert(events.slice(start, start + INSERT_CHUNK));
+    }
+
+    const byPlays = (a, b) => b.plays - a.plays;
+    job.set({
+      status: 'completed',
+      matched: matched.sort(byPlays),
+      unmatched: unmatched.sort(byPlays),
+      'totals.processedTracks': processed,
+      'totals.matchedTracks': matched.length,
+      'totals.imported': imported,
+      'totals.duplicates': events.length - imported,
+      'totals.unmatched': unmatched.reduce((sum, entry) => sum + entry.plays, 0),
+      rows: undefined,
+      retryAt: undefined,
+      finishedAt: new Date()
+    });
+
+    return job.save();
+  }
+
+  // Insert events, skipping those imported before. Returns how many were added.
+  async insert(events) {
+    try {
+      const inserted = await PlayEvent.insertMany(events, { ordered: false });
+      return inserted.length;
+    } catch (error) {
+      if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) throw error;
+      return error.insertedDocs?.length ?? error.result?.insertedCount ?? 0;
+    }
+  }
+
+  toEvent(job, row, track) {
+    const seconds = row.secondsPlayed ?? track.duration ?? 0;
+    // Scrobbles without a play length only exist for complete plays
+    const completed = row.secondsPlayed === null || row.secondsPlayed === undefined ||
+      Boolean(track.duration && row.secondsPlayed >= track.duration * COMPLETE_SHARE);
+    const eventId = `import:${crypto.createHash('sha1')
+      .update([job.format, trackKey(row), row.playedAt.toISOString()].join('|'))
+      .digest('hex')}`;
+
+    return {
+      user: job.user,
+      eventId,
+      playId: eventId,
+      type: completed ? 'complete' : 'skip',
+      trackId: track.id,
+      track: playEvents.snapshot(track),
+      position: Math.round(seconds),
+      secondsListened: Math.round(seconds),
+      context: { type: 'other' },
+      device: { type: 'other', name: formatNames[job.format] },
+      origin: 'import',
+      occurredAt: row.playedAt
+    };
+  }
+
+  async list(userId) {
+    return HistoryImport.find({ user: userId })
+      .select('-matched -unmatched')
+      .sort({ createdAt: -1 })
+      .limit(50);
+  }
+
+  async get(userId, importId) {
+    return HistoryImport.findOne({ _id: importId, user: userId });
+  }
+
+  toJSON(job, { report = false } = {}) {
+    return {
+      id: job._id,
+      format: job.format,
+      fileName: job.fileName,
+      status: job.status,
+      totals: job.totals,
+      ...(job.error && { error: job.error }),
+      ...(job.status === 'pending' && job.retryAt && { retryAt: job.retryAt }),
+      ...(report && { matched: job.matched, unmatched: job.unmatched }),
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+module.exports = new HistoryImportService();
@@ -0,0 +1,275 @@
+const PlayEvent = require('../models/PlayEvent');
+const BrowseCategory = require('../models/BrowseCategory');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Statistics windows. "year" is a calendar year in the listener's timezone.
+const ranges = {
+  '4weeks': 28 * DAY,
+  '6months': 182 * DAY,
+  year: null,
+  all: null
+};
+const rangeIds = Object.keys(ranges);
+
+// Plays shorter than this count toward minutes listened but not play counts,
+// unless the track played to the end
+const MIN_PLAY_SECONDS = 30;
+
+// Order of MongoDB's $dayOfWeek (1 = Sunday)
+const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const isTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// "YYYY-MM-DD" of a date in a timezone
+const localDay = (date, timezone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: timezone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+const addDays = (day, days) => new Date(Date.parse(day) + days * DAY).toISOString().slice(0, 10);
+
+const toMinutes = (seconds) => Math.round(seconds / 60);
+
+// Aggregates listening statistics from the PlayEvent log. Every event of a
+// play carries the seconds listened so far, so a play's listening time is
+// the largest value among its events.
+class ListeningStatsService {
+  // Events belonging to a range, and the range's bounds
+  rangeMatch(userId, range, { year, timezone }) {
+    const now = new Date();
+
+    if (range === 'year') {
+      const start = Date.UTC(year, 0, 1);
+      const end = Date.UTC(year + 1, 0, 1);
+      return {
+        from: new Date(start),
+        to: new Date(Math.min(end, now.getTime())),
+        match: [
+          // Widened by a day on both sides so any timezone is covered
+          { $match: { user: userId, occurredAt: { $gte: new Date(start - DAY), $lt: new Date(end + DAY) } } },
+          { $match: { $expr: { $eq: [{ $year: { date: '$occurredAt', timezone } }, year] } } }
+        ]
+      };
+    }
+
+    const from = ranges[range] ? new Date(now.getTime() - ranges[range]) : null;
+    return {
+      from,
+      to: now,
+      match: [{ $match: { user: userId, ...(from && { occurredAt: { $gte: from } }) } }]
+    };
+  }
+
+  // One document per play, with its listening time and whether it counts
+  // as a play
+  playStages() {
+    return [
+      { $sort: { occurredAt: 1 } },
+      {
+        $group: {
+          _id: '$playId',
+          user: { $first: '$user' },
+          trackId: { $first: '$trackId' },
+          track: { $last: '$track' },
+          context: { $first: '$context' },
+          startedAt: { $first: '$occurredAt' },
+          seconds: { $max: '$secondsListened' },
+          completed: { $max: { $eq: ['$type', 'complete'] } },
+          origin: { $first: '$origin' },
+          legacy: { $max: { $eq: ['$origin', 'legacy'] } }
+        }
+      },
+      {
+        $addFields: {
+          counted: { $or: ['$legacy', '$completed', { $gte: ['$seconds', MIN_PLAY_SECONDS] }] },
+          artistKey: { $ifNull: ['$track.artistId', '$track.artist'] }
+        }
+      }
+    ];
+  }
+
+  // Top list of counted plays grouped by `key`
+  topStages(key, fields, limit) {
+    return [
+      { $match: { counted: true, [key.slice(1)]: { $nin: [null, ''] } } },
+      {
+        $group: {
+          _id: key,
+          plays: { $sum: 1 },
+          seconds: { $sum: '$seconds' },
+          ...fields
+        }
+      },
+      { $sort: { plays: -1, seconds: -1, _id: 1 } },
+      { $limit: limit }
+    ];
+  }
+
+  async getStats(userId, options = {}) {
+    const { range = '4weeks', timezone = 'UTC', limit = 10 } = options;
+    const year = range === 'year' ? (options.year || new Date().getUTCFullYear()) : undefined;
+    const { from, to, match } = this.rangeMatch(userId, range, { year, timezone });
+    const playsBy = (field) => ({ $sum: { $cond: [field, 1, 0] } });
+
+    const [result] = await PlayEvent.aggregate([
+      ...match,
+      ...this.playStages(),
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                plays: playsBy('$counted'),
+                completed: playsBy('$completed'),
+                seconds: { $sum: '$seconds' }
+              }
+            }
+          ],
+          uniqueTracks: [{ $match: { counted: true } }, { $group: { _id: '$trackId' } }, { $count: 'count' }],
+          uniqueArtists: [{ $match: { counted: true } }, { $group: { _id: '$artistKey' } }, { $count: 'count' }],
+          topTracks: this.topStages('$trackId', { track: { $last: '$track' } }, limit),
+          topArtists: this.topStages('$artistKey', { name: { $last: '$track.artist' } }, limit),
+          // Not limited: moods are derived from all genres
+          genres: this.topStages('$track.genre', {}, 1000),
+          heatmap: [
+            {
+              $group: {
+                _id: {
+                  weekday: { $dayOfWeek: { date: '$startedAt', timezone } },
+                  hour: { $hour: { date: '$startedAt', timezone } }
+                },
+                plays: playsBy('$counted'),
+                seconds: { $sum: '$seconds' }
+              }
+            }
+          ],
+          days: [
+            { $match: { counted: true } },
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt', timezone } } } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]).allowDiskUse(true);
+
+    const totals = result.totals[0] || { plays: 0, completed: 0, seconds: 0 };
+    const days = result.days.map(entry => entry._id);
+    const includesToday = range !== 'year' || year === new Date().getUTCFullYear();
+
+    return {
+      range,
+      ...(year && { year }),
+      timezone,
+      from,
+      to,
+      totals: {
+        plays: totals.plays,
+        completedPlays: totals.completed,
+        minutes: toMinutes(totals.seconds),
+        tracks: result.uniqueTracks[0]?.count || 0,
+        artists: result.uniqueArtists[0]?.count || 0,
+        activeDays: days.length
+      },
+      topTracks: result.topTracks.map(entry => ({
+        trackId: entry._id,
+        ...entry.track,
+        plays: entry.plays,
+        minutes: toMinutes(entry.seconds)
+      })),
+      topArtists: result.topArtists.map(entry => ({
+        artistId: entry._id,
+        name: entry.name,
+        plays: entry.plays,
+        minutes: toMinutes(entry.seconds)
+      })),
+      topGenres: result.genres.slice(0, limit).map(entry => ({
+        genre: entry._id,
+        plays: entry.plays,
+        minutes: toMinutes(entry.seconds)
+      })),
+      topMoods: (await this.moodsForGenres(result.genres)).slice(0, limit),
+      streaks: this.streaks(days, includesToday ? localDay(new Date(), timezone) : null),
+      heatmap: this.heatmap(result.heatmap)
+    };
+  }
+
+  // Tracks only record a genre, so plays are credited to every mood whose
+  // tags include it
+  async moodsForGenres(genres) {
+    const moods = await BrowseCategory.find({ type: 'mood', hidden: false }).lean();
+
+    return moods
+      .map(mood => {
+        const matching = genres.filter(entry => mood.tags.includes(entry._id.toLowerCase()));
+        return {
+          mood: mood.slug,
+          name: mood.name,
+          plays: matching.reduce((sum, entry) => sum + entry.plays, 0),
+          minutes: toMinutes(matching.reduce((sum, entry) => sum + entry.seconds, 0))
+        };
+      })
+      .filter(mood => mood.plays > 0)
+      .sort((a, b) => b.plays - a.plays || b.minutes - a.minutes);
+  }
+
+  // Longest run of consecutive listening days, and the run still going
+  // today (or yesterday, as today may not have started yet)
+  streaks(days, today) {
+    const runs = [];
+    days.forEach(day => {
+      const run = runs[runs.length - 1];
+      if (run && addDays(run.end, 1) === day) {
+        run.end = day;
+        run.days += 1;
+      } else {
+        runs.push({ days: 1, start: day, end: day });
+      }
+    });
+
+    const longest = runs.reduce((best, run) => (run.days > best.days ? run : best), { days: 0, start: null, end: null });
+    const last = runs[runs.length - 1];
+    const current = today && last && (last.end === today || addDays(last.end, 1) === today)
+      ? last
+      : { days: 0, start: null, end: null };
+
+    return { longest, current };
+  }
+
+  // Plays and minutes by hour of day, by weekday, and per weekday and hour
+  heatmap(cells) {
+    const grid = weekdays.map(() => Array.from({ length: 24 }, () => ({ plays: 0, seconds: 0 })));
+    cells.forEach(({ _id, plays, seconds }) => {
+      grid[_id.weekday - 1][_id.hour] = { plays, seconds };
+    });
+
+    const sum = (entries) => entries.reduce(
+      (total, entry) => ({ plays: total.plays + entry.plays, seconds: total.seconds + entry.seconds }),
+      { plays: 0, seconds: 0 }
+    );
+    const format = ({ plays, seconds }) => ({ plays, minutes: toMinutes(seconds) });
+
+    return {
+      hourOfDay: Array.from({ length: 24 }, (_, hour) => ({
+        hour,
+        ...format(sum(grid.map(row => row[hour])))
+      })),
+      dayOfWeek: weekdays.map((day, index) => ({ day, ...format(sum(grid[index])) })),
+      grid: weekdays.map((day, index) => ({ day, hours: grid[index].map(cell => cell.plays) }))
+    };
+  }
+}
+
+module.exports = new ListeningStatsService();
+module.exports.rangeIds = rangeIds;
+module.exports.isTimezone = isTimezone;
@@ -1,336 +1,357 @@
-const axios = require('axios');
+const providers = require('./providers');
+const { createCatalogCache } = require('./cache');
+const { scoreResults, dedupeResults } = require('./searchRanking');
+const { UpstreamError, UpstreamTimeoutError } = require('./upstream/errors');
+const { defaultMoods } = require('./providers/moods');
+const { defaultQualities } = require('./providers/audioQualities');
+const BrowseCategory = require('../models/BrowseCategory');
+
+// Largest window fetched from each provider for a federated search page
+const FEDERATED_MAX_WINDOW = 100;
+
+// Track results carry quality-specific audio URLs, so every track endpoint
+// takes a `quality` option and includes it in its cache key
+const DEFAULT_QUALITY = defaultQualities.unmetered;
 
 class MusicAPIService {
-  constructor() {
-    this.jamendoClientId = process.env.JAMENDO_CLIENT_ID;
-    this.jamendoBaseUrl = 'https://api.jamendo.com/v3.0';
+  constructor(registry = providers) {
+    this.providers = registry;
     
-    // Cache for API responses (simple in-memory cache)
-    this.cache = new Map();
-    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
-  }
+    // Cache for catalog responses (LRU with optional persistent store)
+    this.cache = createCatalogCache();
+    this.federatedTimeout = parseInt(process.env.FEDERATED_SEARCH_TIMEOUT) || 5000;
 
-  // Generic cache helper
-  getCacheKey(endpoint, params) {
-    return `${endpoint}_${JSON.stringify(params)}`;
+    // Drop cached results when a provider's catalog changes
+    this.providers.list().forEach(provider => {
+      provider.on('updated', () => this.invalidateProvider(provider.name));
+    });
   }
 
-  async getCachedOrFetch(cacheKey, fetchFunction) {
-    const cached = this.cache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-      return cached.data;
-    }
+  // Generic cache helper. List results are annotated with where they came
+  // from (cache, stale, upstream or fallback) and whether they are degraded,
+  // i.e. old data served because the upstream failed.
+  async getCachedOrFetch(endpoint, params, fetchFunction) {
+    const { data, source, degraded } = await this.cache.lookup(endpoint, params, fetchFunction);
+    return { ...data, source, degraded };
+  }
 
-    const data = await fetchFunction();
-    this.cache.set(cacheKey, { data, timestamp: Date.now() });
-    return data;
+  // Pick the provider named in options, or the default one
+  getProvider(name) {
+    return name ? this.providers.get(name) : this.providers.getDefault();
   }
 
-  // Jamendo API methods
+  // Catalog methods
   async searchTracks(query, options = {}) {
-    const {
-      limit = 20,
-      offset = 0,
-      order = 'popularity_total',
-      tags = '',
-      speed = '',
-      vocalinstrumental = '',
-      gender = '',
-      lang = ''
-    } = options;
-
-    const cacheKey = this.getCacheKey('search_tracks', { query, ...options });
-
-    return this.getCachedOrFetch(cacheKey, async () => {
-      try {
-        const params = {
-          client_id: this.jamendoClientId,
-          format: 'json',
-          limit,
-          offset,
-          order,
-          search: query,
-          include: 'musicinfo',
-          audioformat: 'mp32'
-        };
-
-        if (tags) params.tags = tags;
-        if (speed) params.speed = speed;
-        if (vocalinstrumental) params.vocalinstrumental = vocalinstrumental;
-        if (gender) params.gender = gender;
-        if (lang) params.lang = lang;
-
-        const response = await axios.get(`${this.jamendoBaseUrl}/tracks`, { params });
-        
-        return {
-          tracks: response.data.results.map(track => this.formatTrack(track)),
-          total: response.data.headers?.results_count || response.data.results.length,
-          hasMore: response.data.results.length === limit
-        };
-      } catch (error) {
-        console.error('Jamendo search error:', error.response?.data || error.message);
-        return { tracks: [], total: 0, hasMore: false };
-      }
-    });
+    const { provider: providerName, quality = DEFAULT_QUALITY, ...searchOptions } = options;
+    const provider = this.getProvider(providerName);
+
+    return this.getCachedOrFetch(
+      'search_tracks',
+      { provider: provider.name, query, ...searchOptions, quality },
+      () => provider.searchTracks(query, { ...searchOptions, quality })
+    );
   }
 
-  async getTrackById(trackId) {
-    const cacheKey = this.getCacheKey('track_detail', { trackId });
+  // Search every provider at once and merge the results. A provider that
+  // fails or times out is reported in `sources` instead of failing the search.
+  async federatedSearch(query, options = {}) {
+    const { limit = 20, offset = 0, provider, ...searchOptions } = options;
+    const windowSize = Math.min(offset + limit, FEDERATED_MAX_WINDOW);
+    const searchable = this.providers.list().filter(p => p.supports('searchTracks'));
+
+    const outcomes = await Promise.all(searchable.map(async (source) => {
+      const startedAt = Date.now();
+      let timer;
 
-    return this.getCachedOrFetch(cacheKey, async () => {
       try {
-        const response = await axios.get(`${this.jamendoBaseUrl}/tracks`, {
-          params: {
-            client_id: this.jamendoClientId,
-            format: 'json',
-            id: trackId,
-            include: 'musicinfo',
-            audioformat: 'mp32'
-          }
+        const timeout = new Promise((resolve, reject) => {
+          timer = setTimeout(
+            () => reject(new UpstreamTimeoutError(source.name, this.federatedTimeout)),
+            this.federatedTimeout
+          );
         });
+        const result = await Promise.race([
+          this.searchTracks(query, { ...searchOptions, limit: windowSize, offset: 0, provider: source.name }),
+          timeout
+        ]);
 
-        return response.data.results.length > 0 
-          ? this.formatTrack(response.data.results[0])
-          : null;
+        return { provider: source.name, status: 'ok', result, tookMs: Date.now() - startedAt };
       } catch (error) {
-        console.error('Jamendo track detail error:', error.response?.data || error.message);
-        return null;
+        console.error(`Federated search error (${source.name}):`, error.message);
+        return {
+          provider: source.name,
+          status: error instanceof UpstreamTimeoutError ? 'timeout' : 'error',
+          error,
+          tookMs: Date.now() - startedAt
+        };
+      } finally {
+        clearTimeout(timer);
       }
-    });
+    }));
+
+    const succeeded = outcomes.filter(outcome => outcome.status === 'ok');
+    if (succeeded.length === 0 && outcomes.length > 0) {
+      const upstreamError = outcomes.find(outcome => outcome.error instanceof UpstreamError)?.error;
+      throw upstreamError || new UpstreamError('No catalog sources are available', { statusCode: 503 });
+    }
+
+    const merged = dedupeResults(scoreResults(
+      succeeded.map(outcome => ({ provider: outcome.provider, tracks: outcome.result.tracks })),
+      query
+    ));
+    const withinWindow = offset + limit <= FEDERATED_MAX_WINDOW;
+
+    return {
+      tracks: merged.slice(offset, offset + limit).map(entry => entry.track),
+      total: succeeded.reduce((sum, outcome) => sum + (parseInt(outcome.result.total) || 0), 0),
+      hasMore: withinWindow && (merged.length > offset + limit || succeeded.some(outcome => outcome.result.hasMore)),
+      source: 'federated',
+      degraded: outcomes.some(outcome => outcome.status !== 'ok' || outcome.result.degraded),
+      sources: outcomes.map(outcome => ({
+        provider: outcome.provider,
+        status: outcome.status,
+        total: outcome.result ? parseInt(outcome.result.total) || 0 : 0,
+        returned: outcome.result ? outcome.result.tracks.length : 0,
+        tookMs: outcome.tookMs,
+        ...(outcome.result && { source: outcome.result.source, degraded: outcome.result.degraded }),
+        ...(outcome.error && { error: outcome.error.message })
+      }))
+    };
+  }
+
+  async getTrackById(trackId, options = {}) {
+    const { track } = await this.getTrackDetail(trackId, options);
+    return track;
+  }
+
+  // Track detail along with its cache source and degraded flag
+  async getTrackDetail(trackId, options = {}) {
+    const { quality = DEFAULT_QUALITY } = options;
+    const { provider, id } = this.providers.resolve(trackId);
+    const { data, source, degraded } = await this.cache.lookup(
+      'track_detail',
+      { provider: provider.name, trackId: id, quality },
+      () => provider.getTrackById(id, { quality })
+    );
+
+    return { track: data, source, degraded };
   }
 
   async getTracksByArtist(artistId, options = {}) {
-    const { limit = 20, offset = 0 } = options;
-    const cacheKey = this.getCacheKey('artist_tracks', { artistId, limit, offset });
+    const { limit = 20, offset = 0, quality = DEFAULT_QUALITY } = options;
+    const { provider, id } = this.providers.resolve(artistId);
+    return this.getCachedOrFetch(
+      'artist_tracks',
+      { provider: provider.name, artistId: id, limit, offset, quality },
+      () => provider.getTracksByArtist(id, { limit, offset, quality })
+    );
+  }
 
-    return this.getCachedOrFetch(cacheKey, async () => {
-      try {
-        const response = await axios.get(`${this.jamendoBaseUrl}/tracks`, {
-          params: {
-            client_id: this.jamendoClientId,
-            format: 'json',
-            artist_id: artistId,
-            limit,
-            offset,
-            include: 'musicinfo',
-            audioformat: 'mp32',
-            order: 'popularity_total'
-          }
-        });
+  // Catalog tags for a mood, as curated in BrowseCategory; null for
+  // unknown and hidden moods
+  async getMoodTags(mood) {
+    const category = await BrowseCategory.findOne({ type: 'mood', slug: mood }).lean();
+    if (category) return category.hidden ? null : category.tags;
 
-        return {
-          tracks: response.data.results.map(track => this.formatTrack(track)),
-          total: response.data.headers?.results_count || response.data.results.length,
-          hasMore: response.data.results.length === limit
-        };
-      } catch (error) {
-        console.error('Jamendo artist tracks error:', error.response?.data || error.message);
-        return { tracks: [], total: 0, hasMore: false };
-      }
-    });
+    return defaultMoods.find(defaultMood => defaultMood.slug === mood)?.tags || null;
   }
 
   async getTracksByMood(mood, options = {}) {
-    const { limit = 20, offset = 0 } = options;
-    
-    // Map our mood categories to Jamendo tags
-    const moodToTags = {
-      'happy': 'happy energetic upbeat',
-      'sad': 'sad melancholy emotional',
-      'relaxed': 'chill ambient peaceful calm',
-      'energetic': 'energetic upbeat dance electronic',
-      'focus': 'instrumental ambient study focus',
-      'party': 'dance party upbeat electronic',
-      'chill': 'chill lounge ambient downtempo'
-    };
+    const { limit = 20, offset = 0, provider, quality } = options;
+    const tags = await this.getMoodTags(mood);
+    if (!tags) return { tracks: [], total: 0, hasMore: false };
 
-    const tags = moodToTags[mood] || '';
-    const cacheKey = this.getCacheKey('mood_tracks', { mood, limit, offset });
+    return this.browseTracks({ anyTags: tags }, { limit, offset, provider, quality });
+  }
 
-    return this.getCachedOrFetch(cacheKey, async () => {
-      try {
-        const response = await axios.get(`${this.jamendoBaseUrl}/tracks`, {
-          params: {
-            client_id: this.jamendoClientId,
-            format: 'json',
-            tags,
-            limit,
-            offset,
-            include: 'musicinfo',
-            audioformat: 'mp32',
-            order: 'popularity_total',
-            tagsmode: 'any'
-          }
-        });
+  // Tracks matching tag, speed and vocal/instrumental filters (see
+  // CatalogProvider#browseTracks). Tags are matched lowercased.
+  async browseTracks(filters = {}, options = {}) {
+    const { limit = 20, offset = 0, quality = DEFAULT_QUALITY } = options;
+    const provider = this.getProvider(options.provider);
+    const normalized = {
+      tags: (filters.tags || []).map(tag => tag.toLowerCase()).sort(),
+      anyTags: (filters.anyTags || []).map(tag => tag.toLowerCase()).sort(),
+      speed: filters.speed || null,
+      vocalInstrumental: filters.vocalInstrumental || null
+    };
 
-        return {
-          tracks: response.data.results.map(track => this.formatTrack(track)),
-          total: response.data.headers?.results_count || response.data.results.length,
-          hasMore: response.data.results.length === limit
-        };
-      } catch (error) {
-        console.error('Jamendo mood tracks error:', error.response?.data || error.message);
-        return { tracks: [], total: 0, hasMore: false };
-      }
-    });
+    return this.getCachedOrFetch(
+      'browse_tracks',
+      { provider: provider.name, ...normalized, limit, offset, quality },
+      () => provider.browseTracks(normalized, { limit, offset, quality })
+    );
   }
 
   async getPopularTracks(options = {}) {
+    const { limit = 20, offset = 0, quality = DEFAULT_QUALITY } = options;
+    const provider = this.getProvider(options.provider);
+    return this.getCachedOrFetch(
+      'popular_tracks',
+      { provider: provider.name, limit, offset, quality },
+      () => provider.getPopularTracks({ limit, offset, quality })
+    );
+  }
+
+  async searchArtists(query, options = {}) {
     const { limit = 20, offset = 0 } = options;
-    const cacheKey = this.getCacheKey('popular_tracks', { limit, offset });
+    const provider = this.getProvider(options.provider);
+    return this.getCachedOrFetch(
+      'search_artists',
+      { provider: provider.name, query, limit, offset },
+      () => provider.searchArtists(query, { limit, offset })
+    );
+  }
 
-    return this.getCachedOrFetch(cacheKey, async () => {
-      try {
-        const response = await axios.get(`${this.jamendoBaseUrl}/tracks`, {
-          params: {
-            client_id: this.jamendoClientId,
-            format: 'json',
-            limit,
-            offset,
-            include: 'musicinfo',
-            audioformat: 'mp32',
-            order: 'popularity_total'
-          }
-        });
+  async getArtistById(artistId) {
+    const { artist } = await this.getArtistDetail(artistId);
+    return artist;
+  }
 
-        return {
-          tracks: response.data.results.map(track => this.formatTrack(track)),
-          total: response.data.headers?.results_count || response.data.results.length,
-          hasMore: response.data.results.length === limit
-        };
-      } catch (error) {
-        console.error('Jamendo popular tracks error:', error.response?.data || error.message);
-        return { tracks: [], total: 0, hasMore: false };
-      }
-    });
+  // Artist detail along with its cache source and degraded flag
+  async getArtistDetail(artistId) {
+    const { provider, id } = this.providers.resolve(artistId);
+    const { data, source, degraded } = await this.cache.lookup(
+      'artist_detail',
+      { provider: provider.name, artistId: id },
+      () => provider.getArtistById(id)
+    );
+
+    return { artist: data, source, degraded };
   }
 
-  async searchArtists(query, options = {}) {
+  async searchAlbums(query, options = {}) {
     const { limit = 20, offset = 0 } = options;
-    const cacheKey = this.getCacheKey('search_artists', { query, limit, offset });
-
-    return this.getCachedOrFetch(cacheKey, async () => {
-      try {
-        const response = await axios.get(`${this.jamendoBaseUrl}/artists`, {
-          params: {
-            client_id: this.jamendoClientId,
-            format: 'json',
-            search: query,
-            limit,
-            offset,
-            order: 'popularity_total'
-          }
-        });
+    const provider = this.getProvider(options.provider);
 
-        return {
-          artists: response.data.results.map(artist => this.formatArtist(artist)),
-          total: response.data.headers?.results_count || response.data.results.length,
-          hasMore: response.data.results.length === limit
-        };
-      } catch (error) {
-        console.error('Jamendo artist search error:', error.response?.data || error.message);
-        return { artists: [], total: 0, hasMore: false };
-      }
-    });
+    return this.getCachedOrFetch(
+      'search_albums',
+      { provider: provider.name, query, limit, offset },
+      () => provider.searchAlbums(query, { limit, offset })
+    );
   }
 
-  async getArtistById(artistId) {
-    const cacheKey = this.getCacheKey('artist_detail', { artistId });
+  // Album detail along with its cache source and degraded flag
+  async getAlbumDetail(albumId) {
+    const { provider, id } = this.providers.resolve(albumId);
+    const { data, source, degraded } = await this.cache.lookup(
+      'album_detail',
+      { provider: provider.name, albumId: id },
+      () => provider.getAlbumById(id)
+    );
 
-    return this.getCachedOrFetch(cacheKey, async () => {
-      try {
-        const response = await axios.get(`${this.jamendoBaseUrl}/artists`, {
-          params: {
-            client_id: this.jamendoClientId,
-            format: 'json',
-            id: artistId
-          }
-        });
+    return { album: data, source, degraded };
+  }
 
-        return response.data.results.length > 0 
-          ? this.formatArtist(response.data.results[0])
-          : null;
-      } catch (error) {
-        console.error('Jamendo artist detail error:', error.response?.data || error.message);
-        return null;
-      }
-    });
+  async getAlbumById(albumId) {
+    const { album } = await this.getAlbumDetail(albumId);
+    return album;
   }
 
-  // Format track data to our standard format
-  formatTrack(track) {
-    return {
-      id: track.id.toString(),
-      title: track.name,
-      artist: track.artist_name,
-      artistId: track.artist_id.toString(),
-      duration: track.duration ? parseInt(track.duration) : 0,
-      audioUrl: track.audio || '',
-      imageUrl: track.image || track.album_image || '',
-      albumName: track.album_name || '',
-      albumId: track.album_id ? track.album_id.toString() : '',
-      genre: track.musicinfo?.tags?.genres?.[0]?.name || '',
-      tags: track.musicinfo?.tags?.genres?.map(g => g.name) || [],
-      releaseDate: track.releasedate || '',
-      license: track.license_ccurl || 'Creative Commons',
-      downloadUrl: track.audiodownload || '',
-      shareUrl: track.shareurl || '',
-      waveform: track.waveform || '',
-      bpm: track.musicinfo?.bpm || null,
-      vocalInstrumental: track.musicinfo?.vocalinstrumental || 'unknown',
-      lang: track.musicinfo?.lang || 'en',
-      speed: track.musicinfo?.speed || 'medium',
-      acoustic: track.musicinfo?.acousticelectric || 'unknown'
-    };
+  // Album tracks in disc/track order, with the album they belong to
+  async getAlbumTracks(albumId, options = {}) {
+    const { limit = 200, offset = 0, quality = DEFAULT_QUALITY } = options;
+    const { provider, id } = this.providers.resolve(albumId);
+
+    return this.getCachedOrFetch(
+      'album_tracks',
+      { provider: provider.name, albumId: id, limit, offset, quality },
+      () => provider.getAlbumTracks(id, { limit, offset, quality })
+    );
   }
 
-  // Format artist data to our standard format
-  formatArtist(artist) {
-    return {
-      id: artist.id.toString(),
-      name: artist.name,
-      image: artist.image || '',
-      website: artist.website || '',
-      joindate: artist.joindate || '',
-      country: artist.country || '',
-      bio: artist.bio || '',
-      shareurl: artist.shareurl || '',
-      shorturl: artist.shorturl || ''
-    };
+  async getAlbumsByArtist(artistId, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+    const { provider, id } = this.providers.resolve(artistId);
+
+    return this.getCachedOrFetch(
+      'artist_albums',
+      { provider: provider.name, artistId: id, limit, offset },
+      () => provider.getAlbumsByArtist(id, { limit, offset })
+    );
   }
 
   // Get recommendations based on user preferences
   async getRecommendations(userPreferences = {}, options = {}) {
-    const { limit = 20, offset = 0 } = options;
+    const { limit = 20, offset = 0, quality } = options;
     const { favoriteGenres = [], preferredMood = 'happy' } = userPreferences;
 
     try {
       // Get tracks based on preferred mood
-      const moodTracks = await this.getTracksByMood(preferredMood, { limit: Math.ceil(limit / 2), offset });
+      const moodTracks = await this.getTracksByMood(preferredMood, { limit: Math.ceil(limit / 2), offset, quality });
       
       // Get popular tracks if we need more
       let additionalTracks = [];
+      let degraded = moodTracks.degraded;
       if (moodTracks.tracks.length < limit) {
         const needed = limit - moodTracks.tracks.length;
-        const popularTracks = await this.getPopularTracks({ limit: needed, offset });
+        const popularTracks = await this.getPopularTracks({ limit: needed, offset, quality });
         additionalTracks = popularTracks.tracks;
+        degraded = degraded || popularTracks.degraded;
       }
 
       return {
         tracks: [...moodTracks.tracks, ...additionalTracks].slice(0, limit),
         total: moodTracks.total + additionalTracks.length,
-        hasMore: moodTracks.hasMore || additionalTracks.length > 0
+        hasMore: moodTracks.hasMore || additionalTracks.length > 0,
+        degraded
       };
     } catch (error) {
+      if (error instanceof UpstreamError) throw error;
       console.error('Recommendations error:', error);
       return { tracks: [], total: 0, hasMore: false };
     }
   }
 
-  // Clear cache (useful for testing or manual refresh)
-  clearCache() {
-    this.cache.clear();
+  // List the registered catalog providers
+  listProviders() {
+    const defaultProvider = this.providers.getDefault();
+    return this.providers.list().map(provider => ({
+      ...provider.describe(),
+      isDefault: provider === defaultProvider
+    }));
+  }
+
+  // Where to stream a track from. URL sources are resolved from the cached
+  // track detail so playback does not cost an extra upstream request.
+  async getAudioSource(trackId, options = {}) {
+    const { quality = DEFAULT_QUALITY } = options;
+    const { provider, id } = this.providers.resolve(trackId);
+    if (!provider.supports('getAudioSource')) return null;
+
+    const { track } = await this.getTrackDetail(provider.qualifyId(id), { quality });
+    if (!track) return null;
+
+    const source = await provider.getAudioSource(id, { track, quality });
+    return source && { ...source, trackId: track.id, provider: provider.name };
+  }
+
+  async getCoverArt(trackId) {
+    const { provider, id } = this.providers.resolve(trackId);
+    return provider.supports('getCoverArt') ? provider.getCoverArt(id) : null;
+  }
+
+  // Remove cached entries that came from one provider
+  invalidateProvider(name) {
+    return this.cache.purge({ provider: name });
+  }
+
+  // Remove cached entries, optionally limited to an endpoint or provider
+  purgeCache(filter = {}) {
+    return this.cache.purge(filter);
+  }
+
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  // Upstream usage per provider, for the admin endpoints
+  getUpstreamUsage() {
+    return this.providers.list().map(provider => ({
+      provider: provider.name,
+      usage: provider.usage()
+    }));
   }
 }
 
-module.exports = new MusicAPIService();
\ No newline at end of file
+module.exports = new MusicAPIService();
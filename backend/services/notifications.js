@@ -0,0 +1,90 @@
+const Notification = require('../models/Notification');
+const { userJSON } = require('./playlistCollaborators');
+
+const WRITE_CHUNK = 500;
+
+class NotificationService {
+  // Tell the followers of a playlist that it changed. `changes` has any of
+  // tracksAdded, tracksRemoved, reordered and details. Followers who can no
+  // longer see the playlist, and whoever made the change, are left out.
+  // Never rejects, so routes need not wait for it.
+  async notifyFollowers(playlist, actorId, changes) {
+    try {
+      const recipients = playlist.followers.filter(follower =>
+        follower.toString() !== actorId.toString() && playlist.canView(follower)
+      );
+      if (!recipients.length) return;
+
+      // Built per recipient: bulkWrite adds timestamps to each update in place
+      const update = () => ({
+        $set: {
+          actor: actorId,
+          ...(changes.reordered && { 'changes.reordered': true }),
+          ...(changes.details && { 'changes.details': true })
+        },
+        $inc: {
+          'changes.tracksAdded': changes.tracksAdded || 0,
+          'changes.tracksRemoved': changes.tracksRemoved || 0
+        }
+      });
+
+      for (let start = 0; start < recipients.length; start += WRITE_CHUNK) {
+        await Notification.bulkWrite(recipients.slice(start, start + WRITE_CHUNK).map(user => ({
+          updateOne: {
+            filter: { user, type: 'playlist_updated', playlist: playlist._id, read: false },
+            update: update(),
+            upsert: true
+          }
+        })), { ordered: false });
+      }
+    } catch (error) {
+      console.error(`Playlist notification error (${playlist._id}):`, error.message);
+    }
+  }
+
+  async list(userId, { limit = 20, offset = 0, unread = false } = {}) {
+    const filter = { user: userId };
+    if (unread) filter.read = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .populate('playlist', 'name coverImage isActive')
+        .populate('actor', 'username profile.displayName profile.avatar'),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: userId, read: false })
+    ]);
+
+    return { notifications, total, unreadCount };
+  }
+
+  // Mark the given notifications, or all of them, as read
+  async markRead(userId, ids) {
+    const filter = { user: userId, read: false };
+    if (ids?.length) filter._id = { $in: ids };
+
+    const result = await Notification.updateMany(filter, { read: true });
+    return result.modifiedCount;
+  }
+
+  toJSON(notification) {
+    const playlist = notification.playlist;
+
+    return {
+      id: notification._id,
+      type: notification.type,
+      playlist: playlist?.isActive
+        ? { id: playlist._id, name: playlist.name, coverImage: playlist.coverImage }
+        : null,
+      actor: notification.actor?.username ? userJSON(notification.actor) : null,
+      changes: notification.changes,
+      read: notification.read,
+      createdAt: notification.createdAt,
+      updatedAt: notification.updatedAt
+    };
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const PlayEvent = require('../models/PlayEvent');
+const User = require('../models/User');
+const musicAPI = require('./musicAPI');
+const { UpstreamError } = require('./upstream/errors');
+
+// Events older than this are rejected, so a stale offline queue cannot
+// rewrite old history
+const MAX_EVENT_AGE = (parseInt(process.env.PLAY_EVENT_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// A play has one start and one ending, either "complete" or "skip"
+const playSlot = (event) => `${event.playId}:${event.type === 'start' ? 'start' : 'end'}`;
+
+// Records listening events and answers questions about listening history
+class PlayEventService {
+  // Snapshot of the catalog track, falling back to what the client sent
+  // when the catalog cannot be reached
+  async describeTrack(trackId, fallback = {}) {
+    let track = null;
+    try {
+      track = await musicAPI.getTrackById(trackId);
+    } catch (error) {
+      if (!(error instanceof UpstreamError)) throw error;
+    }
+
+    if (!track) {
+      return fallback.title ? { trackId, track: fallback } : null;
+    }
+
+    return { trackId: track.id, track: this.snapshot(track) };
+  }
+
+  // The fields of a catalog track kept with each event
+  snapshot(track) {
+    return {
+      title: track.title,
+      artist: track.artist,
+      artistId: track.artistId,
+      albumName: track.albumName,
+      albumId: track.albumId,
+      imageUrl: track.imageUrl,
+      duration: track.duration,
+      genre: track.genre,
+      tags: track.tags || []
+    };
+  }
+
+  // Record one event for a user. Without a playId a new play is started.
+  async record(userId, event) {
+    const { results } = await this.recordBatch(userId, [{
+      ...event,
+      eventId: event.eventId || crypto.randomUUID(),
+      playId: event.playId || crypto.randomUUID()
+    }]);
+    return results[0];
+  }
+
+  // Record a batch of events uploaded by a player, possibly long after
+  // they happened. Every event needs an eventId. Uploads are idempotent: an
+  // event whose eventId was already stored, or a second start or ending
+  // (complete/skip) for the same play, is reported as a duplicate instead
+  // of being stored again.
+  // Returns one result per event: { eventId, status, event?, error? } with
+  // status "recorded", "duplicate" or "rejected".
+  async recordBatch(userId, events) {
+    const now = new Date();
+    const oldest = new Date(now.getTime() - MAX_EVENT_AGE);
+    const results = [];
+
+    const existing = await PlayEvent.find({
+      user: userId,
+      $or: [
+        { eventId: { $in: events.map(event => event.eventId) } },
+        { playId: { $in: events.map(event => event.playId) }, type: { $ne: 'progress' } }
+      ]
+    });
+    const byEventId = new Map();
+    const bySlot = new Map();
+    existing.forEach(event => {
+      byEventId.set(event.eventId, event);
+      if (event.type !== 'progress') bySlot.set(playSlot(event), event);
+    });
+
+    const pending = [];
+    events.forEach((event, index) => {
+      const occurredAt = event.occurredAt ? new Date(event.occurredAt) : now;
+      const duplicateOf = byEventId.get(event.eventId) ||
+        (event.type !== 'progress' && bySlot.get(playSlot(event)));
+
+      if (duplicateOf) {
+        results[index] = { eventId: event.eventId, status: 'duplicate', event: duplicateOf };
+      } else if (occurredAt < oldest) {
+        results[index] = { eventId: event.eventId, status: 'rejected', error: 'Event is too old' };
+      } else {
+        // Later copies within the same batch are duplicates of this one
+        const placeholder = { eventId: event.eventId, playId: event.playId, type: event.type, index };
+        byEventId.set(event.eventId, placeholder);
+        if (event.type !== 'progress') bySlot.set(playSlot(event), placeholder);
+        pending.push({ index, event, occurredAt });
+      }
+    });
+
+    const trackIds = [...new Set(pending.map(({ event }) => event.trackId))];
+    const described = new Map(await Promise.all(trackIds.map(async (trackId) => {
+      const fallback = pending.find(({ event }) => event.trackId === trackId).event.track;
+      return [trackId, await this.describeTrack(trackId, fallback)];
+    })));
+
+    const toInsert = [];
+    pending.forEach(({ index, event, occurredAt }) => {
+      const track = described.get(event.trackId);
+      if (!track) {
+        results[index] = { eventId: event.eventId, status: 'rejected', error: 'Track not found' };
+        return;
+      }
+
+      toInsert.push({
+        index,
+        doc: {
+          user: userId,
+          eventId: event.eventId,
+          playId: event.playId,
+          type: event.type,
+          ...track,
+          position: event.position || 0,
+          secondsListened: event.secondsListened || 0,
+          context: event.context,
+          device: event.device,
+          // Client clocks can run ahead; never store events in the future
+          occurredAt: occurredAt > now ? now : occurredAt
+        }
+      });
+    });
+
+    await this.insert(toInsert, results);
+
+    // Copies within the batch share the outcome of the first one
+    results.forEach((result, index) => {
+      const first = result.event?.index !== undefined && results[result.event.index];
+      if (!first) return;
+      results[index] = first.status === 'rejected'
+        ? { eventId: result.eventId, status: 'rejected', error: first.error }
+        : { eventId: result.eventId, status: 'duplicate', event: first.event };
+    });
+
+    return {
+      results,
+      recorded: results.filter(result => result.status === 'recorded').length,
+      duplicates: results.filter(result => result.status === 'duplicate').length,
+      rejected: results.filter(result => result.status === 'rejected').length
+    };
+  }
+
+  // Insert without stopping at the first failure. Events that were not
+  // inserted but are stored now lost a race with a concurrent upload.
+  async insert(toInsert, results) {
+    if (!toInsert.length) return;
+
+    let inserted;
+    try {
+      inserted = await PlayEvent.insertMany(toInsert.map(({ doc }) => doc), { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      inserted = error.insertedDocs || [];
+    }
+
+    const stored = new Map(inserted.map(event => [event.eventId, event]));
+    const missing = toInsert.filter(({ doc }) => !stored.has(doc.eventId));
+    const raced = missing.length
+      ? await PlayEvent.find({ user: toInsert[0].doc.user, eventId: { $in: missing.map(({ doc }) => doc.eventId) } })
+      : [];
+    const racedByEventId = new Map(raced.map(event => [event.eventId, event]));
+
+    toInsert.forEach(({ index, doc }) => {
+      if (stored.has(doc.eventId)) {
+        results[index] = { eventId: doc.eventId, status: 'recorded', event: stored.get(doc.eventId) };
+      } else if (racedByEventId.has(doc.eventId)) {
+        results[index] = { eventId: doc.eventId, status: 'duplicate', event: racedByEventId.get(doc.eventId) };
+      } else {
+        results[index] = { eventId: doc.eventId, status: 'rejected', error: 'Could not store event' };
+      }
+    });
+  }
+
+  // Distinct tracks by most recent play
+  async getRecentlyPlayed(userId, { limit = 20, offset = 0 } = {}) {
+    const [result] = await PlayEvent.aggregate([
+      { $match: { user: userId } },
+      { $sort: { occurredAt: -1 } },
+      {
+        $group: {
+          _id: '$trackId',
+          playedAt: { $first: '$occurredAt' },
+          track: { $first: '$track' },
+          context: { $first: '$context' }
+        }
+      },
+      { $sort: { playedAt: -1 } },
+      {
+        $facet: {
+          tracks: [{ $skip: offset }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    return {
+      tracks: result.tracks.map(entry => ({
+        trackId: entry._id,
+        ...entry.track,
+        playedAt: entry.playedAt,
+        context: entry.context
+      })),
+      total,
+      hasMore: offset + result.tracks.length < total
+    };
+  }
+
+  // Move the history that used to be embedded in User documents into the
+  // log, once. Those entries were written on track lookups, so they are
+  // kept as "legacy" start events and left out of listening time.
+  async migrateLegacyHistory() {
+    const users = await User.collection
+      .find({ 'recentlyPlayed.0': { $exists: true } }, { projection: { recentlyPlayed: 1 } })
+      .toArray();
+
+    for (const user of users) {
+      await PlayEvent.insertMany(user.recentlyPlayed.filter(entry => entry.trackId).map(entry => ({
+        user: user._id,
+        playId: crypto.randomUUID(),
+        type: 'start',
+        trackId: entry.trackId,
+        track: { title: entry.title, artist: entry.artist },
+        origin: 'legacy',
+        occurredAt: entry.playedAt
+      })));
+      await User.collection.updateOne({ _id: user._id }, { $unset: { recentlyPlayed: '' } });
+    }
+
+    if (users.length) {
+      console.log(`Migrated recently played history for ${users.length} users`);
+    }
+  }
+}
+
+module.exports = new PlayEventService();
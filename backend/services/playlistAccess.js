@@ -0,0 +1,41 @@
+const Playlist = require('../models/Playlist');
+
+// Errors of playlist operations that the client can act on; routes answer
+// them with their status code
+class PlaylistError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PlaylistError';
+    this.statusCode = statusCode;
+  }
+}
+
+const isOwner = (playlist, userId) => Boolean(userId) && playlist.ownerId() === userId.toString();
+
+// Load an active playlist that the user may access at `level`: 'view',
+// 'edit' or 'owner'
+const loadPlaylist = async (playlistId, userId, level = 'view') => {
+  const playlist = await Playlist.findById(playlistId);
+
+  if (!playlist || !playlist.isActive) {
+    throw new PlaylistError('Playlist not found', 404);
+  }
+
+  if (level === 'owner' && !isOwner(playlist, userId)) {
+    throw new PlaylistError('Only the owner can do this', 403);
+  }
+  if (level === 'edit' && !playlist.canEdit(userId)) {
+    throw new PlaylistError('Permission denied', 403);
+  }
+  if (level === 'view' && !playlist.canView(userId)) {
+    throw new PlaylistError('Access denied', 403);
+  }
+
+  return playlist;
+};
+
+module.exports = {
+  PlaylistError,
+  isOwner,
+  loadPlaylist
+};
@@ -0,0 +1,147 @@
+const musicAPI = require('./musicAPI');
+const notifications = require('./notifications');
+const revisions = require('./playlistRevisions');
+const { PlaylistError, loadPlaylist } = require('./playlistAccess');
+const { UpstreamError } = require('./upstream/errors');
+
+const MAX_BATCH = parseInt(process.env.PLAYLIST_BATCH_MAX_TRACKS) || 200;
+const LOOKUP_CONCURRENCY = 10;
+
+const assertManual = (playlist) => {
+  if (playlist.isSmart()) {
+    throw new PlaylistError(`Tracks of the smart playlist "${playlist.name}" come from its rules`);
+  }
+};
+
+const unique = (values) => [...new Set(values)];
+
+// Track operations on many tracks at once. Each batch is checked as a whole
+// before anything changes, and lands as a single revision and follower
+// notification per playlist.
+class PlaylistBatch {
+  // Catalog details of the requested tracks, falling back to the details
+  // sent along when the catalog is unavailable. Fails when any track cannot
+  // be described.
+  async resolveTracks(requested) {
+    const resolved = [];
+    for (let start = 0; start < requested.length; start += LOOKUP_CONCURRENCY) {
+      const chunk = requested.slice(start, start + LOOKUP_CONCURRENCY);
+      resolved.push(...await Promise.all(chunk.map(async track => {
+        const details = await musicAPI.getTrackById(track.trackId).catch(error => {
+          if (error instanceof UpstreamError) return null;
+          throw error;
+        });
+        if (details) return details;
+        if (!track.title || !track.artist) return null;
+
+        return {
+          id: track.trackId,
+          title: track.title,
+          artist: track.artist,
+          duration: track.duration || 0,
+          audioUrl: track.audioUrl || '',
+          imageUrl: track.imageUrl || ''
+        };
+      })));
+    }
+
+    const missing = requested.filter((track, index) => !resolved[index]).map(track => track.trackId);
+    if (missing.length) {
+      throw new PlaylistError(`Tracks not found: ${missing.join(', ')}`);
+    }
+    return resolved;
+  }
+
+  // Tracks of `playlist` in the order of `trackIds`, all of which must be in it
+  selectTracks(playlist, trackIds) {
+    const byId = new Map(playlist.tracks.map(track => [track.trackId, track]));
+    const missing = trackIds.filter(trackId => !byId.has(trackId));
+    if (missing.length) {
+      throw new PlaylistError(`Tracks not in "${playlist.name}": ${missing.join(', ')}`);
+    }
+    return trackIds.map(trackId => byId.get(trackId));
+  }
+
+  // Insert tracks into a playlist as one change; returns the ids added
+  async insert(playlist, tracks, userId, position) {
+    const previous = revisions.snapshot(playlist);
+    const added = playlist.insertTracks(tracks, userId, position);
+    if (!added.length) return added;
+
+    await playlist.save();
+    await revisions.record(playlist, userId, 'add', previous);
+    notifications.notifyFollowers(playlist, userId, { tracksAdded: added.length });
+    return added;
+  }
+
+  async remove(playlist, trackIds, userId) {
+    const previous = revisions.snapshot(playlist);
+    playlist.removeTracks(trackIds);
+
+    await playlist.save();
+    await revisions.record(playlist, userId, 'remove', previous);
+    notifications.notifyFollowers(playlist, userId, { tracksRemoved: previous.tracks.length - playlist.tracks.length });
+  }
+
+  // Add tracks ({ trackId, title?, artist?, ... }) at `position`, or at the
+  // end. Tracks already in the playlist are skipped.
+  async addTracks(playlistId, userId, { tracks, position }) {
+    const playlist = await loadPlaylist(playlistId, userId, 'edit');
+    assertManual(playlist);
+
+    const seen = new Set();
+    const requested = tracks.filter(track => !seen.has(track.trackId) && seen.add(track.trackId));
+    const resolved = await this.resolveTracks(requested);
+    const added = await this.insert(playlist, resolved, userId, position);
+
+    return {
+      playlist,
+      added,
+      skipped: requested.map(track => track.trackId).filter(trackId => !added.includes(trackId))
+    };
+  }
+
+  async removeTracks(playlistId, userId, { trackIds }) {
+    const playlist = await loadPlaylist(playlistId, userId, 'edit');
+    assertManual(playlist);
+
+    const removed = unique(trackIds);
+    this.selectTracks(playlist, removed);
+    await this.remove(playlist, removed, userId);
+
+    return { playlist, removed };
+  }
+
+  // Copy tracks to another playlist, or move them there with `move`. Moved
+  // tracks already in the target are still taken out of the source.
+  async transfer(playlistId, userId, { trackIds, target, position, move = false }) {
+    if (playlistId.toString() === target.toString()) {
+      throw new PlaylistError('The target must be another playlist');
+    }
+
+    const [source, destination] = await Promise.all([
+      loadPlaylist(playlistId, userId, move ? 'edit' : 'view'),
+      loadPlaylist(target, userId, 'edit')
+    ]);
+    if (move) assertManual(source);
+    assertManual(destination);
+
+    const selected = unique(trackIds);
+    const tracks = this.selectTracks(source, selected);
+
+    // The target is written first so a failure part way leaves the tracks
+    // in both playlists rather than in neither
+    const added = await this.insert(destination, tracks, userId, position);
+    if (move) await this.remove(source, selected, userId);
+
+    return {
+      source,
+      destination,
+      added,
+      skipped: selected.filter(trackId => !added.includes(trackId))
+    };
+  }
+}
+
+module.exports = new PlaylistBatch();
+module.exports.MAX_BATCH = MAX_BATCH;
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const Playlist = require('../models/Playlist');
+const PlaylistInvite = require('../models/PlaylistInvite');
+const User = require('../models/User');
+const { PlaylistError, isOwner } = require('./playlistAccess');
+
+const LINK_TTL_DAYS = parseInt(process.env.PLAYLIST_INVITE_LINK_TTL_DAYS) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const userJSON = (user) => ({
+  id: user._id,
+  username: user.username,
+  displayName: user.profile?.displayName || user.username,
+  avatar: user.profile?.avatar || ''
+});
+
+// Invitations, permissions and ownership of shared playlists. Only the owner
+// manages collaborators; collaborators can leave on their own.
+class PlaylistCollaborators {
+  // Editors only have an effect on collaborative playlists
+  checkPermissions(playlist, permissions) {
+    if (permissions === 'edit' && !playlist.collaborative) {
+      throw new PlaylistError('Make the playlist collaborative to add editors');
+    }
+  }
+
+  async inviteUser(playlist, inviterId, { username, permissions = 'view' }) {
+    this.checkPermissions(playlist, permissions);
+
+    const user = await User.findOne({ username, isActive: true }).select('username profile');
+    if (!user) {
+      throw new PlaylistError('User not found', 404);
+    }
+    if (isOwner(playlist, user._id)) {
+      throw new PlaylistError('The owner cannot be invited');
+    }
+    if (playlist.getCollaborator(user._id)) {
+      throw new PlaylistError('User is already a collaborator', 409);
+    }
+
+    // Inviting again updates the pending invite
+    const invite = await PlaylistInvite.findOneAndUpdate(
+      { playlist: playlist._id, user: user._id, status: 'pending' },
+      { invitedBy: inviterId, permissions },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    invite.user = user;
+    return invite;
+  }
+
+  async createLink(playlist, inviterId, { permissions = 'view', expiresInDays = LINK_TTL_DAYS }) {
+    this.checkPermissions(playlist, permissions);
+
+    return PlaylistInvite.create({
+      playlist: playlist._id,
+      invitedBy: inviterId,
+      token: crypto.randomBytes(18).toString('base64url'),
+      permissions,
+      expiresAt: new Date(Date.now() + expiresInDays * DAY_MS)
+    });
+  }
+
+  // Pending invites of a playlist, for its owner
+  async listInvites(playlistId) {
+    return PlaylistInvite.find({ playlist: playlistId, status: 'pending' })
+      .populate('user', 'username profile.displayName profile.avatar')
+      .sort({ createdAt: -1 });
+  }
+
+  async revokeInvite(playlistId, inviteId) {
+    const invite = await PlaylistInvite.findOneAndUpdate(
+      { _id: inviteId, playlist: playlistId, status: 'pending' },
+      { status: 'revoked', respondedAt: new Date() },
+      { new: true }
+    );
+    if (!invite) {
+      throw new PlaylistError('Invite not found', 404);
+    }
+    return invite;
+  }
+
+  // Invites waiting for the user's answer, leaving out those of playlists
+  // deleted since
+  async pendingInvites(userId) {
+    const invites = await PlaylistInvite.find({ user: userId, status: 'pending' })
+      .populate({
+        path: 'playlist',
+        select: 'name description coverImage isActive owner',
+        populate: { path: 'owner', select: 'username profile.displayName profile.avatar' }
+      })
+      .populate('invitedBy', 'username profile.displayName profile.avatar')
+      .sort({ createdAt: -1 });
+
+    return invites.filter(invite => invite.playlist?.isActive);
+  }
+
+  async respond(userId, inviteId, accept) {
+    const invite = await PlaylistInvite.findOne({ _id: inviteId, user: userId, status: 'pending' });
+    if (!invite) {
+      throw new PlaylistError('Invite not found', 404);
+    }
+
+    const playlist = await Playlist.findById(invite.playlist);
+    if (!playlist || !playlist.isActive) {
+      throw new PlaylistError('Playlist not found', 404);
+    }
+
+    if (accept) {
+      this.addCollaborator(playlist, userId, invite.permissions);
+      await playlist.save();
+    }
+
+    invite.status = accept ? 'accepted' : 'declined';
+    invite.respondedAt = new Date();
+    await invite.save();
+
+    return playlist;
+  }
+
+  // Join a playlist through an invite link. Using a link again, or as an
+  // existing collaborator, changes nothing.
+  async join(userId, token) {
+    const invite = await PlaylistInvite.findOne({ token, status: 'pending' });
+    if (!invite || invite.isExpired()) {
+      throw new PlaylistError('Invite link is invalid or has expired', 404);
+    }
+
+    const playlist = await Playlist.findById(invite.playlist);
+    if (!playlist || !playlist.isActive) {
+      throw new PlaylistError('Playlist not found', 404);
+    }
+    if (isOwner(playlist, userId) || playlist.getCollaborator(userId)) {
+      return playlist;
+    }
+
+    this.addCollaborator(playlist, userId, invite.permissions);
+    await playlist.save();
+    await PlaylistInvite.updateOne({ _id: invite._id }, { $inc: { uses: 1 } });
+
+    return playlist;
+  }
+
+  addCollaborator(playlist, userId, permissions) {
+    const collaborator = playlist.getCollaborator(userId);
+    if (collaborator) {
+      collaborator.permissions = permissions;
+    } else {
+      playlist.collaborators.push({ user: userId, permissions });
+    }
+  }
+
+  async setPermissions(playlist, userId, permissions) {
+    const collaborator = playlist.getCollaborator(userId);
+    if (!collaborator) {
+      throw new PlaylistError('Collaborator not found', 404);
+    }
+    this.checkPermissions(playlist, permissions);
+
+    collaborator.permissions = permissions;
+    await playlist.save();
+    return collaborator;
+  }
+
+  async removeCollaborator(playlist, userId) {
+    const collaborator = playlist.getCollaborator(userId);
+    if (!collaborator) {
+      throw new PlaylistError('Collaborator not found', 404);
+    }
+
+    playlist.collaborators.pull(collaborator._id);
+    return playlist.save();
+  }
+
+  async leave(playlist, userId) {
+    if (isOwner(playlist, userId)) {
+      throw new PlaylistError('Transfer ownership before leaving the playlist');
+    }
+    return this.removeCollaborator(playlist, userId);
+  }
+
+  // Hand the playlist to one of its collaborators. The previous owner stays
+  // on as an editor.
+  async transferOwnership(playlist, newOwnerId) {
+    const collaborator = playlist.getCollaborator(newOwnerId);
+    if (!collaborator) {
+      throw new PlaylistError('Ownership can only be transferred to a collaborator');
+    }
+
+    const previousOwner = playlist.owner;
+    playlist.collaborators.pull(collaborator._id);
+    playlist.collaborators.push({ user: previousOwner, permissions: 'edit' });
+    playlist.owner = newOwnerId;
+    await playlist.save();
+
+    await Promise.all([
+      User.updateOne({ _id: previousOwner }, { $pull: { playlists: playlist._id } }),
+      User.updateOne({ _id: newOwnerId }, { $addToSet: { playlists: playlist._id } })
+    ]);
+
+    return playlist;
+  }
+
+  inviteUrl(token) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/playlists/join/${token}`;
+  }
+
+  // Invite as returned by the API. Link invites include their URL, which
+  // only the owner gets to see.
+  inviteJSON(invite) {
+    const playlist = invite.playlist;
+
+    return {
+      id: invite._id,
+      type: invite.token ? 'link' : 'user',
+      permissions: invite.permissions,
+      status: invite.status,
+      ...(invite.user?.username && { user: userJSON(invite.user) }),
+      ...(invite.invitedBy?.username && { invitedBy: userJSON(invite.invitedBy) }),
+      ...(playlist?.name && {
+        playlist: {
+          id: playlist._id,
+          name: playlist.name,
+          description: playlist.description,
+          coverImage: playlist.coverImage,
+          ...(playlist.owner?.username && { owner: userJSON(playlist.owner) })
+        }
+      }),
+      ...(invite.token && { url: this.inviteUrl(invite.token), uses: invite.uses }),
+      expiresAt: invite.expiresAt,
+      createdAt: invite.createdAt
+    };
+  }
+}
+
+module.exports = new PlaylistCollaborators();
+module.exports.userJSON = userJSON;
@@ -0,0 +1,289 @@
+const Playlist = require('../models/Playlist');
+const PlaylistFolderTree = require('../models/PlaylistFolderTree');
+const { PlaylistError } = require('./playlistAccess');
+const { userJSON } = require('./playlistCollaborators');
+
+const MAX_DEPTH = 8;
+const MAX_FOLDERS = 500;
+
+const idOf = (value) => (value ? value.toString() : null);
+const isFolder = (node) => !node.playlist;
+
+// Playlists a user can arrange: their own, those shared with them and
+// those they follow while still public
+const libraryFilter = (userId) => ({
+  isActive: true,
+  $or: [{ owner: userId }, { 'collaborators.user': userId }, { followers: userId, isPublic: true }]
+});
+
+const playlistFields = 'name owner coverImage isPublic collaborative smart.rules tracks._id collaborators.user createdAt updatedAt';
+
+// Each user's folders of playlists. Folders nest up to MAX_DEPTH levels;
+// folders and playlists are ordered together inside their parent.
+class PlaylistFolders {
+  // The user's tree for a change, created on first use. Placements of
+  // playlists deleted, left or unfollowed since are dropped on the way.
+  async load(userId) {
+    const tree = await PlaylistFolderTree.findOneAndUpdate({ user: userId }, {}, { upsert: true, new: true });
+    if (!tree.placements.length) return tree;
+
+    const kept = new Set((await Playlist.find({
+      _id: { $in: tree.placements.map(placement => placement.playlist) },
+      ...libraryFilter(userId)
+    }).distinct('_id')).map(idOf));
+    const stale = tree.placements.filter(placement => !kept.has(idOf(placement.playlist)));
+    if (stale.length) {
+      tree.placements = tree.placements.filter(placement => kept.has(idOf(placement.playlist)));
+      new Set(stale.map(placement => idOf(placement.parent))).forEach(parentId => {
+        this.renumber(this.children(tree, parentId));
+      });
+    }
+    return tree;
+  }
+
+  findFolder(tree, folderId) {
+    const folder = tree.folders.id(folderId);
+    if (!folder) throw new PlaylistError('Folder not found', 404);
+    return folder;
+  }
+
+  // Folders and placed playlists directly inside a folder (null for the top
+  // level), in order
+  children(tree, parentId) {
+    return [...tree.folders, ...tree.placements]
+      .filter(node => idOf(node.parent) === idOf(parentId))
+      .sort((a, b) => a.position - b.position);
+  }
+
+  renumber(nodes) {
+    nodes.forEach((node, index) => {
+      node.position = index;
+    });
+  }
+
+  // Move `node` into a folder at `position`, or to its end
+  place(tree, node, parentId, position) {
+    const from = node.parent;
+    const siblings = this.children(tree, parentId).filter(sibling => sibling !== node);
+    const index = position === undefined ? siblings.length : Math.min(position, siblings.length);
+
+    node.parent = parentId || null;
+    siblings.splice(index, 0, node);
+    this.renumber(siblings);
+    if (idOf(from) !== idOf(parentId)) this.renumber(this.children(tree, from));
+  }
+
+  // Levels from the top down to `folder`, 1 for a top-level folder
+  depth(tree, folder) {
+    let depth = 1;
+    for (let parent = folder.parent; parent; parent = tree.folders.id(parent)?.parent) depth += 1;
+    return depth;
+  }
+
+  // Ids of the folders below `folder`, at any level
+  descendants(tree, folder) {
+    const ids = new Set();
+    const visit = (parentId) => tree.folders.forEach(child => {
+      if (idOf(child.parent) !== idOf(parentId)) return;
+      ids.add(idOf(child._id));
+      visit(child._id);
+    });
+    visit(folder._id);
+    return ids;
+  }
+
+  // Levels taken by `folder` and the folders below it
+  height(tree, folder) {
+    const below = tree.folders.filter(child => idOf(child.parent) === idOf(folder._id));
+    return 1 + Math.max(0, ...below.map(child => this.height(tree, child)));
+  }
+
+  async createFolder(userId, { name, parent = null, position }) {
+    const tree = await this.load(userId);
+    if (tree.folders.length >= MAX_FOLDERS) {
+      throw new PlaylistError(`You can have at most ${MAX_FOLDERS} folders`);
+    }
+    if (parent && this.depth(tree, this.findFolder(tree, parent)) >= MAX_DEPTH) {
+      throw new PlaylistError(`Folders can be nested at most ${MAX_DEPTH} levels deep`);
+    }
+
+    tree.folders.push({ name });
+    const folder = tree.folders[tree.folders.length - 1];
+    this.place(tree, folder, parent, position);
+
+    await tree.save();
+    return folder;
+  }
+
+  // Rename a folder and/or move it. `parent` null moves it to the top level;
+  // leaving `parent` out with a `position` reorders it in place.
+  async updateFolder(userId, folderId, { name, parent, position }) {
+    const tree = await this.load(userId);
+    const folder = this.findFolder(tree, folderId);
+
+    if (name !== undefined) folder.name = name;
+
+    if (parent !== undefined || position !== undefined) {
+      const target = parent === undefined ? folder.parent : parent;
+      if (target) {
+        const targetFolder = this.findFolder(tree, target);
+        if (idOf(target) === idOf(folder._id) || this.descendants(tree, folder).has(idOf(target))) {
+          throw new PlaylistError('A folder cannot be moved into itself');
+        }
+        if (this.depth(tree, targetFolder) + this.height(tree, folder) > MAX_DEPTH) {
+          throw new PlaylistError(`Folders can be nested at most ${MAX_DEPTH} levels deep`);
+        }
+      }
+      this.place(tree, folder, target, position);
+    }
+
+    await tree.save();
+    return folder;
+  }
+
+  // Delete a folder. Folders with contents need `contents`: 'moveUp' puts
+  // them in the folder's place, 'remove' deletes the folders below it and
+  // leaves its playlists unfiled. Playlists themselves are never deleted.
+  async deleteFolder(userId, folderId, { contents } = {}) {
+    const tree = await this.load(userId);
+    const folder = this.findFolder(tree, folderId);
+    const children = this.children(tree, folder._id);
+
+    if (children.length && !contents) {
+      throw new PlaylistError('The folder is not empty; choose to move its contents up or remove them', 409);
+    }
+
+    const parent = folder.parent;
+    if (contents === 'moveUp') {
+      const index = folder.position;
+      tree.folders.pull(folder._id);
+      children.forEach((child, offset) => this.place(tree, child, parent, index + offset));
+    } else {
+      const removed = this.descendants(tree, folder).add(idOf(folder._id));
+      tree.folders = tree.folders.filter(candidate => !removed.has(idOf(candidate._id)));
+      tree.placements = tree.placements.filter(placement => !removed.has(idOf(placement.parent)));
+      this.renumber(this.children(tree, parent));
+    }
+
+    await tree.save();
+    return { moved: contents === 'moveUp' ? children.length : 0 };
+  }
+
+  // Put a playlist of the user's library in a folder (null for the top level)
+  async movePlaylist(userId, playlistId, { folder = null, position }) {
+    if (!(await Playlist.exists({ _id: playlistId, ...libraryFilter(userId) }))) {
+      throw new PlaylistError('Playlist not found in your library', 404);
+    }
+
+    const tree = await this.load(userId);
+    if (folder) this.findFolder(tree, folder);
+
+    let placement = tree.placements.find(candidate => idOf(candidate.playlist) === idOf(playlistId));
+    if (!placement) {
+      tree.placements.push({ playlist: playlistId, position: Number.MAX_SAFE_INTEGER });
+      placement = tree.placements[tree.placements.length - 1];
+    }
+    this.place(tree, placement, folder, position);
+
+    await tree.save();
+  }
+
+  // Order the contents of a folder (null for the top level). `items` are
+  // { type: 'folder' | 'playlist', id } and come first in the given order;
+  // contents left out follow in their previous order.
+  async reorder(userId, { parent = null, items }) {
+    const tree = await this.load(userId);
+    if (parent) this.findFolder(tree, parent);
+
+    const children = this.children(tree, parent);
+    const key = (type, id) => `${type}:${idOf(id)}`;
+    const byKey = new Map(children.map(node => [
+      isFolder(node) ? key('folder', node._id) : key('playlist', node.playlist),
+      node
+    ]));
+
+    // Unfiled playlists are at the top level without being placed yet
+    const unplaced = items.filter(item => item.type === 'playlist' && !byKey.has(key(item.type, item.id)));
+    if (unplaced.length && !parent) {
+      const placed = new Set(tree.placements.map(placement => idOf(placement.playlist)));
+      const playlists = await Playlist.find({
+        _id: { $in: unplaced.map(item => item.id) },
+        ...libraryFilter(userId)
+      }).select('_id');
+      playlists.filter(playlist => !placed.has(idOf(playlist._id))).forEach(playlist => {
+        tree.placements.push({ playlist: playlist._id, position: Number.MAX_SAFE_INTEGER });
+        byKey.set(key('playlist', playlist._id), tree.placements[tree.placements.length - 1]);
+      });
+    }
+
+    const ordered = [];
+    items.forEach(item => {
+      const node = byKey.get(key(item.type, item.id));
+      if (!node) throw new PlaylistError(`The ${item.type} ${item.id} is not in this folder`);
+      if (!ordered.includes(node)) ordered.push(node);
+    });
+    this.renumber([...ordered, ...children.filter(node => !ordered.includes(node))]);
+
+    await tree.save();
+  }
+
+  // The user's folders and playlists as nested nodes. Playlists that were
+  // never placed come last at the top level, most recently updated first.
+  async tree(userId) {
+    const [saved, playlists] = await Promise.all([
+      PlaylistFolderTree.findOne({ user: userId }).lean(),
+      Playlist.find(libraryFilter(userId))
+        .populate('owner', 'username profile.displayName profile.avatar')
+        .select(playlistFields)
+        .sort({ updatedAt: -1 })
+    ]);
+    const byId = new Map(playlists.map(playlist => [idOf(playlist._id), playlist]));
+
+    // Placements of playlists no longer in the library are left out here
+    // and dropped by the next change
+    const tree = {
+      folders: saved?.folders || [],
+      placements: (saved?.placements || []).filter(placement => byId.has(idOf(placement.playlist)))
+    };
+
+    const build = (parentId) => this.children(tree, parentId).map(node => (isFolder(node)
+      ? this.folderJSON(node, build(node._id))
+      : this.playlistJSON(byId.get(idOf(node.playlist)), userId)));
+
+    const placed = new Set(tree.placements.map(placement => idOf(placement.playlist)));
+    return [
+      ...build(null),
+      ...playlists.filter(playlist => !placed.has(idOf(playlist._id))).map(playlist => this.playlistJSON(playlist, userId))
+    ];
+  }
+
+  folderJSON(folder, children) {
+    return {
+      type: 'folder',
+      id: folder._id,
+      name: folder.name,
+      ...(children && { children })
+    };
+  }
+
+  playlistJSON(playlist, userId) {
+    let role = 'follower';
+    if (playlist.ownerId() === userId.toString()) role = 'owner';
+    else if (playlist.getCollaborator(userId)) role = 'collaborator';
+
+    return {
+      type: 'playlist',
+      id: playlist._id,
+      name: playlist.name,
+      coverImage: playlist.coverImage,
+      trackCount: playlist.tracks.length,
+      isPublic: playlist.isPublic,
+      collaborative: playlist.collaborative,
+      isSmart: playlist.isSmart(),
+      role,
+      owner: userJSON(playlist.owner)
+    };
+  }
+}
+
+module.exports = new PlaylistFolders();
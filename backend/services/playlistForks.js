@@ -0,0 +1,89 @@
+const Playlist = require('../models/Playlist');
+const User = require('../models/User');
+const revisions = require('./playlistRevisions');
+const { loadPlaylist } = require('./playlistAccess');
+const { userJSON } = require('./playlistCollaborators');
+
+const COPIED_FIELDS = ['description', 'mood', 'genre', 'coverImage', 'tags'];
+
+// Copies of playlists made by anyone who can see them. A fork starts
+// private, with the original's details and tracks but none of its
+// collaborators, followers or smart rules, and remembers where it came from.
+class PlaylistForks {
+  async fork(playlistId, userId, { name, isPublic = false } = {}) {
+    const original = await loadPlaylist(playlistId, userId, 'view');
+    const ownCopy = original.ownerId() === userId.toString();
+
+    const fork = new Playlist({
+      ...COPIED_FIELDS.reduce((fields, field) => ({ ...fields, [field]: original[field] }), {}),
+      name: (name || (ownCopy ? `${original.name} (copy)` : original.name)).slice(0, 100),
+      owner: userId,
+      isPublic,
+      forkedFrom: {
+        playlist: original._id,
+        name: original.name,
+        owner: original.owner
+      }
+    });
+    original.tracks.forEach(track => fork.addTrack(track, userId));
+
+    await fork.save();
+    await revisions.record(fork, userId, 'create', null);
+    await Promise.all([
+      User.updateOne({ _id: userId }, { $addToSet: { playlists: fork._id } }),
+      Playlist.updateOne({ _id: original._id }, { $inc: { forkCount: 1 } }, { timestamps: false })
+    ]);
+
+    return fork;
+  }
+
+  // Keep the original's count to active forks once a fork is deleted
+  async forkDeleted(fork) {
+    if (!fork.forkedFrom?.playlist) return;
+    await Playlist.updateOne(
+      { _id: fork.forkedFrom.playlist, forkCount: { $gt: 0 } },
+      { $inc: { forkCount: -1 } },
+      { timestamps: false }
+    );
+  }
+
+  // Active forks of a playlist, newest first
+  async list(playlist, { limit = 20, offset = 0 } = {}) {
+    const filter = { 'forkedFrom.playlist': playlist._id, isActive: true };
+    const [forks, total] = await Promise.all([
+      Playlist.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(offset)
+        .populate('owner', 'username profile.displayName profile.avatar')
+        .select('name isPublic owner createdAt'),
+      Playlist.countDocuments(filter)
+    ]);
+    return { forks, total };
+  }
+
+  // A fork as its original's owner sees it. Private forks only show who
+  // made them and when.
+  forkJSON(fork) {
+    return {
+      ...(fork.isPublic && { id: fork._id, name: fork.name }),
+      isPublic: fork.isPublic,
+      owner: userJSON(fork.owner),
+      createdAt: fork.createdAt
+    };
+  }
+
+  // "Forked from <name> by <owner>", with `forkedFrom.owner` populated
+  attributionJSON(playlist) {
+    const source = playlist.forkedFrom;
+    if (!source?.playlist) return null;
+
+    return {
+      id: source.playlist,
+      name: source.name,
+      owner: source.owner?.username ? userJSON(source.owner) : null
+    };
+  }
+}
+
+module.exports = new PlaylistForks();
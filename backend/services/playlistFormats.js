@@ -0,0 +1,256 @@
+const path = require('path');
+const { PlaylistError } = require('./playlistAccess');
+
+// Playlist files exchanged with desktop players and other tools. Parsers
+// return { name, entries: [{ location, identifier, title, artist, album,
+// duration }] } with durations in seconds; any field but one of location
+// or title may be missing.
+
+const formats = {
+  m3u8: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8' },
+  xspf: { contentType: 'application/xspf+xml; charset=utf-8', extension: 'xspf' },
+  jspf: { contentType: 'application/jspf+json; charset=utf-8', extension: 'jspf' }
+};
+const playlistFormats = Object.keys(formats);
+
+// Track URLs served by this API. Exports point at them and imports of
+// exported files resolve them back to the track.
+const trackUrl = (baseUrl, trackId) => `${baseUrl}/api/music/tracks/${encodeURIComponent(trackId)}`;
+const streamUrl = (baseUrl, trackId) => `${trackUrl(baseUrl, trackId)}/stream`;
+
+const TRACK_URL = /\/api\/music\/tracks\/([^/?#]+)(?:\/stream)?\/?(?:[?#].*)?$/;
+
+const trackIdFromUrl = (url) => {
+  const match = TRACK_URL.exec(url || '');
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return null;
+  }
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const xmlEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const unescapeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] !== '#') return xmlEntities[name] ?? entity;
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1));
+    return Number.isNaN(code) ? entity : String.fromCodePoint(code);
+  })
+  .trim();
+
+// Text of the first <tag> element inside `xml`
+const xmlText = (xml, tag) => {
+  const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i').exec(xml);
+  return match ? unescapeXml(match[1]) : '';
+};
+
+const toSeconds = (milliseconds) => {
+  const value = parseInt(milliseconds);
+  return Number.isFinite(value) && value > 0 ? Math.round(value / 1000) : null;
+};
+
+// Entries without a title take it from the file name, split on " - " into
+// artist and title when it has one
+const fromFileName = (location) => {
+  let name = location;
+  try {
+    name = decodeURIComponent(location.split(/[?#]/)[0]);
+  } catch (error) {
+    // Keep the undecoded name
+  }
+  const base = path.posix.basename(name.replace(/\\/g, '/')).replace(/\.[a-z0-9]{2,5}$/i, '');
+  const separator = base.indexOf(' - ');
+  return separator > 0
+    ? { artist: base.slice(0, separator).trim(), title: base.slice(separator + 3).trim() }
+    : { title: base.trim() };
+};
+
+// M3U and M3U8: one location per line, described by the #EXTINF line
+// before it ("#EXTINF:seconds,Artist - Title")
+const parseM3u = (content) => {
+  let name = '';
+  let info = null;
+  const entries = [];
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#')) {
+      if (/^#PLAYLIST:/i.test(line)) name = line.slice(10).trim();
+      const extinf = /^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/i.exec(line);
+      if (extinf) {
+        const duration = Math.round(parseFloat(extinf[1]));
+        const text = extinf[2].trim();
+        const separator = text.indexOf(' - ');
+        info = {
+          duration: duration > 0 ? duration : null,
+          ...(separator > 0
+            ? { artist: text.slice(0, separator).trim(), title: text.slice(separator + 3).trim() }
+            : { title: text })
+        };
+      }
+      return;
+    }
+
+    const described = info?.title ? info : { ...fromFileName(line), duration: info?.duration ?? null };
+    entries.push({ location: line, ...described });
+    info = null;
+  });
+
+  return { name, entries };
+};
+
+const parseXspf = (content) => {
+  if (!/<playlist[\s>]/i.test(content)) {
+    throw new PlaylistError('Not an XSPF playlist');
+  }
+
+  const trackList = /<trackList(?:\s[^>]*)?>([\s\S]*?)<\/trackList>/i.exec(content);
+  const head = trackList ? content.slice(0, trackList.index) : content;
+  const tracks = trackList ? trackList[1].match(/<track(?:\s[^>]*)?>[\s\S]*?<\/track>/gi) || [] : [];
+
+  return {
+    name: xmlText(head, 'title'),
+    entries: tracks.map(track => ({
+      location: xmlText(track, 'location'),
+      identifier: xmlText(track, 'identifier'),
+      title: xmlText(track, 'title'),
+      artist: xmlText(track, 'creator'),
+      album: xmlText(track, 'album'),
+      duration: toSeconds(xmlText(track, 'duration'))
+    }))
+  };
+};
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+const parseJspf = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new PlaylistError('JSPF playlist must be valid JSON');
+  }
+
+  const playlist = data?.playlist;
+  if (!playlist || typeof playlist !== 'object') {
+    throw new PlaylistError('Not a JSPF playlist');
+  }
+
+  return {
+    name: typeof playlist.title === 'string' ? playlist.title.trim() : '',
+    entries: (Array.isArray(playlist.track) ? playlist.track : []).filter(Boolean).map(track => ({
+      location: String(first(track.location) || '').trim(),
+      identifier: String(first(track.identifier) || '').trim(),
+      title: String(track.title || '').trim(),
+      artist: String(track.creator || '').trim(),
+      album: String(track.album || '').trim(),
+      duration: toSeconds(track.duration)
+    }))
+  };
+};
+
+const parsers = {
+  m3u8: parseM3u,
+  xspf: parseXspf,
+  jspf: parseJspf
+};
+
+const detectFormat = (content) => {
+  if (/^\s*\{/.test(content)) return 'jspf';
+  if (/^\s*</.test(content)) return 'xspf';
+  return 'm3u8';
+};
+
+// Parse a playlist file. Entries with neither a location nor a title are
+// dropped.
+const parsePlaylist = (content, format = detectFormat(content)) => {
+  const parsed = parsers[format](content.replace(/^\uFEFF/, ''));
+  const entries = parsed.entries
+    .filter(entry => entry.location || entry.title)
+    .map(entry => (entry.title ? entry : { ...entry, ...fromFileName(entry.location) }));
+
+  return { format, name: parsed.name, entries };
+};
+
+const toM3u8 = (playlist, baseUrl) => [
+  '#EXTM3U',
+  `#PLAYLIST:${playlist.name}`,
+  ...playlist.tracks.flatMap(track => [
+    `#EXTINF:${track.duration || -1},${track.artist} - ${track.title}`,
+    streamUrl(baseUrl, track.trackId)
+  ]),
+  ''
+].join('\n');
+
+const toXspf = (playlist, baseUrl, creator) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+  `  <title>${escapeXml(playlist.name)}</title>`,
+  `  <creator>${escapeXml(creator)}</creator>`,
+  ...(playlist.description ? [`  <annotation>${escapeXml(playlist.description)}</annotation>`] : []),
+  `  <date>${new Date(playlist.updatedAt || Date.now()).toISOString()}</date>`,
+  '  <trackList>',
+  ...playlist.tracks.map(track => [
+    '    <track>',
+    `      <location>${escapeXml(streamUrl(baseUrl, track.trackId))}</location>`,
+    `      <identifier>${escapeXml(trackUrl(baseUrl, track.trackId))}</identifier>`,
+    `      <title>${escapeXml(track.title)}</title>`,
+    `      <creator>${escapeXml(track.artist)}</creator>`,
+    ...(track.duration ? [`      <duration>${track.duration * 1000}</duration>`] : []),
+    ...(track.imageUrl ? [`      <image>${escapeXml(track.imageUrl)}</image>`] : []),
+    '    </track>'
+  ].join('\n')),
+  '  </trackList>',
+  '</playlist>',
+  ''
+].join('\n');
+
+const toJspf = (playlist, baseUrl, creator) => JSON.stringify({
+  playlist: {
+    title: playlist.name,
+    creator,
+    ...(playlist.description && { annotation: playlist.description }),
+    date: new Date(playlist.updatedAt || Date.now()).toISOString(),
+    track: playlist.tracks.map(track => ({
+      location: [streamUrl(baseUrl, track.trackId)],
+      identifier: [trackUrl(baseUrl, track.trackId)],
+      title: track.title,
+      creator: track.artist,
+      ...(track.duration && { duration: track.duration * 1000 }),
+      ...(track.imageUrl && { image: track.imageUrl })
+    }))
+  }
+}, null, 2);
+
+const serializers = {
+  m3u8: toM3u8,
+  xspf: toXspf,
+  jspf: toJspf
+};
+
+// A playlist as a file: { contentType, extension, body }. Track locations
+// are stream URLs under `baseUrl`.
+const exportPlaylist = (playlist, format, { baseUrl, creator = '' }) => ({
+  ...formats[format],
+  body: serializers[format](playlist, baseUrl, creator)
+});
+
+module.exports = {
+  playlistFormats,
+  parsePlaylist,
+  exportPlaylist,
+  trackIdFromUrl,
+  streamUrl
+};
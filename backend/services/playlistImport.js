@@ -0,0 +1,119 @@
+const Playlist = require('../models/Playlist');
+const User = require('../models/User');
+const musicAPI = require('./musicAPI');
+const trackMatcher = require('./trackMatcher');
+const revisions = require('./playlistRevisions');
+const { PlaylistError } = require('./playlistAccess');
+const { parsePlaylist, trackIdFromUrl } = require('./playlistFormats');
+const { UpstreamError } = require('./upstream/errors');
+
+const MAX_ENTRIES = parseInt(process.env.PLAYLIST_IMPORT_MAX_TRACKS) || 200;
+const LOOKUP_CONCURRENCY = 10;
+
+// Creates playlists from M3U8, XSPF and JSPF files. Entries pointing at
+// this app's track URLs resolve to those tracks; others are matched to the
+// catalog by title and artist.
+class PlaylistImportService {
+  // The catalog track an entry refers to, with how it was found:
+  // { track, matchedBy: 'location' | 'metadata', score } or { score } when
+  // nothing matched, with `unavailable` when the catalog could not be searched
+  async resolve(entry) {
+    const trackId = trackIdFromUrl(entry.location) || trackIdFromUrl(entry.identifier);
+    if (trackId) {
+      const track = await musicAPI.getTrackById(trackId).catch(error => {
+        if (error instanceof UpstreamError) return null;
+        throw error;
+      });
+      if (track) return { track, matchedBy: 'location', score: 1 };
+    }
+
+    if (!entry.title) return { score: 0 };
+
+    let best;
+    try {
+      best = await trackMatcher.findBest(entry);
+    } catch (error) {
+      if (error instanceof UpstreamError) return { score: 0, unavailable: true };
+      throw error;
+    }
+    if (best && best.score >= trackMatcher.threshold) {
+      return { track: best.track, matchedBy: 'metadata', score: best.score };
+    }
+    return { score: best?.score || 0 };
+  }
+
+  // Create a playlist owned by `user` from a playlist file. Returns the
+  // playlist and a report with the outcome of every entry.
+  async importFile(user, { content, format, name, isPublic = false }) {
+    const parsed = parsePlaylist(content, format);
+
+    if (!parsed.entries.length) {
+      throw new PlaylistError('No tracks found in the playlist file');
+    }
+    if (parsed.entries.length > MAX_ENTRIES) {
+      throw new PlaylistError(`A playlist file may contain at most ${MAX_ENTRIES} tracks`);
+    }
+
+    const playlist = new Playlist({
+      name: (name || parsed.name || 'Imported playlist').slice(0, 100),
+      owner: user._id,
+      isPublic
+    });
+
+    // Entries are looked up a few at a time; tracks are still added in the
+    // file's order
+    const resolved = [];
+    for (let start = 0; start < parsed.entries.length; start += LOOKUP_CONCURRENCY) {
+      const chunk = parsed.entries.slice(start, start + LOOKUP_CONCURRENCY);
+      resolved.push(...await Promise.all(chunk.map(entry => this.resolve(entry))));
+    }
+
+    // Rather than an empty playlist when the catalog is down
+    if (resolved.every(result => !result.track) && resolved.some(result => result.unavailable)) {
+      throw new PlaylistError('The catalog is unavailable, try again later', 503);
+    }
+
+    const report = [];
+    for (const [index, entry] of parsed.entries.entries()) {
+      const { track, matchedBy, score, unavailable } = resolved[index];
+      const line = {
+        position: index + 1,
+        title: entry.title,
+        artist: entry.artist,
+        location: entry.location,
+        score
+      };
+
+      if (!track) {
+        report.push({ ...line, status: 'unmatched', ...(unavailable && { reason: 'Catalog unavailable' }) });
+        continue;
+      }
+
+      try {
+        playlist.addTrack(track, user._id);
+        report.push({ ...line, status: 'matched', matchedBy, trackId: track.id, matchedTitle: track.title, matchedArtist: track.artist });
+      } catch (error) {
+        if (error.message !== 'Track already exists in playlist') throw error;
+        report.push({ ...line, status: 'duplicate', matchedBy, trackId: track.id });
+      }
+    }
+
+    await playlist.save();
+    await revisions.record(playlist, user._id, 'create', null);
+    await User.updateOne({ _id: user._id }, { $addToSet: { playlists: playlist._id } });
+
+    const count = (status) => report.filter(line => line.status === status).length;
+    return {
+      playlist,
+      report: {
+        format: parsed.format,
+        entries: report,
+        matched: count('matched'),
+        duplicates: count('duplicate'),
+        unmatched: count('unmatched')
+      }
+    };
+  }
+}
+
+module.exports = new PlaylistImportService();
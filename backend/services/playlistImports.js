@@ -0,0 +1,321 @@
+const Playlist = require('../models/Playlist');
+const PlaylistImport = require('../models/PlaylistImport');
+const User = require('../models/User');
+const musicAPI = require('./musicAPI');
+const trackMatcher = require('./trackMatcher');
+const revisions = require('./playlistRevisions');
+const { PlaylistError } = require('./playlistAccess');
+const { parseExternalPlaylists } = require('./externalPlaylists');
+const { UpstreamError } = require('./upstream/errors');
+
+const MAX_ROWS = parseInt(process.env.PLAYLIST_IMPORT_MAX_ROWS) || 500;
+const CANDIDATES = 3;
+
+// Imports interrupted by the catalog being unavailable are retried after
+// a minute, doubling each time; rows still unmatched after the last retry
+// are reported unmatched
+const RETRY_DELAY = 60 * 1000;
+const RETRY_LIMIT = 5;
+
+// A match passing the threshold is still ambiguous when the runner-up
+// scores within this margin, e.g. a live version of the same song
+const CLOSE_MARGIN = 0.05;
+// Rows whose best candidate scores below this are reported unmatched
+const SUGGEST_SCORE = 0.5;
+
+const candidateJSON = ({ track, score }) => ({
+  trackId: track.id,
+  title: track.title,
+  artist: track.artist,
+  album: track.albumName,
+  duration: track.duration,
+  audioUrl: track.audioUrl,
+  imageUrl: track.imageUrl,
+  score
+});
+
+// Imports playlists exported from other streaming services (JSON or CSV).
+// Rows are matched to the catalog in the background, one import at a time,
+// and matching resumes later when the catalog is unavailable.
+// Confident matches are selected right away; ambiguous rows wait for the
+// user to pick one of the proposed tracks before the playlist is created.
+class PlaylistImportsService {
+  constructor() {
+    this.processing = null;
+    this.queued = false;
+    this.retryTimer = null;
+  }
+
+  // Resume matching interrupted by a restart
+  async start() {
+    await PlaylistImport.updateMany({ status: 'processing' }, { status: 'pending' });
+    this.processQueue();
+  }
+
+  // Parse an export and queue it for matching. Exports holding several
+  // playlists need `playlist`, the name of the one to import.
+  async create(userId, { content, format, fileName, playlist: playlistName, name, isPublic = false }) {
+    const parsed = parseExternalPlaylists(content, format);
+
+    let source = parsed.playlists[0];
+    if (playlistName !== undefined) {
+      source = parsed.playlists.find(candidate => candidate.name === playlistName);
+      if (!source) throw new PlaylistError(`No playlist named "${playlistName}" in the export`);
+    } else if (parsed.playlists.length > 1) {
+      const names = parsed.playlists.map(candidate => `"${candidate.name}"`).join(', ');
+      throw new PlaylistError(`The export holds several playlists, choose one of: ${names}`);
+    }
+
+    if (!source?.entries.length) {
+      throw new PlaylistError('No tracks found in the export');
+    }
+    if (source.entries.length > MAX_ROWS) {
+      throw new PlaylistError(`An imported playlist may contain at most ${MAX_ROWS} tracks`);
+    }
+
+    const job = await PlaylistImport.create({
+      user: userId,
+      format: parsed.format,
+      fileName,
+      name: (name || source.name || 'Imported playlist').slice(0, 100),
+      isPublic,
+      rows: source.entries.map((entry, index) => ({ position: index + 1, ...entry })),
+      totals: {
+        rows: source.entries.length + source.invalid,
+        invalid: source.invalid
+      }
+    });
+
+    this.processQueue();
+    return job;
+  }
+
+  // Match pending imports until none are left. A call made while the
+  // queue is running starts another pass afterwards.
+  processQueue() {
+    if (this.processing) {
+      this.queued = true;
+      return this.processing;
+    }
+
+    this.queued = false;
+    this.processing = this.drain()
+      .catch(error => {
+        console.error('Playlist import queue error:', error);
+      })
+      .finally(() => {
+        this.processing = null;
+        if (this.queued) this.processQueue();
+      });
+
+    return this.processing;
+  }
+
+  async drain() {
+    let job;
+    while ((job = await this.claimNext())) {
+      try {
+        await this.run(job);
+      } catch (error) {
+        console.error(`Playlist import error (${job._id}):`, error.message);
+        job.status = 'failed';
+        job.error = error.message;
+        job.finishedAt = new Date();
+        await job.save();
+      }
+    }
+
+    await this.scheduleRetry();
+  }
+
+  claimNext() {
+    return PlaylistImport.findOneAndUpdate(
+      { status: 'pending', $or: [{ retryAt: null }, { retryAt: { $lte: new Date() } }] },
+      { status: 'processing', startedAt: new Date() },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  // Run the queue again when the next deferred import is due
+  async scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    const next = await PlaylistImport.findOne({ status: 'pending', retryAt: { $gt: new Date() } })
+      .sort({ retryAt: 1 })
+      .select('retryAt');
+    if (!next) return;
+
+    this.retryTimer = setTimeout(() => this.processQueue(), next.retryAt - Date.now());
+    this.retryTimer.unref?.();
+  }
+
+  // Put an import back in the queue, keeping the rows matched so far
+  defer(job, processed) {
+    job.set({
+      status: 'pending',
+      attempts: job.attempts + 1,
+      retryAt: new Date(Date.now() + RETRY_DELAY * 2 ** job.attempts),
+      'totals.processed': processed
+    });
+    return job.save();
+  }
+
+  // Where a row stands given its candidates, best first
+  classify(candidates) {
+    const [best, runnerUp] = candidates;
+    if (!best || best.score < SUGGEST_SCORE) return 'unmatched';
+    if (best.score >= trackMatcher.threshold && !(runnerUp && runnerUp.score > best.score - CLOSE_MARGIN)) {
+      return 'matched';
+    }
+    return 'ambiguous';
+  }
+
+  async run(job) {
+    const pending = job.rows.filter(row => row.status === 'pending');
+    let processed = job.rows.length - pending.length;
+
+    for (const row of pending) {
+      let candidates = null;
+      try {
+        candidates = await trackMatcher.findCandidates(row, { limit: CANDIDATES });
+      } catch (error) {
+        if (!(error instanceof UpstreamError)) throw error;
+        if (job.attempts < RETRY_LIMIT) return this.defer(job, processed);
+      }
+
+      if (!candidates) {
+        row.set({ status: 'unmatched', candidates: [], reason: 'Catalog unavailable' });
+      } else {
+        row.status = this.classify(candidates);
+        row.candidates = candidates.map(candidateJSON);
+        row.selected = row.status === 'matched' ? candidates[0].track.id : undefined;
+      }
+
+      processed += 1;
+      if (processed % 10 === 0) {
+        await PlaylistImport.updateOne({ _id: job._id }, { 'totals.processed': processed });
+      }
+    }
+
+    const count = (status) => job.rows.filter(row => row.status === status).length;
+    job.set({
+      status: 'review',
+      'totals.processed': processed,
+      'totals.matched': count('matched'),
+      'totals.ambiguous': count('ambiguous'),
+      'totals.unmatched': count('unmatched'),
+      retryAt: undefined,
+      finishedAt: new Date()
+    });
+
+    return job.save();
+  }
+
+  // The track a row ends up as: one of its candidates, or any catalog track
+  // the user found themselves
+  async selectedTrack(row, trackId) {
+    const candidate = row.candidates.find(entry => entry.trackId === trackId);
+    if (candidate) return candidate;
+
+    const track = await musicAPI.getTrackById(trackId).catch(error => {
+      if (error instanceof UpstreamError) return null;
+      throw error;
+    });
+    if (!track) throw new PlaylistError(`Track not found for row ${row.position}`);
+    return track;
+  }
+
+  // Create the playlist of an import in review. `selections` lists
+  // { position, trackId } decisions, a null trackId skipping the row; every
+  // ambiguous row needs one. Other rows keep their proposed match.
+  async confirm(userId, importId, { selections = [], name, isPublic } = {}) {
+    const job = await this.get(userId, importId);
+    if (!job) throw new PlaylistError('Import not found', 404);
+    if (job.status !== 'review') {
+      const reasons = {
+        completed: 'This import has already created its playlist',
+        failed: 'This import failed and cannot be confirmed'
+      };
+      throw new PlaylistError(reasons[job.status] || 'This import is still being matched');
+    }
+
+    const decisions = new Map(selections.map(selection => [selection.position, selection.trackId]));
+    const rows = new Map(job.rows.map(row => [row.position, row]));
+    const unknown = [...decisions.keys()].find(position => !rows.has(position));
+    if (unknown !== undefined) throw new PlaylistError(`No row at position ${unknown}`);
+
+    const undecided = job.rows.filter(row => row.status === 'ambiguous' && !decisions.has(row.position));
+    if (undecided.length) {
+      throw new PlaylistError(`Choose a track or skip ambiguous rows: ${undecided.map(row => row.position).join(', ')}`);
+    }
+
+    const tracks = [];
+    for (const row of job.rows) {
+      const trackId = decisions.has(row.position) ? decisions.get(row.position) : row.selected;
+      row.selected = trackId || undefined;
+      if (trackId) tracks.push(await this.selectedTrack(row, trackId));
+    }
+
+    // Claim the import so a repeated confirm cannot create a second playlist
+    const claimed = await PlaylistImport.updateOne(
+      { _id: job._id, status: 'review' },
+      { status: 'completed', finishedAt: new Date() }
+    );
+    if (!claimed.modifiedCount) throw new PlaylistError('This import has already created its playlist');
+
+    try {
+      const playlist = new Playlist({
+        name: (name || job.name).slice(0, 100),
+        owner: userId,
+        isPublic: isPublic ?? job.isPublic
+      });
+      tracks.forEach(track => {
+        if (!playlist.tracks.some(existing => existing.trackId === (track.trackId || track.id))) {
+          playlist.addTrack(track, userId);
+        }
+      });
+
+      await playlist.save();
+      await revisions.record(playlist, userId, 'create', null);
+      await User.updateOne({ _id: userId }, { $addToSet: { playlists: playlist._id } });
+
+      job.set({ status: 'completed', playlist: playlist._id });
+      await job.save();
+      return { job, playlist };
+    } catch (error) {
+      await PlaylistImport.updateOne({ _id: job._id }, { status: 'review', $unset: { finishedAt: 1 } });
+      throw error;
+    }
+  }
+
+  async list(userId) {
+    return PlaylistImport.find({ user: userId })
+      .select('-rows')
+      .sort({ createdAt: -1 })
+      .limit(50);
+  }
+
+  async get(userId, importId) {
+    return PlaylistImport.findOne({ _id: importId, user: userId });
+  }
+
+  toJSON(job, { rows = false } = {}) {
+    return {
+      id: job._id,
+      format: job.format,
+      fileName: job.fileName,
+      name: job.name,
+      isPublic: job.isPublic,
+      status: job.status,
+      totals: job.totals,
+      ...(job.playlist && { playlistId: job.playlist }),
+      ...(job.error && { error: job.error }),
+      ...(job.status === 'pending' && job.retryAt && { retryAt: job.retryAt }),
+      ...(rows && { rows: job.rows }),
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+module.exports = new PlaylistImportsService();
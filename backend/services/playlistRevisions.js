@@ -0,0 +1,211 @@
+const Playlist = require('../models/Playlist');
+const PlaylistRevision = require('../models/PlaylistRevision');
+const { PlaylistError } = require('./playlistAccess');
+
+// Oldest revisions beyond this many are dropped
+const MAX_REVISIONS = parseInt(process.env.PLAYLIST_MAX_REVISIONS) || 200;
+
+// Content that revisions keep and restores bring back. Visibility and
+// collaboration settings stay with the owner and are not versioned.
+const DETAIL_FIELDS = ['name', 'description', 'mood', 'genre', 'coverImage', 'tags'];
+const TRACK_FIELDS = ['trackId', 'title', 'artist', 'duration', 'audioUrl', 'imageUrl', 'addedAt', 'addedBy'];
+
+const pick = (source, fields) => fields.reduce((result, field) => {
+  result[field] = source[field];
+  return result;
+}, {});
+
+const trackRef = (track) => ({ trackId: track.trackId, title: track.title, artist: track.artist });
+
+// Indices into `sequence` of its longest strictly increasing subsequence
+const longestIncreasing = (sequence) => {
+  const tails = []; // index of the smallest tail of each subsequence length
+  const previous = new Array(sequence.length);
+
+  sequence.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sequence[tails[middle]] < value) low = middle + 1;
+      else high = middle;
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const result = new Set();
+  for (let index = tails[tails.length - 1]; index !== undefined && index >= 0; index = previous[index]) {
+    result.add(index);
+  }
+  return result;
+};
+
+// What changed between two snapshots: tracks added and removed, tracks
+// moved (the fewest that explain the new order) and changed details.
+// Positions are 0-based.
+const diffSnapshots = (from, to) => {
+  const fromIndex = new Map(from.tracks.map((track, index) => [track.trackId, index]));
+  const toIds = new Set(to.tracks.map(track => track.trackId));
+
+  const added = [];
+  const kept = []; // tracks in both, in their new order
+  to.tracks.forEach((track, index) => {
+    if (fromIndex.has(track.trackId)) kept.push({ track, from: fromIndex.get(track.trackId), to: index });
+    else added.push({ ...trackRef(track), to: index });
+  });
+
+  const removed = from.tracks
+    .map((track, index) => ({ ...trackRef(track), from: index }))
+    .filter(track => !toIds.has(track.trackId));
+
+  const inPlace = longestIncreasing(kept.map(entry => entry.from));
+  const moved = kept
+    .filter((entry, index) => !inPlace.has(index))
+    .map(entry => ({ ...trackRef(entry.track), from: entry.from, to: entry.to }));
+
+  const fields = DETAIL_FIELDS.filter(field =>
+    JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null)
+  );
+
+  return { added, removed, moved, fields };
+};
+
+const isEmptyDiff = (diff) => !diff.added.length && !diff.removed.length && !diff.moved.length && !diff.fields.length;
+
+// Keeps a revision of a playlist's content for every change, so changes by
+// any collaborator can be reviewed and undone
+class PlaylistRevisionService {
+  snapshot(playlist) {
+    const source = playlist.toObject ? playlist.toObject() : playlist;
+
+    return {
+      ...pick(source, DETAIL_FIELDS),
+      tags: [...(source.tags || [])],
+      tracks: (source.tracks || []).map(track => pick(track, TRACK_FIELDS))
+    };
+  }
+
+  // Store the playlist's current content as a revision. `previous` is the
+  // snapshot taken before the change (null for a new playlist); playlists
+  // edited for the first time since revisions were introduced get it as
+  // their baseline. Returns null when nothing changed.
+  async record(playlist, userId, action, previous, { restoredFrom } = {}) {
+    const current = this.snapshot(playlist);
+    const changes = previous ? diffSnapshots(previous, current) : null;
+    if (changes && isEmptyDiff(changes)) return null;
+
+    const { revision } = await Playlist.findByIdAndUpdate(
+      playlist._id,
+      { $inc: { revision: 1 } },
+      { new: true, timestamps: false }
+    ).select('revision');
+
+    let number = revision;
+    if (number === 1 && previous) {
+      await PlaylistRevision.create({
+        playlist: playlist._id,
+        number,
+        author: playlist.owner,
+        action: 'baseline',
+        snapshot: previous
+      });
+      ({ revision: number } = await Playlist.findByIdAndUpdate(
+        playlist._id,
+        { $inc: { revision: 1 } },
+        { new: true, timestamps: false }
+      ).select('revision'));
+    }
+
+    const saved = await PlaylistRevision.create({
+      playlist: playlist._id,
+      number,
+      author: userId,
+      action,
+      restoredFrom,
+      snapshot: current,
+      changes: changes || { added: current.tracks.map((track, index) => ({ ...trackRef(track), to: index })) }
+    });
+
+    if (number > MAX_REVISIONS) {
+      await PlaylistRevision.deleteMany({ playlist: playlist._id, number: { $lte: number - MAX_REVISIONS } });
+    }
+
+    return saved;
+  }
+
+  async list(playlistId, { limit = 20, offset = 0 } = {}) {
+    const [revisions, total] = await Promise.all([
+      PlaylistRevision.find({ playlist: playlistId })
+        .select('-snapshot.tracks')
+        .sort({ number: -1 })
+        .skip(offset)
+        .limit(limit)
+        .populate('author', 'username profile.displayName profile.avatar'),
+      PlaylistRevision.countDocuments({ playlist: playlistId })
+    ]);
+
+    return { revisions, total };
+  }
+
+  async get(playlistId, number) {
+    const revision = await PlaylistRevision.findOne({ playlist: playlistId, number })
+      .populate('author', 'username profile.displayName profile.avatar');
+    if (!revision) {
+      throw new PlaylistError('Revision not found', 404);
+    }
+    return revision;
+  }
+
+  // Differences between two revisions, or between a revision and the
+  // playlist as it is now when `to` is omitted
+  async diff(playlist, from, to) {
+    const [base, target] = await Promise.all([
+      this.get(playlist._id, from),
+      to === undefined ? null : this.get(playlist._id, to)
+    ]);
+
+    return diffSnapshots(base.toObject().snapshot, target ? target.toObject().snapshot : this.snapshot(playlist));
+  }
+
+  // Bring back the content of a revision. The restore is a new revision, so
+  // it can be undone in turn.
+  async restore(playlist, number, userId) {
+    const revision = await this.get(playlist._id, number);
+    const previous = this.snapshot(playlist);
+    const { tracks, ...details } = revision.toObject().snapshot;
+
+    playlist.set(pick(details, DETAIL_FIELDS));
+    playlist.tracks = tracks;
+    await playlist.save();
+
+    // Null when the playlist already matched the revision
+    return this.record(playlist, userId, 'restore', previous, { restoredFrom: number });
+  }
+
+  toJSON(revision, { tracks = false } = {}) {
+    const author = revision.author;
+    const { tracks: snapshotTracks, ...details } = revision.toObject().snapshot || {};
+
+    return {
+      number: revision.number,
+      action: revision.action,
+      ...(revision.restoredFrom && { restoredFrom: revision.restoredFrom }),
+      author: author?.username
+        ? { id: author._id, username: author.username, displayName: author.profile?.displayName || author.username }
+        : null,
+      changes: {
+        added: revision.changes?.added || [],
+        removed: revision.changes?.removed || [],
+        moved: revision.changes?.moved || [],
+        fields: revision.changes?.fields || []
+      },
+      details,
+      ...(tracks && { tracks: snapshotTracks || [] }),
+      createdAt: revision.createdAt
+    };
+  }
+}
+
+module.exports = new PlaylistRevisionService();
+module.exports.diffSnapshots = diffSnapshots;
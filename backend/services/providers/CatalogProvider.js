@@ -0,0 +1,141 @@
+const EventEmitter = require('events');
+
+const catalogMethods = [
+  'searchTracks',
+  'getTrackById',
+  'getTracksByArtist',
+  'browseTracks',
+  'getTagStats',
+  'getPopularTracks',
+  'searchArtists',
+  'getArtistById',
+  'searchAlbums',
+  'getAlbumById',
+  'getAlbumTracks',
+  'getAlbumsByArtist',
+  'getAudioSource',
+  'getCoverArt'
+];
+
+// Base class for catalog providers. A provider wraps one music source and
+// returns tracks/artists in the standard format produced by formatTrack and
+// formatArtist, with ids qualified by the provider name (e.g. "jamendo:123").
+// Providers emit "updated" when their catalog changes so cached results can
+// be dropped.
+class CatalogProvider extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+
+    if (!name || name.includes(':')) {
+      throw new Error(`Invalid provider name "${name}"`);
+    }
+
+    this.name = name;
+    this.options = options;
+    this.displayName = options.displayName || name;
+  }
+
+  // Prefix a source id with the provider name
+  qualifyId(id) {
+    if (id === undefined || id === null || id === '') return '';
+    return `${this.name}:${id}`;
+  }
+
+  // Check whether a subclass implements a given catalog method
+  supports(method) {
+    return typeof this[method] === 'function' &&
+      this[method] !== CatalogProvider.prototype[method];
+  }
+
+  // Lifecycle hooks, called once the database is connected and on shutdown
+  async start() {}
+
+  async stop() {}
+
+  // Upstream usage counters (concurrency, quota), if the provider has any
+  usage() {
+    return null;
+  }
+
+  notImplemented(method) {
+    throw new Error(`Provider "${this.name}" does not implement ${method}`);
+  }
+
+  // Tracks matching a text query. Options include { tags } (space
+  // separated) and { anyTags } (an array, at least one of which matches).
+  async searchTracks(query, options = {}) {
+    this.notImplemented('searchTracks');
+  }
+
+  async getTrackById(trackId, options = {}) {
+    this.notImplemented('getTrackById');
+  }
+
+  async getTracksByArtist(artistId, options = {}) {
+    this.notImplemented('getTracksByArtist');
+  }
+
+  // Tracks matching browse filters: { tags } (all of them), { anyTags }
+  // (at least one), { speed } (see moods.js) and { vocalInstrumental }.
+  // `total` should be the full match count so it can be shown per category.
+  async browseTracks(filters = {}, options = {}) {
+    this.notImplemented('browseTracks');
+  }
+
+  // Genre tags in the catalog with their track counts: { tags: [{ tag, name, count }] }
+  async getTagStats(options = {}) {
+    this.notImplemented('getTagStats');
+  }
+
+  async getPopularTracks(options = {}) {
+    this.notImplemented('getPopularTracks');
+  }
+
+  async searchArtists(query, options = {}) {
+    this.notImplemented('searchArtists');
+  }
+
+  async getArtistById(artistId, options = {}) {
+    this.notImplemented('getArtistById');
+  }
+
+  async searchAlbums(query, options = {}) {
+    this.notImplemented('searchAlbums');
+  }
+
+  async getAlbumById(albumId, options = {}) {
+    this.notImplemented('getAlbumById');
+  }
+
+  // Tracks in album order, with trackNumber and discNumber set
+  async getAlbumTracks(albumId, options = {}) {
+    this.notImplemented('getAlbumTracks');
+  }
+
+  async getAlbumsByArtist(artistId, options = {}) {
+    this.notImplemented('getAlbumsByArtist');
+  }
+
+  // Where the audio for a track lives: { type: 'url', url, fallbackUrls }
+  // or { type: 'file', path, mimeType }. options.track is the formatted
+  // track when the caller already has it.
+  async getAudioSource(trackId, options = {}) {
+    this.notImplemented('getAudioSource');
+  }
+
+  // Embedded artwork for a track: { data, format }
+  async getCoverArt(trackId) {
+    this.notImplemented('getCoverArt');
+  }
+
+  // Summary used by the /providers endpoint
+  describe() {
+    return {
+      name: this.name,
+      displayName: this.displayName,
+      capabilities: catalogMethods.filter(method => this.supports(method))
+    };
+  }
+}
+
+module.exports = CatalogProvider;
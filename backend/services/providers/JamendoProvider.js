@@ -0,0 +1,411 @@
+const axios = require('axios');
+const CatalogProvider = require('./CatalogProvider');
+const ConcurrencyLimiter = require('../upstream/ConcurrencyLimiter');
+const QuotaTracker = require('../upstream/QuotaTracker');
+const CircuitBreaker = require('../upstream/CircuitBreaker');
+const { withRetry } = require('../upstream/retry');
+const { UpstreamError, fromAxiosError } = require('../upstream/errors');
+const { audioQualities } = require('./audioQualities');
+
+// Jamendo audioformat for each streaming quality
+const audioFormats = {
+  'mp3-low': 'mp31',
+  'mp3-high': 'mp32',
+  'ogg': 'ogg'
+};
+
+// musicinfo tags come back as plain strings
+const tagNames = (tags = []) => tags
+  .map(tag => (typeof tag === 'string' ? tag : tag.name))
+  .filter(Boolean);
+
+const genreNames = (track) => tagNames(track.musicinfo?.tags?.genres);
+
+// Genres followed by vibes such as "happy" or "calm", which mood
+// categories match on
+const trackTags = (track) => [...genreNames(track), ...tagNames(track.musicinfo?.tags?.vibes)];
+
+class JamendoProvider extends CatalogProvider {
+  constructor(options = {}) {
+    super(options.name || 'jamendo', { displayName: 'Jamendo', ...options });
+    this.clientId = options.clientId || process.env.JAMENDO_CLIENT_ID;
+    this.baseUrl = options.baseUrl || 'https://api.jamendo.com/v3.0';
+    this.timeout = options.timeout || parseInt(process.env.JAMENDO_TIMEOUT) || 8000;
+    this.retries = options.retries ?? (parseInt(process.env.JAMENDO_RETRIES) || 2);
+
+    // Stay under the API key's limits
+    this.limiter = new ConcurrencyLimiter(
+      options.maxConcurrent || parseInt(process.env.JAMENDO_MAX_CONCURRENT) || 4
+    );
+    this.quota = new QuotaTracker({
+      key: `jamendo:${this.clientId || 'anonymous'}`,
+      limit: options.dailyQuota ?? (parseInt(process.env.JAMENDO_DAILY_QUOTA) || 0)
+    });
+
+    // Only transient failures (timeouts, 429, 5xx, lost connections) say
+    // Jamendo is unhealthy; rejected requests and quota exhaustion do not
+    this.breaker = new CircuitBreaker(this.name, {
+      failureThreshold: parseInt(process.env.JAMENDO_BREAKER_THRESHOLD) || 5,
+      resetTimeout: parseInt(process.env.JAMENDO_BREAKER_RESET) || 30000,
+      isFailure: error => error instanceof UpstreamError && error.retryable
+    });
+  }
+
+  async start() {
+    await this.quota.load();
+  }
+
+  async stop() {
+    await this.quota.flush();
+  }
+
+  // Every Jamendo call goes through here so it is counted, throttled,
+  // retried on transient failures and guarded by the circuit breaker.
+  // Failures surface as UpstreamError subclasses.
+  async request(resource, params) {
+    return this.breaker.run(() => withRetry(() => this.limiter.run(async () => {
+      this.quota.consume();
+
+      let response;
+      try {
+        response = await axios.get(`${this.baseUrl}/${resource}`, {
+          timeout: this.timeout,
+          params: {
+            client_id: this.clientId,
+            format: 'json',
+            ...params
+          }
+        });
+      } catch (error) {
+        throw fromAxiosError(error, this.name, this.timeout);
+      }
+
+      // Jamendo reports API errors in the body of a 200 response
+      if (response.data?.headers?.status === 'failed') {
+        throw new UpstreamError(`Jamendo error: ${response.data.headers.error_message}`, {
+          provider: this.name,
+          retryable: false
+        });
+      }
+
+      return response;
+    }), { retries: this.retries }));
+  }
+
+  usage() {
+    return {
+      concurrency: this.limiter.getStats(),
+      quota: this.quota.getStats(),
+      circuit: this.breaker.getStats()
+    };
+  }
+
+  audioFormat(quality) {
+    return audioFormats[quality] || audioFormats['mp3-high'];
+  }
+
+  // Shared request helper for the /tracks endpoint
+  async fetchTracks(params, limit, quality) {
+    const response = await this.request('tracks', {
+      include: 'musicinfo',
+      audioformat: this.audioFormat(quality),
+      ...params
+    });
+
+    return {
+      tracks: response.data.results.map(track => this.formatTrack(track)),
+      total: response.data.headers?.results_fullcount || response.data.headers?.results_count || response.data.results.length,
+      hasMore: response.data.results.length === limit
+    };
+  }
+
+  async searchTracks(query, options = {}) {
+    const {
+      limit = 20,
+      offset = 0,
+      order = 'popularity_total',
+      tags = '',
+      anyTags = [],
+      speed = '',
+      vocalinstrumental = '',
+      gender = '',
+      lang = '',
+      quality
+    } = options;
+
+    const params = {
+      limit,
+      offset,
+      order,
+      search: query
+    };
+
+    if (tags) params.tags = tags;
+    if (anyTags.length) params.fuzzytags = anyTags.join(' ');
+    if (speed) params.speed = speed;
+    if (vocalinstrumental) params.vocalinstrumental = vocalinstrumental;
+    if (gender) params.gender = gender;
+    if (lang) params.lang = lang;
+
+    return this.fetchTracks(params, limit, quality);
+  }
+
+  async getTrackById(trackId, options = {}) {
+    const result = await this.fetchTracks({ id: trackId }, undefined, options.quality);
+
+    return result.tracks.length > 0 ? result.tracks[0] : null;
+  }
+
+  async getTracksByArtist(artistId, options = {}) {
+    const { limit = 20, offset = 0, quality } = options;
+
+    return this.fetchTracks({
+      artist_id: artistId,
+      limit,
+      offset,
+      order: 'popularity_total'
+    }, limit, quality);
+  }
+
+  // `tags` must all match, `fuzzytags` ranks tracks matching any of them
+  async browseTracks(filters = {}, options = {}) {
+    const { tags = [], anyTags = [], speed, vocalInstrumental } = filters;
+    const { limit = 20, offset = 0, quality } = options;
+
+    const params = {
+      limit,
+      offset,
+      order: 'popularity_total',
+      fullcount: true
+    };
+
+    if (tags.length) params.tags = tags.join(' ');
+    if (anyTags.length) params.fuzzytags = anyTags.join(' ');
+    if (speed) params.speed = speed;
+    if (vocalInstrumental) params.vocalinstrumental = vocalInstrumental;
+
+    return this.fetchTracks(params, limit, quality);
+  }
+
+  // Jamendo has no tag listing, so genre tags are discovered from a sample
+  // of popular tracks and the most common ones are then counted exactly
+  async getTagStats(options = {}) {
+    const { sampleSize = 400, maxTags = 40 } = options;
+    const pageSize = 200;
+    const offsets = [];
+    for (let offset = 0; offset < sampleSize; offset += pageSize) offsets.push(offset);
+
+    const pages = await Promise.all(offsets.map(offset => this.request('tracks', {
+      include: 'musicinfo',
+      order: 'popularity_total',
+      limit: Math.min(pageSize, sampleSize - offset),
+      offset
+    })));
+
+    const seen = new Map();
+    pages.forEach(page => page.data.results.forEach(track => {
+      genreNames(track).forEach(genre => {
+        const tag = genre.toLowerCase();
+        seen.set(tag, (seen.get(tag) || 0) + 1);
+      });
+    }));
+
+    const common = [...seen.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, maxTags)
+      .map(([tag]) => tag);
+
+    const tags = await Promise.all(common.map(async (tag) => {
+      const response = await this.request('tracks', { tags: tag, limit: 1, fullcount: true });
+      return { tag, name: tag, count: parseInt(response.data.headers?.results_fullcount) || seen.get(tag) };
+    }));
+
+    return { tags };
+  }
+
+  async getPopularTracks(options = {}) {
+    const { limit = 20, offset = 0, quality } = options;
+
+    return this.fetchTracks({
+      limit,
+      offset,
+      order: 'popularity_total'
+    }, limit, quality);
+  }
+
+  async searchArtists(query, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+
+    const response = await this.request('artists', {
+      search: query,
+      limit,
+      offset,
+      order: 'popularity_total'
+    });
+
+    return {
+      artists: response.data.results.map(artist => this.formatArtist(artist)),
+      total: response.data.headers?.results_fullcount || response.data.headers?.results_count || response.data.results.length,
+      hasMore: response.data.results.length === limit
+    };
+  }
+
+  async getArtistById(artistId) {
+    const response = await this.request('artists', { id: artistId });
+
+    return response.data.results.length > 0
+      ? this.formatArtist(response.data.results[0])
+      : null;
+  }
+
+  async searchAlbums(query, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+
+    const response = await this.request('albums', {
+      namesearch: query,
+      limit,
+      offset,
+      order: 'popularity_total'
+    });
+
+    return {
+      albums: response.data.results.map(album => this.formatAlbum(album)),
+      total: response.data.headers?.results_fullcount || response.data.headers?.results_count || response.data.results.length,
+      hasMore: response.data.results.length === limit
+    };
+  }
+
+  async getAlbumById(albumId) {
+    const response = await this.request('albums/tracks', { id: albumId });
+
+    return response.data.results.length > 0
+      ? this.formatAlbum(response.data.results[0])
+      : null;
+  }
+
+  async getAlbumTracks(albumId, options = {}) {
+    const response = await this.request('albums/tracks', {
+      id: albumId,
+      audioformat: this.audioFormat(options.quality)
+    });
+
+    const album = response.data.results[0];
+    if (!album) return null;
+
+    // Album tracks only carry their own fields, so fill in the album's
+    const tracks = (album.tracks || [])
+      .map(track => this.formatTrack({
+        ...track,
+        artist_id: album.artist_id,
+        artist_name: album.artist_name,
+        album_id: album.id,
+        album_name: album.name,
+        album_image: album.image,
+        releasedate: album.releasedate
+      }))
+      .sort((a, b) => (a.trackNumber || 0) - (b.trackNumber || 0));
+
+    return {
+      album: this.formatAlbum(album),
+      tracks,
+      total: tracks.length,
+      hasMore: false
+    };
+  }
+
+  async getAlbumsByArtist(artistId, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+
+    const response = await this.request('albums', {
+      artist_id: artistId,
+      limit,
+      offset,
+      order: 'releasedate_desc'
+    });
+
+    return {
+      albums: response.data.results.map(album => this.formatAlbum(album)),
+      total: response.data.headers?.results_fullcount || response.data.headers?.results_count || response.data.results.length,
+      hasMore: response.data.results.length === limit
+    };
+  }
+
+  // The download URL serves the same recording and is used for failover.
+  // options.track must have been fetched with the same quality.
+  async getAudioSource(trackId, options = {}) {
+    const track = options.track || await this.getTrackById(trackId, { quality: options.quality });
+    if (!track?.audioUrl) return null;
+
+    return {
+      type: 'url',
+      url: track.audioUrl,
+      fallbackUrls: track.downloadUrl ? [track.downloadUrl] : [],
+      mimeType: (audioQualities[options.quality] || audioQualities['mp3-high']).mimeType
+    };
+  }
+
+  // Format track data to our standard format
+  formatTrack(track) {
+    return {
+      id: this.qualifyId(track.id.toString()),
+      provider: this.name,
+      sourceId: track.id.toString(),
+      title: track.name,
+      artist: track.artist_name,
+      artistId: this.qualifyId(track.artist_id.toString()),
+      duration: track.duration ? parseInt(track.duration) : 0,
+      audioUrl: track.audio || '',
+      imageUrl: track.image || track.album_image || '',
+      albumName: track.album_name || '',
+      albumId: track.album_id ? this.qualifyId(track.album_id.toString()) : '',
+      genre: genreNames(track)[0] || '',
+      tags: trackTags(track),
+      releaseDate: track.releasedate || '',
+      license: track.license_ccurl || 'Creative Commons',
+      downloadUrl: track.audiodownload || '',
+      shareUrl: track.shareurl || '',
+      waveform: track.waveform || '',
+      bpm: track.musicinfo?.bpm || null,
+      vocalInstrumental: track.musicinfo?.vocalinstrumental || 'unknown',
+      lang: track.musicinfo?.lang || 'en',
+      speed: track.musicinfo?.speed || 'medium',
+      acoustic: track.musicinfo?.acousticelectric || 'unknown',
+      trackNumber: track.position ? parseInt(track.position) : null,
+      discNumber: track.position ? 1 : null
+    };
+  }
+
+  // Format album data to our standard format
+  formatAlbum(album) {
+    return {
+      id: this.qualifyId(album.id.toString()),
+      provider: this.name,
+      name: album.name,
+      artist: album.artist_name,
+      artistId: this.qualifyId(album.artist_id.toString()),
+      imageUrl: album.image || '',
+      releaseDate: album.releasedate || '',
+      trackCount: album.tracks ? album.tracks.length : null,
+      shareUrl: album.shareurl || '',
+      downloadUrl: album.zip || ''
+    };
+  }
+
+  // Format artist data to our standard format
+  formatArtist(artist) {
+    return {
+      id: this.qualifyId(artist.id.toString()),
+      provider: this.name,
+      name: artist.name,
+      image: artist.image || '',
+      website: artist.website || '',
+      joindate: artist.joindate || '',
+      country: artist.country || '',
+      bio: artist.bio || '',
+      shareurl: artist.shareurl || '',
+      shorturl: artist.shorturl || ''
+    };
+  }
+}
+
+module.exports = JamendoProvider;
@@ -0,0 +1,481 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const mm = require('music-metadata');
+const CatalogProvider = require('./CatalogProvider');
+const { speedForBpm, bpmRange } = require('./moods');
+const LibraryTrack = require('../../models/LibraryTrack');
+
+const mimeTypes = {
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.flac': 'audio/flac',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav'
+};
+
+// Build a stable URL-safe key from an artist or album name
+const toKey = (value) => {
+  const key = String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return key || crypto.createHash('sha1').update(String(value)).digest('hex').slice(0, 12);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Catalog provider backed by a directory of audio files we own. Files are
+// indexed into the LibraryTrack collection and re-indexed incrementally:
+// only files whose size or modification time changed are parsed again.
+class LocalLibraryProvider extends CatalogProvider {
+  constructor(options = {}) {
+    super(options.name || 'local', { displayName: 'Local Library', ...options });
+    this.directory = options.directory || process.env.LOCAL_LIBRARY_DIR || '';
+    this.watchEnabled = options.watch ?? process.env.LOCAL_LIBRARY_WATCH !== 'false';
+    this.rescanDelay = options.rescanDelay || 2000;
+
+    this.watcher = null;
+    this.rescanTimer = null;
+    this.scanning = null;
+    this.rescanPending = false;
+    this.lastScan = null;
+  }
+
+  async start() {
+    if (!this.directory) {
+      console.warn('Local library provider enabled without LOCAL_LIBRARY_DIR');
+      return;
+    }
+
+    await this.scan();
+
+    if (this.watchEnabled) {
+      this.watch();
+    }
+  }
+
+  async stop() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    clearTimeout(this.rescanTimer);
+  }
+
+  // Watch the library directory and rescan shortly after files change
+  watch() {
+    try {
+      this.watcher = fs.watch(this.directory, { recursive: true }, () => {
+        clearTimeout(this.rescanTimer);
+        this.rescanTimer = setTimeout(() => {
+          this.scan().catch(error => console.error('Local library rescan error:', error));
+        }, this.rescanDelay);
+      });
+    } catch (error) {
+      console.error('Local library watch error:', error.message);
+    }
+  }
+
+  // Recursively list supported audio files under the library directory
+  async listAudioFiles(directory = this.directory) {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listAudioFiles(fullPath));
+      } else if (mimeTypes[path.extname(entry.name).toLowerCase()]) {
+        files.push(fullPath);
+      }
+    }
+
+    return files;
+  }
+
+  // Index new and changed files and drop records for deleted ones. Scans
+  // requested while one is running are folded into a single follow-up scan.
+  async scan() {
+    if (this.scanning) {
+      this.rescanPending = true;
+      return this.scanning;
+    }
+
+    this.scanning = this.runScan().finally(() => {
+      this.scanning = null;
+      if (this.rescanPending) {
+        this.rescanPending = false;
+        this.scan().catch(error => console.error('Local library rescan error:', error));
+      }
+    });
+
+    return this.scanning;
+  }
+
+  async runScan() {
+    const summary = { added: 0, updated: 0, removed: 0, unchanged: 0, failed: 0 };
+    const files = await this.listAudioFiles();
+    const indexed = await LibraryTrack.find({}, 'path size mtimeMs').lean();
+    const indexedByPath = new Map(indexed.map(doc => [doc.path, doc]));
+
+    for (const filePath of files) {
+      try {
+        const stats = await fs.promises.stat(filePath);
+        const existing = indexedByPath.get(filePath);
+        indexedByPath.delete(filePath);
+
+        if (existing && existing.size === stats.size && existing.mtimeMs === stats.mtimeMs) {
+          summary.unchanged += 1;
+          continue;
+        }
+
+        const fields = await this.readTags(filePath, stats);
+        await LibraryTrack.updateOne({ path: filePath }, { $set: fields }, { upsert: true });
+        summary[existing ? 'updated' : 'added'] += 1;
+      } catch (error) {
+        console.error(`Local library could not index ${filePath}:`, error.message);
+        summary.failed += 1;
+      }
+    }
+
+    // Anything left in the index was not found on disk
+    const removedPaths = Array.from(indexedByPath.keys());
+    if (removedPaths.length > 0) {
+      await LibraryTrack.deleteMany({ path: { $in: removedPaths } });
+      summary.removed = removedPaths.length;
+    }
+
+    this.lastScan = { ...summary, finishedAt: new Date() };
+    if (summary.added || summary.updated || summary.removed) {
+      this.emit('updated', this.lastScan);
+    }
+
+    return this.lastScan;
+  }
+
+  // Read embedded tags from an audio file into LibraryTrack fields
+  async readTags(filePath, stats) {
+    const metadata = await mm.parseFile(filePath, { duration: true });
+    const { common, format } = metadata;
+
+    const title = common.title || path.basename(filePath, path.extname(filePath));
+    const artist = common.artist || common.albumartist || 'Unknown Artist';
+    const album = common.album || '';
+    const genres = common.genre || [];
+    const picture = common.picture?.[0];
+
+    return {
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      mimeType: mimeTypes[path.extname(filePath).toLowerCase()],
+      title,
+      artist,
+      artistKey: toKey(artist),
+      album,
+      albumKey: album ? `${toKey(common.albumartist || artist)}--${toKey(album)}` : '',
+      genres,
+      tagKeys: genres.map(genre => genre.toLowerCase()),
+      duration: format.duration ? Math.round(format.duration) : 0,
+      trackNumber: common.track?.no || null,
+      discNumber: common.disk?.no || null,
+      year: common.year || null,
+      bpm: common.bpm || null,
+      lang: common.language || null,
+      license: common.license || common.copyright || null,
+      cover: picture ? { data: picture.data, format: picture.format } : { data: null, format: null },
+      hasCover: Boolean(picture)
+    };
+  }
+
+  async findTracks(filter, { limit = 20, offset = 0, sort = { artist: 1, album: 1, discNumber: 1, trackNumber: 1 } } = {}) {
+    const [docs, total] = await Promise.all([
+      LibraryTrack.find(filter).sort(sort).skip(offset).limit(limit),
+      LibraryTrack.countDocuments(filter)
+    ]);
+
+    return {
+      tracks: docs.map(doc => this.formatTrack(doc)),
+      total,
+      hasMore: offset + docs.length < total
+    };
+  }
+
+  async searchTracks(query, options = {}) {
+    const { limit = 20, offset = 0, tags = '', anyTags = [] } = options;
+    const pattern = new RegExp(escapeRegex(query), 'i');
+    const filter = {
+      $or: [{ title: pattern }, { artist: pattern }, { album: pattern }]
+    };
+
+    if (tags) {
+      filter.tagKeys = { $in: tags.toLowerCase().split(/\s+/).filter(Boolean) };
+    }
+    if (anyTags.length) {
+      filter.$and = [{ tagKeys: { $in: anyTags.map(tag => tag.toLowerCase()) } }];
+    }
+
+    return this.findTracks(filter, { limit, offset });
+  }
+
+  async getTrackById(trackId) {
+    if (!mongoose.isValidObjectId(trackId)) return null;
+
+    const doc = await LibraryTrack.findById(trackId);
+    return doc ? this.formatTrack(doc) : null;
+  }
+
+  async getTracksByArtist(artistId, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+    return this.findTracks({ artistKey: artistId }, { limit, offset });
+  }
+
+  // Speed comes from the BPM tag. Files carry no vocal/instrumental flag,
+  // so the "instrumental" genre tag stands in for it.
+  async browseTracks(filters = {}, options = {}) {
+    const { tags = [], anyTags = [], speed, vocalInstrumental } = filters;
+    const { limit = 20, offset = 0 } = options;
+    const conditions = [];
+
+    if (tags.length) conditions.push({ tagKeys: { $all: tags } });
+    if (anyTags.length) conditions.push({ tagKeys: { $in: anyTags } });
+    if (vocalInstrumental === 'instrumental') conditions.push({ tagKeys: 'instrumental' });
+    if (vocalInstrumental === 'vocal') conditions.push({ tagKeys: { $ne: 'instrumental' } });
+
+    const range = speed && bpmRange(speed);
+    if (range) {
+      conditions.push({ bpm: range.max === Infinity ? { $gte: range.min } : { $gte: range.min, $lt: range.max } });
+    }
+
+    return this.findTracks(conditions.length ? { $and: conditions } : {}, { limit, offset });
+  }
+
+  async getTagStats() {
+    const tags = await LibraryTrack.aggregate([
+      { $unwind: '$genres' },
+      {
+        $group: {
+          _id: { $toLower: '$genres' },
+          name: { $first: '$genres' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    return {
+      tags: tags.map(tag => ({ tag: tag._id, name: tag.name, count: tag.count }))
+    };
+  }
+
+  // The local library has no popularity data, so list recent additions
+  async getPopularTracks(options = {}) {
+    const { limit = 20, offset = 0 } = options;
+    return this.findTracks({}, { limit, offset, sort: { createdAt: -1 } });
+  }
+
+  async searchArtists(query, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+    const pattern = new RegExp(escapeRegex(query), 'i');
+
+    const [result] = await LibraryTrack.aggregate([
+      { $match: { artist: pattern } },
+      {
+        $group: {
+          _id: '$artistKey',
+          name: { $first: '$artist' },
+          trackCount: { $sum: 1 },
+          coverTrack: { $max: { $cond: ['$hasCover', '$_id', null] } }
+        }
+      },
+      { $sort: { name: 1 } },
+      {
+        $facet: {
+          artists: [{ $skip: offset }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    return {
+      artists: result.artists.map(artist => this.formatArtist(artist)),
+      total,
+      hasMore: offset + result.artists.length < total
+    };
+  }
+
+  async getArtistById(artistId) {
+    const [artist] = await LibraryTrack.aggregate([
+      { $match: { artistKey: artistId } },
+      {
+        $group: {
+          _id: '$artistKey',
+          name: { $first: '$artist' },
+          trackCount: { $sum: 1 },
+          coverTrack: { $max: { $cond: ['$hasCover', '$_id', null] } }
+        }
+      }
+    ]);
+
+    return artist ? this.formatArtist(artist) : null;
+  }
+
+  // Group indexed files into albums
+  async findAlbums(match, { limit = 20, offset = 0, sort = { name: 1 } } = {}) {
+    const [result] = await LibraryTrack.aggregate([
+      { $match: { albumKey: { $ne: '' }, ...match } },
+      {
+        $group: {
+          _id: '$albumKey',
+          name: { $first: '$album' },
+          artist: { $first: '$artist' },
+          artistKey: { $first: '$artistKey' },
+          year: { $max: '$year' },
+          trackCount: { $sum: 1 },
+          coverTrack: { $max: { $cond: ['$hasCover', '$_id', null] } }
+        }
+      },
+      { $sort: sort },
+      {
+        $facet: {
+          albums: [{ $skip: offset }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    return {
+      albums: result.albums.map(album => this.formatAlbum(album)),
+      total,
+      hasMore: offset + result.albums.length < total
+    };
+  }
+
+  async searchAlbums(query, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+    return this.findAlbums({ album: new RegExp(escapeRegex(query), 'i') }, { limit, offset });
+  }
+
+  async getAlbumById(albumId) {
+    const { albums } = await this.findAlbums({ albumKey: albumId }, { limit: 1 });
+    return albums[0] || null;
+  }
+
+  async getAlbumTracks(albumId, options = {}) {
+    const { limit = 200, offset = 0 } = options;
+    const album = await this.getAlbumById(albumId);
+    if (!album) return null;
+
+    const result = await this.findTracks({ albumKey: albumId }, {
+      limit,
+      offset,
+      sort: { discNumber: 1, trackNumber: 1, title: 1 }
+    });
+
+    return { album, ...result };
+  }
+
+  async getAlbumsByArtist(artistId, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+    return this.findAlbums({ artistKey: artistId }, { limit, offset, sort: { year: -1, name: 1 } });
+  }
+
+  async getAudioSource(trackId) {
+    if (!mongoose.isValidObjectId(trackId)) return null;
+
+    const doc = await LibraryTrack.findById(trackId, 'path mimeType');
+    return doc ? { type: 'file', path: doc.path, mimeType: doc.mimeType } : null;
+  }
+
+  async getCoverArt(trackId) {
+    if (!mongoose.isValidObjectId(trackId)) return null;
+
+    const doc = await LibraryTrack.findById(trackId).select('+cover.data');
+    return doc?.cover?.data ? { data: doc.cover.data, format: doc.cover.format } : null;
+  }
+
+  // Format an indexed file to our standard track format
+  formatTrack(doc) {
+    const id = this.qualifyId(doc._id.toString());
+
+    return {
+      id,
+      provider: this.name,
+      sourceId: doc._id.toString(),
+      title: doc.title,
+      artist: doc.artist,
+      artistId: this.qualifyId(doc.artistKey),
+      duration: doc.duration || 0,
+      audioUrl: `/api/music/tracks/${id}/stream`,
+      imageUrl: doc.hasCover ? `/api/music/tracks/${id}/cover` : '',
+      albumName: doc.album || '',
+      albumId: this.qualifyId(doc.albumKey),
+      genre: doc.genres?.[0] || '',
+      tags: doc.genres || [],
+      releaseDate: doc.year ? String(doc.year) : '',
+      license: doc.license || '',
+      downloadUrl: '',
+      shareUrl: '',
+      waveform: '',
+      bpm: doc.bpm || null,
+      vocalInstrumental: 'unknown',
+      lang: doc.lang || 'en',
+      speed: speedForBpm(doc.bpm) || 'medium',
+      acoustic: 'unknown',
+      trackNumber: doc.trackNumber || null,
+      discNumber: doc.discNumber || null
+    };
+  }
+
+  // Format an aggregated album group to our standard album format
+  formatAlbum(album) {
+    const coverId = album.coverTrack ? this.qualifyId(album.coverTrack.toString()) : '';
+
+    return {
+      id: this.qualifyId(album._id),
+      provider: this.name,
+      name: album.name,
+      artist: album.artist,
+      artistId: this.qualifyId(album.artistKey),
+      imageUrl: coverId ? `/api/music/tracks/${coverId}/cover` : '',
+      releaseDate: album.year ? String(album.year) : '',
+      trackCount: album.trackCount,
+      shareUrl: '',
+      downloadUrl: ''
+    };
+  }
+
+  // Format an aggregated artist group to our standard artist format
+  formatArtist(artist) {
+    const coverId = artist.coverTrack ? this.qualifyId(artist.coverTrack.toString()) : '';
+
+    return {
+      id: this.qualifyId(artist._id),
+      provider: this.name,
+      name: artist.name,
+      image: coverId ? `/api/music/tracks/${coverId}/cover` : '',
+      website: '',
+      joindate: '',
+      country: '',
+      bio: '',
+      shareurl: '',
+      shorturl: '',
+      trackCount: artist.trackCount
+    };
+  }
+}
+
+module.exports = LocalLibraryProvider;
+module.exports.toKey = toKey;
@@ -0,0 +1,34 @@
+// Streaming qualities users can choose between. Providers map them onto
+// their own formats; local files are always served as stored.
+const audioQualities = {
+  'mp3-low': { name: 'Low bandwidth MP3', mimeType: 'audio/mpeg' },
+  'mp3-high': { name: 'High quality MP3', mimeType: 'audio/mpeg' },
+  'ogg': { name: 'OGG Vorbis', mimeType: 'audio/ogg' }
+};
+
+const qualityIds = Object.keys(audioQualities);
+
+// Used when the user has no preference for the connection type
+const defaultQualities = {
+  metered: 'mp3-low',
+  unmetered: 'mp3-high'
+};
+
+const connectionTypes = Object.keys(defaultQualities);
+
+// Quality for a request: an explicit choice wins, then the user's
+// preference for their connection type, then the default for it
+const resolveQuality = ({ quality, connection, preferences } = {}) => {
+  if (qualityIds.includes(quality)) return quality;
+
+  const type = connectionTypes.includes(connection) ? connection : 'unmetered';
+  return preferences?.audioQuality?.[type] || defaultQualities[type];
+};
+
+module.exports = {
+  audioQualities,
+  qualityIds,
+  defaultQualities,
+  connectionTypes,
+  resolveQuality
+};
@@ -0,0 +1,132 @@
+const path = require('path');
+const CatalogProvider = require('./CatalogProvider');
+const JamendoProvider = require('./JamendoProvider');
+const LocalLibraryProvider = require('./LocalLibraryProvider');
+
+// Providers that can be enabled by name in MUSIC_PROVIDERS
+const builtInProviders = {
+  jamendo: JamendoProvider,
+  local: LocalLibraryProvider
+};
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultName = null;
+  }
+
+  register(provider, { isDefault = false } = {}) {
+    if (!(provider instanceof CatalogProvider)) {
+      throw new Error('Catalog providers must extend CatalogProvider');
+    }
+    if (this.providers.has(provider.name)) {
+      throw new Error(`Provider "${provider.name}" is already registered`);
+    }
+
+    this.providers.set(provider.name, provider);
+    if (isDefault || !this.defaultName) {
+      this.defaultName = provider.name;
+    }
+
+    return provider;
+  }
+
+  unregister(name) {
+    this.providers.delete(name);
+    if (this.defaultName === name) {
+      this.defaultName = this.providers.keys().next().value || null;
+    }
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown catalog provider "${name}"`);
+    }
+    return provider;
+  }
+
+  getDefault() {
+    if (!this.defaultName) {
+      throw new Error('No catalog providers are registered');
+    }
+    return this.providers.get(this.defaultName);
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  names() {
+    return Array.from(this.providers.keys());
+  }
+
+  // Split "provider:id" into its parts. Ids stored before providers existed
+  // carry no prefix and belong to the default provider.
+  parseId(qualifiedId) {
+    const value = String(qualifiedId);
+    const separator = value.indexOf(':');
+
+    if (separator > 0 && this.providers.has(value.slice(0, separator))) {
+      return { provider: value.slice(0, separator), id: value.slice(separator + 1) };
+    }
+
+    return { provider: this.getDefault().name, id: value };
+  }
+
+  // Resolve a qualified id to the provider instance and its source id
+  resolve(qualifiedId) {
+    const { provider, id } = this.parseId(qualifiedId);
+    return { provider: this.get(provider), id };
+  }
+
+  // Run provider start hooks (indexing, watchers) once the database is up
+  async startAll() {
+    await Promise.all(this.list().map(async provider => {
+      try {
+        await provider.start();
+      } catch (error) {
+        console.error(`Failed to start catalog provider "${provider.name}":`, error);
+      }
+    }));
+  }
+
+  async stopAll() {
+    await Promise.all(this.list().map(provider => provider.stop()));
+  }
+
+  // Instantiate providers listed in MUSIC_PROVIDERS. Each entry is either a
+  // built-in provider name or a module path (relative to the backend root)
+  // exporting a CatalogProvider subclass or instance.
+  loadFromConfig(config = process.env.MUSIC_PROVIDERS || 'jamendo') {
+    const entries = config.split(',').map(entry => entry.trim()).filter(Boolean);
+
+    entries.forEach(entry => {
+      let Provider = builtInProviders[entry];
+      if (!Provider) {
+        Provider = require(path.resolve(__dirname, '../..', entry));
+      }
+
+      const provider = Provider instanceof CatalogProvider ? Provider : new Provider();
+      this.register(provider);
+    });
+
+    const defaultName = process.env.MUSIC_DEFAULT_PROVIDER;
+    if (defaultName && this.providers.has(defaultName)) {
+      this.defaultName = defaultName;
+    }
+
+    return this;
+  }
+}
+
+const registry = new ProviderRegistry().loadFromConfig();
+
+module.exports = registry;
+module.exports.ProviderRegistry = ProviderRegistry;
+module.exports.CatalogProvider = CatalogProvider;
+module.exports.builtInProviders = builtInProviders;
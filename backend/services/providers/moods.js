@@ -0,0 +1,41 @@
+// Mood categories seeded into BrowseCategory on first start. Admins can
+// rename them and change their tags afterwards (see services/browse.js).
+const defaultMoods = [
+  { slug: 'happy', name: 'Happy', description: 'Upbeat and joyful music', tags: ['happy', 'energetic', 'upbeat'] },
+  { slug: 'relaxed', name: 'Chill & Relaxed', description: 'Perfect for unwinding', tags: ['chill', 'ambient', 'peaceful', 'calm'] },
+  { slug: 'energetic', name: 'Energetic', description: 'High energy tracks to pump you up', tags: ['energetic', 'upbeat', 'dance', 'electronic'] },
+  { slug: 'focus', name: 'Focus', description: 'Instrumental music for concentration', tags: ['instrumental', 'ambient', 'study', 'focus'] },
+  { slug: 'party', name: 'Party', description: 'Dance and party music', tags: ['dance', 'party', 'upbeat', 'electronic'] },
+  { slug: 'sad', name: 'Melancholy', description: 'Emotional and contemplative', tags: ['sad', 'melancholy', 'emotional'] },
+  { slug: 'chill', name: 'Chill', description: 'Laid-back lounge and downtempo', tags: ['chill', 'lounge', 'ambient', 'downtempo'] }
+];
+
+// Tempo buckets, using Jamendo's speed values. Providers that only know
+// the BPM map it onto these ranges.
+const speeds = [
+  { id: 'verylow', name: 'Very slow', maxBpm: 70 },
+  { id: 'low', name: 'Slow', maxBpm: 95 },
+  { id: 'medium', name: 'Medium', maxBpm: 120 },
+  { id: 'high', name: 'Fast', maxBpm: 145 },
+  { id: 'veryhigh', name: 'Very fast', maxBpm: Infinity }
+];
+
+const speedIds = speeds.map(speed => speed.id);
+
+const speedForBpm = (bpm) => {
+  if (!bpm) return null;
+  return speeds.find(speed => bpm < speed.maxBpm).id;
+};
+
+// BPM range covered by a speed bucket: { min, max } (max exclusive)
+const bpmRange = (speedId) => {
+  const index = speedIds.indexOf(speedId);
+  if (index === -1) return null;
+
+  return {
+    min: index > 0 ? speeds[index - 1].maxBpm : 0,
+    max: speeds[index].maxBpm
+  };
+};
+
+module.exports = { defaultMoods, speeds, speedIds, speedForBpm, bpmRange };
@@ -0,0 +1,91 @@
+// Helpers for merging search results from several catalog providers
+
+// Seconds two durations may differ by and still count as the same recording
+const DURATION_TOLERANCE = 3;
+
+// Lowercase, strip accents, bracketed suffixes and "feat." credits
+const normalizeText = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[([].*?[)\]]/g, ' ')
+  .replace(/\s(feat|ft|featuring)\.?\s.*$/, ' ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const tokenize = (value) => normalizeText(value).split(' ').filter(Boolean);
+
+// How well a track's title and artist match the query, from 0 to 1
+const textScore = (track, query) => {
+  const normalizedQuery = normalizeText(query);
+  const title = normalizeText(track.title);
+  const artist = normalizeText(track.artist);
+
+  if (!normalizedQuery) return 0;
+  if (title === normalizedQuery) return 1;
+  if (`${artist} ${title}` === normalizedQuery || `${title} ${artist}` === normalizedQuery) return 0.95;
+  if (title.startsWith(normalizedQuery)) return 0.85;
+
+  const tokens = tokenize(query);
+  const haystack = new Set([...tokenize(track.title), ...tokenize(track.artist), ...tokenize(track.albumName)]);
+  const matched = tokens.filter(token => haystack.has(token)).length;
+
+  return tokens.length ? 0.75 * (matched / tokens.length) : 0;
+};
+
+// Score every track by text match, weighted by its rank within its provider
+const scoreResults = (resultsByProvider, query) => {
+  const scored = [];
+
+  resultsByProvider.forEach(({ provider, tracks }, providerIndex) => {
+    tracks.forEach((track, position) => {
+      const positionScore = 1 - position / Math.max(tracks.length, 1);
+      scored.push({
+        track,
+        provider,
+        providerIndex,
+        score: 0.7 * textScore(track, query) + 0.3 * positionScore
+      });
+    });
+  });
+
+  return scored.sort((a, b) => b.score - a.score || a.providerIndex - b.providerIndex);
+};
+
+const isSameRecording = (a, b) => {
+  if (!a.duration || !b.duration) return true;
+  return Math.abs(a.duration - b.duration) <= DURATION_TOLERANCE;
+};
+
+// Keep the best-scoring copy of each recording and list the others as
+// alternates so clients can fall back to another source
+const dedupeResults = (scored) => {
+  const groups = new Map();
+  const merged = [];
+
+  scored.forEach(({ track, score }) => {
+    const key = `${normalizeText(track.title)}|${normalizeText(track.artist)}`;
+    const candidates = groups.get(key) || [];
+    const duplicateOf = candidates.find(candidate => isSameRecording(candidate.track, track));
+
+    if (duplicateOf) {
+      duplicateOf.track.alternates.push({ id: track.id, provider: track.provider });
+      return;
+    }
+
+    const entry = { track: { ...track, alternates: [] }, score };
+    candidates.push(entry);
+    groups.set(key, candidates);
+    merged.push(entry);
+  });
+
+  return merged;
+};
+
+module.exports = {
+  DURATION_TOLERANCE,
+  normalizeText,
+  textScore,
+  scoreResults,
+  dedupeResults
+};
@@ -0,0 +1,440 @@
+const Playlist = require('../models/Playlist');
+const PlayEvent = require('../models/PlayEvent');
+const User = require('../models/User');
+const musicAPI = require('./musicAPI');
+const listeningStats = require('./listeningStats');
+const revisions = require('./playlistRevisions');
+const notifications = require('./notifications');
+const { normalizeText } = require('./searchRanking');
+const { PlaylistError } = require('./playlistAccess');
+const { UpstreamError } = require('./upstream/errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Catalog tracks and listened tracks considered on each evaluation
+const CANDIDATES = parseInt(process.env.SMART_PLAYLIST_CANDIDATES) || 200;
+const MAX_TRACKS = 500;
+const MAX_RULES = 20;
+const LOOKUP_CONCURRENCY = 10;
+
+// Fields a rule can test, by value type. Listening fields (playCount,
+// lastPlayed, addedAt, favorite) come from the playlist owner's library:
+// addedAt is when a track was first played or favorited.
+const fieldTypes = {
+  title: 'text',
+  artist: 'text',
+  album: 'text',
+  genre: 'tag',
+  mood: 'mood',
+  bpm: 'number',
+  duration: 'number',
+  instrumental: 'boolean',
+  releaseDate: 'date',
+  playCount: 'number',
+  lastPlayed: 'date',
+  addedAt: 'date',
+  favorite: 'boolean'
+};
+
+const operators = {
+  text: ['is', 'isNot', 'contains', 'notContains'],
+  tag: ['is', 'isNot'],
+  mood: ['is', 'isNot'],
+  number: ['is', 'lt', 'gt', 'between'],
+  boolean: ['is'],
+  date: ['inLast', 'notInLast'] // value in days
+};
+
+const sorts = ['relevance', 'mostPlayed', 'leastPlayed', 'recentlyPlayed', 'newest', 'random'];
+
+// Fields only the full catalog track has, not the snapshots kept with plays
+const catalogFields = new Set(['genre', 'mood', 'bpm', 'instrumental', 'releaseDate']);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const checkValue = (type, operator, value) => {
+  switch (type) {
+    case 'text':
+    case 'tag':
+    case 'mood':
+      return typeof value === 'string' && value.trim().length > 0 && value.length <= 100;
+    case 'number':
+      return operator === 'between'
+        ? Array.isArray(value) && value.length === 2 && value.every(isNumber) && value[0] <= value[1]
+        : isNumber(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'date':
+      return Number.isInteger(value) && value >= 1 && value <= 3650;
+    default:
+      return false;
+  }
+};
+
+// Check a smart playlist definition from a request and return it with
+// defaults filled in. Throws a PlaylistError describing the first problem.
+const validateSmart = (smart) => {
+  if (!smart || typeof smart !== 'object' || Array.isArray(smart)) {
+    throw new PlaylistError('Smart playlist settings must be an object');
+  }
+
+  const { match = 'all', rules, limit = 50, sort = 'relevance' } = smart;
+  if (!['all', 'any'].includes(match)) {
+    throw new PlaylistError('match must be all or any');
+  }
+  if (!Array.isArray(rules) || !rules.length || rules.length > MAX_RULES) {
+    throw new PlaylistError(`A smart playlist needs between 1 and ${MAX_RULES} rules`);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TRACKS) {
+    throw new PlaylistError(`limit must be between 1 and ${MAX_TRACKS}`);
+  }
+  if (!sorts.includes(sort)) {
+    throw new PlaylistError(`sort must be one of: ${sorts.join(', ')}`);
+  }
+
+  rules.forEach((rule, index) => {
+    const type = fieldTypes[rule?.field];
+    if (!type) {
+      throw new PlaylistError(`Rule ${index + 1}: unknown field`);
+    }
+    if (!operators[type].includes(rule.operator)) {
+      throw new PlaylistError(`Rule ${index + 1}: ${rule.field} supports ${operators[type].join(', ')}`);
+    }
+    if (!checkValue(type, rule.operator, rule.value)) {
+      throw new PlaylistError(`Rule ${index + 1}: invalid value for ${rule.field}`);
+    }
+  });
+
+  return {
+    match,
+    rules: rules.map(({ field, operator, value }) => ({ field, operator, value })),
+    limit,
+    sort
+  };
+};
+
+const trackTags = (track) => [...(track.tags || []), track.genre]
+  .filter(Boolean)
+  .map(tag => tag.toLowerCase());
+
+const isInstrumental = (track) => track.vocalInstrumental === 'instrumental' || trackTags(track).includes('instrumental');
+
+const parseDate = (value) => {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : new Date(time);
+};
+
+// Value of a rule's field for a candidate ({ track, plays, lastPlayed,
+// addedAt, favorite })
+const fieldValue = (candidate, field) => {
+  const { track } = candidate;
+
+  switch (field) {
+    case 'album': return track.albumName;
+    case 'bpm': return track.bpm || null;
+    case 'instrumental': return isInstrumental(track);
+    case 'releaseDate': return parseDate(track.releaseDate);
+    case 'playCount': return candidate.plays;
+    case 'lastPlayed': return candidate.lastPlayed;
+    case 'addedAt': return candidate.addedAt;
+    case 'favorite': return candidate.favorite;
+    default: return track[field];
+  }
+};
+
+// Whether a candidate passes a rule. `moodTags` maps mood slugs to their
+// catalog tags.
+const testRule = (candidate, rule, moodTags, now) => {
+  const type = fieldTypes[rule.field];
+  const { operator, value } = rule;
+
+  if (type === 'tag' || type === 'mood') {
+    const wanted = type === 'mood' ? moodTags.get(value) || [] : [value.toLowerCase()];
+    const tags = trackTags(candidate.track);
+    const found = wanted.some(tag => tags.includes(tag));
+    return operator === 'is' ? found : !found;
+  }
+
+  const actual = fieldValue(candidate, rule.field);
+
+  if (type === 'text') {
+    const text = normalizeText(actual || '');
+    const wanted = normalizeText(value);
+    if (operator === 'is') return text === wanted;
+    if (operator === 'isNot') return text !== wanted;
+    if (operator === 'contains') return text.includes(wanted);
+    return !text.includes(wanted);
+  }
+
+  if (type === 'number') {
+    if (actual === null || actual === undefined) return false;
+    if (operator === 'is') return actual === value;
+    if (operator === 'lt') return actual < value;
+    if (operator === 'gt') return actual > value;
+    return actual >= value[0] && actual <= value[1];
+  }
+
+  if (type === 'boolean') return Boolean(actual) === value;
+
+  // Dates: a missing date is never within the last days
+  const within = Boolean(actual) && actual.getTime() >= now - value * DAY;
+  return operator === 'inLast' ? within : !within;
+};
+
+const shuffle = (items) => {
+  for (let index = items.length - 1; index > 0; index--) {
+    const other = Math.floor(Math.random() * (index + 1));
+    [items[index], items[other]] = [items[other], items[index]];
+  }
+  return items;
+};
+
+const byDateDesc = (read) => (a, b) => (read(b)?.getTime() || 0) - (read(a)?.getTime() || 0);
+
+const sorters = {
+  mostPlayed: (a, b) => b.plays - a.plays,
+  leastPlayed: (a, b) => a.plays - b.plays,
+  recentlyPlayed: byDateDesc(candidate => candidate.lastPlayed),
+  newest: byDateDesc(candidate => parseDate(candidate.track.releaseDate))
+};
+
+// Playlists defined by rules over track metadata and the owner's listening.
+// Their tracks are worked out from the catalog and the owner's history and
+// stored like any other playlist's, so they play, export and fork the same
+// way. They are refreshed every SMART_PLAYLIST_REFRESH_INTERVAL, when their
+// rules change, and on demand.
+class SmartPlaylistService {
+  constructor() {
+    this.refreshInterval = parseInt(process.env.SMART_PLAYLIST_REFRESH_INTERVAL) || 6 * 60 * 60 * 1000;
+
+    this.running = null;
+    this.timer = null;
+  }
+
+  start() {
+    const runRefresh = () => this.run().catch(error => {
+      console.error('Smart playlist refresh error:', error);
+    });
+
+    runRefresh();
+    this.timer = setInterval(runRefresh, this.refreshInterval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Concurrent callers share one pass
+  run() {
+    if (!this.running) {
+      this.running = this.refreshStale().finally(() => {
+        this.running = null;
+      });
+    }
+
+    return this.running;
+  }
+
+  isStale(playlist, now = Date.now()) {
+    const refreshedAt = playlist.smart?.refreshedAt;
+    return !refreshedAt || refreshedAt.getTime() <= now - this.refreshInterval;
+  }
+
+  async refreshStale() {
+    const cutoff = new Date(Date.now() - this.refreshInterval);
+    const cursor = Playlist.find({
+      isActive: true,
+      'smart.rules.0': { $exists: true },
+      $or: [{ 'smart.refreshedAt': { $exists: false } }, { 'smart.refreshedAt': { $lte: cutoff } }]
+    }).cursor();
+
+    let refreshed = 0;
+    for (let playlist = await cursor.next(); playlist; playlist = await cursor.next()) {
+      try {
+        await this.refresh(playlist);
+        refreshed += 1;
+      } catch (error) {
+        console.error(`Smart playlist refresh error (${playlist._id}):`, error.message);
+      }
+    }
+
+    return refreshed;
+  }
+
+  // Re-evaluate the rules and store the resulting tracks. A change is kept
+  // as a revision by `userId`, or by nobody for scheduled refreshes.
+  async refresh(playlist, userId = null) {
+    const previous = revisions.snapshot(playlist);
+    const tracks = await this.evaluate(playlist);
+
+    // Tracks that stay keep when and by whom they were added
+    const existing = new Map(playlist.tracks.map(track => [track.trackId, track]));
+    playlist.tracks = tracks.map(track => existing.get(track.id) || {
+      trackId: track.id,
+      title: track.title,
+      artist: track.artist,
+      duration: track.duration,
+      audioUrl: track.audioUrl,
+      imageUrl: track.imageUrl,
+      addedBy: playlist.owner
+    });
+    playlist.smart.refreshedAt = new Date();
+    await playlist.save();
+
+    const revision = await revisions.record(playlist, userId, 'refresh', previous);
+    if (revision) {
+      const { added, removed, moved } = revision.changes;
+      notifications.notifyFollowers(playlist, userId || playlist.owner, {
+        tracksAdded: added.length,
+        tracksRemoved: removed.length,
+        reordered: moved.length > 0
+      });
+    }
+
+    return revision;
+  }
+
+  // Catalog tracks matching the playlist's rules, in playlist order
+  async evaluate(playlist, now = Date.now()) {
+    const { match, rules, limit, sort } = playlist.smart;
+    const moods = [...new Set(rules.filter(rule => rule.field === 'mood').map(rule => rule.value))];
+    const moodTags = new Map(await Promise.all(moods.map(async mood => [mood, await musicAPI.getMoodTags(mood) || []])));
+
+    const candidates = await this.candidates(playlist.owner, rules, match, moodTags);
+    const test = (candidate) => (rule) => testRule(candidate, rule, moodTags, now);
+    const matching = candidates.filter(candidate =>
+      match === 'all' ? rules.every(test(candidate)) : rules.some(test(candidate))
+    );
+
+    if (sort === 'random') shuffle(matching);
+    else if (sorters[sort]) matching.sort(sorters[sort]);
+
+    return matching.slice(0, limit).map(candidate => candidate.track);
+  }
+
+  // Tracks to test: the owner's most played and favorite tracks, and catalog
+  // tracks found with the rules that the catalog can filter on
+  async candidates(userId, rules, match, moodTags) {
+    const [listening, user, catalogTracks] = await Promise.all([
+      this.listening(userId),
+      User.findById(userId).select('favorites.tracks'),
+      this.catalogTracks(rules, match, moodTags)
+    ]);
+
+    const candidates = new Map();
+    const add = (id, fields) => {
+      const candidate = candidates.get(id) || { plays: 0, lastPlayed: null, addedAt: null, favorite: false };
+      candidates.set(id, { ...candidate, ...fields });
+    };
+
+    listening.forEach(entry => add(entry._id, {
+      track: { id: entry._id, ...entry.track },
+      plays: entry.plays,
+      lastPlayed: entry.lastPlayed,
+      addedAt: entry.firstPlayed
+    }));
+
+    (user?.favorites?.tracks || []).slice(-CANDIDATES).forEach(favorite => {
+      const known = candidates.get(favorite.trackId);
+      const addedAt = known?.addedAt && known.addedAt < favorite.addedAt ? known.addedAt : favorite.addedAt;
+      add(favorite.trackId, {
+        track: known?.track || { id: favorite.trackId, title: favorite.title, artist: favorite.artist, duration: favorite.duration, imageUrl: favorite.imageUrl },
+        addedAt,
+        favorite: true
+      });
+    });
+
+    catalogTracks.forEach(track => add(track.id, { track }));
+
+    // Played and favorite tracks only carry a few fields; rules on catalog
+    // metadata need the full track
+    if (rules.some(rule => catalogFields.has(rule.field))) {
+      const partial = [...candidates.values()].filter(candidate => !candidate.track.tags);
+      for (let start = 0; start < partial.length; start += LOOKUP_CONCURRENCY) {
+        await Promise.all(partial.slice(start, start + LOOKUP_CONCURRENCY).map(async candidate => {
+          const track = await musicAPI.getTrackById(candidate.track.id).catch(() => null);
+          if (track) candidate.track = track;
+        }));
+      }
+    }
+
+    return [...candidates.values()].filter(candidate => candidate.track.title);
+  }
+
+  // The owner's most played tracks with play counts and dates
+  async listening(userId) {
+    return PlayEvent.aggregate([
+      { $match: { user: userId } },
+      ...listeningStats.playStages(),
+      {
+        $group: {
+          _id: '$trackId',
+          plays: { $sum: { $cond: ['$counted', 1, 0] } },
+          firstPlayed: { $min: '$startedAt' },
+          lastPlayed: { $max: '$startedAt' },
+          track: { $last: '$track' }
+        }
+      },
+      { $sort: { plays: -1, lastPlayed: -1 } },
+      { $limit: CANDIDATES }
+    ]).allowDiskUse(true);
+  }
+
+  // Browse filters for the rules the catalog can apply itself
+  ruleFilters(rule, moodTags) {
+    if (rule.operator !== 'is') return null;
+    if (rule.field === 'genre') return { tags: [rule.value] };
+    if (rule.field === 'mood') return { anyTags: moodTags.get(rule.value) || [] };
+    if (rule.field === 'instrumental') return { vocalInstrumental: rule.value ? 'instrumental' : 'vocal' };
+    return null;
+  }
+
+  async catalogTracks(rules, match, moodTags) {
+    const filters = rules.map(rule => this.ruleFilters(rule, moodTags));
+    const queries = [];
+
+    if (match === 'all') {
+      // One query narrowed by all filterable rules; the rest are checked here
+      const combined = filters.filter(Boolean).reduce((result, filter) => ({
+        tags: [...result.tags, ...(filter.tags || [])],
+        anyTags: result.anyTags.length ? result.anyTags : filter.anyTags || [],
+        vocalInstrumental: filter.vocalInstrumental || result.vocalInstrumental
+      }), { tags: [], anyTags: [], vocalInstrumental: null });
+      queries.push(filters.some(Boolean) ? combined : null);
+    } else {
+      queries.push(...filters.filter(Boolean));
+      if (filters.some(filter => !filter)) queries.push(null);
+    }
+
+    const results = await Promise.all(queries.map(filter => (filter
+      ? musicAPI.browseTracks(filter, { limit: CANDIDATES })
+      : musicAPI.getPopularTracks({ limit: CANDIDATES })
+    ).catch(error => {
+      // Without the catalog, the owner's own tracks are still evaluated
+      if (error instanceof UpstreamError) return { tracks: [] };
+      throw error;
+    })));
+
+    return results.flatMap(result => result.tracks || []);
+  }
+
+  toJSON(smart) {
+    if (!smart?.rules?.length) return null;
+
+    return {
+      match: smart.match,
+      rules: smart.rules.map(({ field, operator, value }) => ({ field, operator, value })),
+      limit: smart.limit,
+      sort: smart.sort,
+      refreshedAt: smart.refreshedAt
+    };
+  }
+}
+
+module.exports = new SmartPlaylistService();
+module.exports.validateSmart = validateSmart;
+module.exports.fieldTypes = fieldTypes;
+module.exports.operators = operators;
+module.exports.sorts = sorts;
@@ -0,0 +1,108 @@
+const musicAPI = require('./musicAPI');
+const { normalizeText, DURATION_TOLERANCE } = require('./searchRanking');
+
+// Scores at or above this are accepted as the same track
+const MATCH_THRESHOLD = parseFloat(process.env.TRACK_MATCH_THRESHOLD) || 0.8;
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  const pairs = new Map();
+  for (let index = 0; index < compact.length - 1; index++) {
+    const pair = compact.slice(index, index + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+};
+
+// Dice coefficient over character pairs of the normalized strings, from 0
+// to 1. Tolerates typos, punctuation and word order better than equality.
+const similarity = (a, b) => {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  let shared = 0;
+  let total = 0;
+  leftPairs.forEach((count, pair) => {
+    shared += Math.min(count, rightPairs.get(pair) || 0);
+    total += count;
+  });
+  rightPairs.forEach(count => {
+    total += count;
+  });
+
+  return total ? (2 * shared) / total : 0;
+};
+
+// How likely a catalog track is the wanted { title, artist?, album?,
+// duration? }, from 0 to 1. Title and artist carry the score, or the title
+// alone when the artist is unknown; a matching album or duration confirms
+// it and a very different duration lowers it.
+const matchScore = (track, wanted) => {
+  let score = wanted.artist
+    ? 0.6 * similarity(track.title, wanted.title) + 0.4 * similarity(track.artist, wanted.artist)
+    : similarity(track.title, wanted.title);
+
+  if (wanted.album && track.albumName && similarity(track.albumName, wanted.album) >= 0.9) {
+    score = Math.min(1, score + 0.05);
+  }
+  if (wanted.duration && track.duration) {
+    const difference = Math.abs(track.duration - wanted.duration);
+    if (difference <= DURATION_TOLERANCE) score = Math.min(1, score + 0.05);
+    else if (difference > 30) score -= 0.1;
+  }
+
+  return Math.max(0, score);
+};
+
+// Finds catalog tracks for titles and artists coming from other services
+class TrackMatcher {
+  constructor(catalog = musicAPI) {
+    this.catalog = catalog;
+    this.threshold = MATCH_THRESHOLD;
+  }
+
+  // Catalog tracks that could be `wanted`, best first, each with its score
+  // (rounded to two decimals)
+  async findCandidates(wanted, { limit = 5 } = {}) {
+    const queries = [...new Set([[wanted.artist, wanted.title].filter(Boolean).join(' '), wanted.title])]
+      .filter(Boolean);
+    const scored = new Map();
+
+    for (const query of queries) {
+      const { tracks } = await this.catalog.federatedSearch(query, { limit: 10 });
+      tracks.forEach(track => {
+        if (!scored.has(track.id)) scored.set(track.id, { track, score: matchScore(track, wanted) });
+      });
+
+      // The title-only search is a fallback for artists spelled differently
+      if ([...scored.values()].some(candidate => candidate.score >= this.threshold)) break;
+    }
+
+    return [...scored.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(candidate => ({ ...candidate, score: Math.round(candidate.score * 100) / 100 }));
+  }
+
+  // The best scoring catalog track for `wanted`, with its score, whether or
+  // not it passes the threshold. Returns null when the search found nothing.
+  async findBest(wanted) {
+    const [best] = await this.findCandidates(wanted, { limit: 1 });
+    return best || null;
+  }
+
+  // The matching catalog track, or null
+  async match(wanted) {
+    const best = await this.findBest(wanted);
+    return best && best.score >= this.threshold ? best : null;
+  }
+}
+
+module.exports = new TrackMatcher();
+module.exports.TrackMatcher = TrackMatcher;
+module.exports.similarity = similarity;
+module.exports.matchScore = matchScore;
@@ -0,0 +1,75 @@
+const { CircuitOpenError } = require('./errors');
+
+// Stops calling an upstream after repeated failures. While open, calls fail
+// fast with CircuitOpenError; after `resetTimeout` one trial call is let
+// through (half-open) and its outcome closes or re-opens the circuit.
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.isFailure = options.isFailure || (() => true);
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  async run(task) {
+    if (this.state !== 'closed') {
+      const cooling = this.state === 'open' && Date.now() - this.openedAt < this.resetTimeout;
+      if (cooling || this.trialInProgress) {
+        throw new CircuitOpenError(this.name, new Date(this.openedAt + this.resetTimeout));
+      }
+      this.state = 'half-open';
+    }
+
+    const isTrial = this.state === 'half-open';
+    if (isTrial) this.trialInProgress = true;
+
+    try {
+      const result = await task();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure();
+      }
+      throw error;
+    } finally {
+      if (isTrial) this.trialInProgress = false;
+    }
+  }
+
+  onSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`Circuit for ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  onFailure() {
+    this.failures += 1;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`Circuit for ${this.name} opened after ${this.failures} failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStats() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,47 @@
+// Caps the number of upstream requests running at once. Extra calls wait
+// in FIFO order until a slot frees up.
+class ConcurrencyLimiter {
+  constructor(maxConcurrent = 4) {
+    this.maxConcurrent = maxConcurrent;
+    this.active = 0;
+    this.queue = [];
+    this.stats = { started: 0, queued: 0, maxQueueLength: 0 };
+  }
+
+  run(task) {
+    return new Promise((resolve, reject) => {
+      const start = () => {
+        this.active += 1;
+        this.stats.started += 1;
+
+        Promise.resolve()
+          .then(task)
+          .then(resolve, reject)
+          .finally(() => {
+            this.active -= 1;
+            const next = this.queue.shift();
+            if (next) next();
+          });
+      };
+
+      if (this.active < this.maxConcurrent) {
+        start();
+      } else {
+        this.queue.push(start);
+        this.stats.queued += 1;
+        this.stats.maxQueueLength = Math.max(this.stats.maxQueueLength, this.queue.length);
+      }
+    });
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      active: this.active,
+      waiting: this.queue.length,
+      maxConcurrent: this.maxConcurrent
+    };
+  }
+}
+
+module.exports = ConcurrencyLimiter;
@@ -0,0 +1,94 @@
+const ApiQuota = require('../../models/ApiQuota');
+const { QuotaExceededError } = require('./errors');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Counts upstream requests per UTC day against a daily limit. Counts are
+// kept in memory and flushed to the ApiQuota collection in batches, so a
+// restart resumes from the persisted total.
+class QuotaTracker {
+  constructor({ key, limit, warnAt = 0.8, flushDelay = 5000 }) {
+    this.key = key;
+    this.limit = limit;
+    this.warnAt = warnAt;
+    this.flushDelay = flushDelay;
+
+    this.day = today();
+    this.count = 0;
+    this.unflushed = 0;
+    this.flushTimer = null;
+    this.warned = false;
+  }
+
+  // Load today's persisted count
+  async load() {
+    const record = await ApiQuota.findOne({ key: this.key, day: this.day }).lean();
+    this.count = (record?.count || 0) + this.unflushed;
+  }
+
+  rollover() {
+    const day = today();
+    if (day !== this.day) {
+      this.flush();
+      this.day = day;
+      this.count = 0;
+      this.warned = false;
+    }
+  }
+
+  remaining() {
+    this.rollover();
+    return this.limit ? Math.max(this.limit - this.count, 0) : Infinity;
+  }
+
+  // Record one request, throwing once the daily limit is reached
+  consume() {
+    this.rollover();
+
+    if (this.limit && this.count >= this.limit) {
+      throw new QuotaExceededError(this.key, this.limit);
+    }
+
+    this.count += 1;
+    this.unflushed += 1;
+
+    if (this.limit && !this.warned && this.count >= this.limit * this.warnAt) {
+      this.warned = true;
+      console.warn(`Upstream quota for ${this.key} is at ${this.count}/${this.limit} today`);
+    }
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+      this.flushTimer.unref?.();
+    }
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const increment = this.unflushed;
+    if (!increment) return Promise.resolve();
+    this.unflushed = 0;
+
+    return ApiQuota.updateOne(
+      { key: this.key, day: this.day },
+      { $inc: { count: increment } },
+      { upsert: true }
+    ).catch(error => {
+      this.unflushed += increment;
+      console.error('Quota flush error:', error.message);
+    });
+  }
+
+  getStats() {
+    return {
+      day: this.day,
+      used: this.count,
+      limit: this.limit || null,
+      remaining: this.limit ? this.remaining() : null
+    };
+  }
+}
+
+module.exports = QuotaTracker;
@@ -0,0 +1,65 @@
+// Errors raised when an upstream catalog cannot answer. `statusCode` is what
+// the API should respond with when no cached fallback is available.
+class UpstreamError extends Error {
+  constructor(message, { provider, statusCode = 502, cause, retryable = true } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.provider = provider;
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+class UpstreamTimeoutError extends UpstreamError {
+  constructor(provider, timeout, cause) {
+    super(`${provider} did not respond within ${timeout}ms`, { provider, cause });
+    this.name = 'UpstreamTimeoutError';
+  }
+}
+
+// The circuit breaker is open, so the upstream is not being called
+class CircuitOpenError extends UpstreamError {
+  constructor(provider, retryAt) {
+    super(`${provider} is temporarily unavailable`, { provider, statusCode: 503, retryable: false });
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+class QuotaExceededError extends UpstreamError {
+  constructor(key, limit) {
+    super(`Daily quota of ${limit} requests exhausted for ${key}`, { statusCode: 503, retryable: false });
+    this.name = 'QuotaExceededError';
+    this.key = key;
+    this.limit = limit;
+  }
+}
+
+// Convert an axios error into an UpstreamError
+const fromAxiosError = (error, provider, timeout) => {
+  if (error instanceof UpstreamError) return error;
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new UpstreamTimeoutError(provider, timeout, error);
+  }
+
+  const status = error.response?.status;
+  if (status) {
+    return new UpstreamError(`${provider} responded with ${status}`, {
+      provider,
+      cause: error,
+      retryable: status === 429 || status >= 500
+    });
+  }
+
+  return new UpstreamError(`${provider} request failed: ${error.message}`, { provider, cause: error });
+};
+
+module.exports = {
+  UpstreamError,
+  UpstreamTimeoutError,
+  CircuitOpenError,
+  QuotaExceededError,
+  fromAxiosError
+};
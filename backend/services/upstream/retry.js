@@ -0,0 +1,27 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `task` and retry failures with exponential backoff and full jitter:
+// attempt n waits a random time between 0 and min(maxDelay, baseDelay * 2^n).
+const withRetry = async (task, options = {}) => {
+  const {
+    retries = 2,
+    baseDelay = 200,
+    maxDelay = 2000,
+    shouldRetry = (error) => error.retryable !== false
+  } = options;
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+      await sleep(Math.random() * ceiling);
+    }
+  }
+};
+
+module.exports = { withRetry };
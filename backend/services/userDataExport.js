@@ -0,0 +1,95 @@
+const PlayEvent = require('../models/PlayEvent');
+const Playlist = require('../models/Playlist');
+const listeningStats = require('./listeningStats');
+
+// CSV columns of each dataset; JSON exports carry the same fields
+const columns = {
+  history: ['playedAt', 'trackId', 'title', 'artist', 'album', 'secondsListened', 'completed', 'contextType', 'contextId', 'source'],
+  favorites: ['type', 'id', 'name', 'artist', 'addedAt'],
+  playlists: ['playlistId', 'playlist', 'isPublic', 'position', 'trackId', 'title', 'artist', 'duration', 'addedAt']
+};
+const datasets = Object.keys(columns);
+
+// Builds the data a user can take away: listening history (one row per
+// play), favorites and playlists
+class UserDataExport {
+  async getHistory(userId) {
+    const plays = await PlayEvent.aggregate([
+      { $match: { user: userId } },
+      ...listeningStats.playStages(),
+      { $sort: { startedAt: -1 } }
+    ]).allowDiskUse(true);
+
+    return plays.map(play => ({
+      playedAt: play.startedAt,
+      trackId: play.trackId,
+      title: play.track?.title,
+      artist: play.track?.artist,
+      album: play.track?.albumName,
+      secondsListened: play.seconds,
+      completed: play.completed,
+      contextType: play.context?.type,
+      contextId: play.context?.id,
+      source: play.origin
+    }));
+  }
+
+  getFavorites(user) {
+    const { tracks = [], artists = [], albums = [] } = user.favorites || {};
+
+    return [
+      ...tracks.map(track => ({ type: 'track', id: track.trackId, name: track.title, artist: track.artist, addedAt: track.addedAt })),
+      ...artists.map(artist => ({ type: 'artist', id: artist.artistId, name: artist.name, addedAt: artist.addedAt })),
+      ...albums.map(album => ({ type: 'album', id: album.albumId, name: album.name, artist: album.artist, addedAt: album.addedAt }))
+    ];
+  }
+
+  // Playlists with their tracks; CSV exports flatten them to one row per track
+  async getPlaylists(userId) {
+    const playlists = await Playlist.find({ owner: userId, isActive: true }).sort({ createdAt: 1 });
+
+    return playlists.map(playlist => ({
+      playlistId: playlist._id.toString(),
+      name: playlist.name,
+      description: playlist.description,
+      isPublic: playlist.isPublic,
+      tags: playlist.tags,
+      mood: playlist.mood,
+      genre: playlist.genre,
+      createdAt: playlist.createdAt,
+      tracks: playlist.tracks.map((track, index) => ({
+        position: index + 1,
+        trackId: track.trackId,
+        title: track.title,
+        artist: track.artist,
+        duration: track.duration,
+        addedAt: track.addedAt
+      }))
+    }));
+  }
+
+  flattenPlaylists(playlists) {
+    return playlists.flatMap(playlist => playlist.tracks.map(track => ({
+      playlistId: playlist.playlistId,
+      playlist: playlist.name,
+      isPublic: playlist.isPublic,
+      ...track
+    })));
+  }
+
+  async getDataset(user, dataset) {
+    if (dataset === 'history') return this.getHistory(user._id);
+    if (dataset === 'favorites') return this.getFavorites(user);
+    return this.getPlaylists(user._id);
+  }
+
+  // Rows of a dataset as written to CSV
+  async getRows(user, dataset) {
+    const data = await this.getDataset(user, dataset);
+    return dataset === 'playlists' ? this.flattenPlaylists(data) : data;
+  }
+}
+
+module.exports = new UserDataExport();
+module.exports.columns = columns;
+module.exports.datasets = datasets;
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Wrapped = require('../models/Wrapped');
+const Playlist = require('../models/Playlist');
+const PlayEvent = require('../models/PlayEvent');
+const User = require('../models/User');
+const listeningStats = require('./listeningStats');
+const notifications = require('./notifications');
+const revisions = require('./playlistRevisions');
+
+const DAY = 24 * 60 * 60 * 1000;
+const TOP_COUNT = 5;
+const PLAYLIST_SIZE = parseInt(process.env.WRAPPED_PLAYLIST_SIZE) || 50;
+
+// Recaps use UTC days; yearly boundaries are widened by a day in
+// listeningStats, so a recap is only final a day after the year ends
+const yearEnd = (year) => Date.UTC(year + 1, 0, 1) + DAY;
+
+// Builds yearly recaps ("wrapped") from listening history. A batch job
+// regenerates the recaps of everyone who listened during the target year
+// until the year is over; after that they are kept as they are.
+class WrappedService {
+  constructor() {
+    this.interval = parseInt(process.env.WRAPPED_JOB_INTERVAL) || 24 * 60 * 60 * 1000;
+    this.releaseMonth = parseInt(process.env.WRAPPED_RELEASE_MONTH) || 12;
+
+    this.running = null;
+    this.timer = null;
+  }
+
+  start() {
+    const runJob = () => this.run().catch(error => {
+      console.error('Wrapped job error:', error);
+    });
+
+    runJob();
+    this.timer = setInterval(runJob, this.interval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Recaps of the current year are released in WRAPPED_RELEASE_MONTH;
+  // before that the job finishes last year's
+  targetYear(now = new Date()) {
+    return now.getUTCMonth() + 1 >= this.releaseMonth ? now.getUTCFullYear() : now.getUTCFullYear() - 1;
+  }
+
+  // Concurrent runs for the same year share one job
+  run(year = this.targetYear()) {
+    if (!this.running || this.running.year !== year) {
+      const job = this.generateYear(year).finally(() => {
+        if (this.running === job) this.running = null;
+      });
+      job.year = year;
+      this.running = job;
+    }
+
+    return this.running;
+  }
+
+  async generateYear(year) {
+    const listeners = await PlayEvent.distinct('user', {
+      occurredAt: { $gte: new Date(Date.UTC(year, 0, 1) - DAY), $lt: new Date(yearEnd(year)) }
+    });
+    const finished = await Wrapped.distinct('user', { year, final: true });
+    const done = new Set(finished.map(id => id.toString()));
+    const users = await User.find({
+      _id: { $in: listeners.filter(id => !done.has(id.toString())) },
+      isActive: true
+    }).distinct('_id');
+
+    let generated = 0;
+    let failed = 0;
+    for (const userId of users) {
+      try {
+        if (await this.generate(userId, year)) generated += 1;
+      } catch (error) {
+        failed += 1;
+        console.error(`Wrapped generation error (${userId}, ${year}):`, error.message);
+      }
+    }
+
+    if (generated || failed) {
+      console.log(`Generated ${generated} recaps for ${year}${failed ? ` (${failed} failed)` : ''}`);
+    }
+
+    return { year, listeners: users.length, generated, failed };
+  }
+
+  // Compute one user's recap. Returns null when there is nothing to recap.
+  async generate(userId, year) {
+    const [stats, topPlaylist, newArtists] = await Promise.all([
+      listeningStats.getStats(userId, { range: 'year', year, limit: PLAYLIST_SIZE }),
+      this.getTopPlaylist(userId, year),
+      this.getNewArtists(userId, year)
+    ]);
+    if (!stats.totals.plays) return null;
+
+    const wrapped = await Wrapped.findOne({ user: userId, year }) || new Wrapped({ user: userId, year });
+
+    wrapped.set({
+      minutesListened: stats.totals.minutes,
+      plays: stats.totals.plays,
+      topTracks: stats.topTracks.slice(0, TOP_COUNT).map(track => ({
+        id: track.trackId,
+        title: track.title,
+        artist: track.artist,
+        imageUrl: track.imageUrl,
+        plays: track.plays,
+        minutes: track.minutes
+      })),
+      topArtists: stats.topArtists.slice(0, TOP_COUNT).map(artist => ({
+        id: artist.artistId,
+        name: artist.name,
+        plays: artist.plays,
+        minutes: artist.minutes
+      })),
+      topGenres: stats.topGenres.slice(0, TOP_COUNT).map(genre => ({
+        id: genre.genre,
+        name: genre.genre,
+        plays: genre.plays,
+        minutes: genre.minutes
+      })),
+      topPlaylist,
+      newArtists,
+      longestStreak: stats.streaks.longest,
+      final: Date.now() >= yearEnd(year),
+      generatedAt: new Date()
+    });
+    await this.savePlaylist(userId, year, stats.topTracks, wrapped);
+
+    return wrapped.save();
+  }
+
+  // The playlist the user played most from during the year
+  async getTopPlaylist(userId, year) {
+    const { match } = listeningStats.rangeMatch(userId, 'year', { year, timezone: 'UTC' });
+    const [top] = await PlayEvent.aggregate([
+      ...match,
+      { $match: { 'context.type': 'playlist', 'context.id': { $exists: true } } },
+      ...listeningStats.playStages(),
+      { $match: { counted: true } },
+      { $group: { _id: '$context.id', plays: { $sum: 1 } } },
+      { $sort: { plays: -1 } },
+      { $limit: 1 }
+    ]);
+    if (!top || !mongoose.isValidObjectId(top._id)) return undefined;
+
+    const playlist = await Playlist.findById(top._id).select('name');
+    return playlist ? { playlist: playlist._id, name: playlist.name, plays: top.plays } : undefined;
+  }
+
+  // Artists first played during the year, most played first
+  async getNewArtists(userId, year) {
+    const start = new Date(Date.UTC(year, 0, 1));
+    const [result] = await PlayEvent.aggregate([
+      { $match: { user: userId, occurredAt: { $lt: new Date(Date.UTC(year + 1, 0, 1)) } } },
+      ...listeningStats.playStages(),
+      { $match: { counted: true, artistKey: { $nin: [null, ''] } } },
+      {
+        $group: {
+          _id: '$artistKey',
+          name: { $last: '$track.artist' },
+          firstPlayed: { $min: '$startedAt' },
+          plays: { $sum: 1 },
+          seconds: { $sum: '$seconds' }
+        }
+      },
+      { $match: { firstPlayed: { $gte: start } } },
+      {
+        $facet: {
+          count: [{ $count: 'count' }],
+          artists: [{ $sort: { plays: -1, seconds: -1 } }, { $limit: TOP_COUNT }]
+        }
+      }
+    ]).allowDiskUse(true);
+
+    return {
+      count: result.count[0]?.count || 0,
+      artists: result.artists.map(artist => ({
+        id: artist._id,
+        name: artist.name,
+        plays: artist.plays,
+        minutes: Math.round(artist.seconds / 60)
+      }))
+    };
+  }
+
+  // Create or refresh the recap's "top tracks of the year" playlist. Once
+  // anyone has changed the playlist it is left alone, and a playlist the
+  // user deleted is not brought back.
+  async savePlaylist(userId, year, topTracks, wrapped) {
+    let playlist = wrapped.playlist ? await Playlist.findById(wrapped.playlist) : null;
+    if (playlist && (!playlist.isActive || playlist.revision !== (wrapped.playlistRevision || 0))) return;
+
+    const created = !playlist;
+    const previous = created ? null : revisions.snapshot(playlist);
+    if (created) {
+      playlist = new Playlist({
+        name: `Your Top Tracks of ${year}`,
+        description: `The songs you played most in ${year}.`,
+        owner: userId,
+        tags: ['wrapped', String(year)]
+      });
+    }
+
+    playlist.tracks = topTracks
+      .filter(track => track.title && track.artist)
+      .map(track => ({
+        trackId: track.trackId,
+        title: track.title,
+        artist: track.artist,
+        duration: track.duration,
+        imageUrl: track.imageUrl,
+        addedBy: userId
+      }));
+    await playlist.save();
+    // Written by the job, so the revision has no author
+    const revision = await revisions.record(playlist, null, created ? 'create' : 'refresh', previous);
+
+    if (created) {
+      await User.updateOne({ _id: userId }, { $addToSet: { playlists: playlist._id } });
+    } else if (revision) {
+      const { added, removed, moved } = revision.changes;
+      notifications.notifyFollowers(playlist, userId, {
+        tracksAdded: added.length,
+        tracksRemoved: removed.length,
+        reordered: moved.length > 0
+      });
+    }
+
+    wrapped.set({
+      playlist: playlist._id,
+      playlistRevision: revision ? revision.number : playlist.revision
+    });
+  }
+
+  async getRecap(userId, year) {
+    return Wrapped.findOne({ user: userId, year })
+      .populate('playlist', 'name isPublic isActive')
+      .populate('topPlaylist.playlist', 'isPublic isActive');
+  }
+
+  async getSharedRecap(shareId) {
+    return Wrapped.findOne({ shareId })
+      .populate('user', 'username profile.displayName profile.avatar isActive')
+      .populate('playlist', 'name isPublic isActive')
+      .populate('topPlaylist.playlist', 'isPublic isActive');
+  }
+
+  // Share or unshare a recap. Sharing again after unsharing gives a new
+  // link, so old links stop working.
+  async setShared(userId, year, shared) {
+    const wrapped = await this.getRecap(userId, year);
+    if (!wrapped) return null;
+
+    if (shared && !wrapped.shareId) {
+      wrapped.shareId = crypto.randomBytes(12).toString('base64url');
+    } else if (!shared) {
+      wrapped.shareId = undefined;
+    }
+
+    return wrapped.save();
+  }
+
+  shareUrl(shareId) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/wrapped/${shareId}`;
+  }
+
+  // Recap as returned by the API. The shared version leaves out playlists
+  // that are not public.
+  toJSON(wrapped, { shared = false } = {}) {
+    const visible = (playlist) => playlist?.isActive && (!shared || playlist.isPublic);
+    const topPlaylist = wrapped.topPlaylist?.playlist;
+
+    return {
+      year: wrapped.year,
+      minutesListened: wrapped.minutesListened,
+      plays: wrapped.plays,
+      topTracks: wrapped.topTracks,
+      topArtists: wrapped.topArtists,
+      topGenres: wrapped.topGenres,
+      topPlaylist: visible(topPlaylist)
+        ? { id: topPlaylist._id, name: wrapped.topPlaylist.name, plays: wrapped.topPlaylist.plays }
+        : null,
+      newArtists: wrapped.newArtists,
+      longestStreak: wrapped.longestStreak,
+      playlist: visible(wrapped.playlist) ? { id: wrapped.playlist._id, name: wrapped.playlist.name } : null,
+      final: wrapped.final,
+      generatedAt: wrapped.generatedAt,
+      ...(!shared && {
+        shared: Boolean(wrapped.shareId),
+        ...(wrapped.shareId && { shareId: wrapped.shareId, shareUrl: this.shareUrl(wrapped.shareId) })
+      })
+    };
+  }
+}
+
+module.exports = new WrappedService();
@@ -2,6 +2,7 @@ import React, { useEffect } from 'react'
 import { Routes, Route, Navigate } from 'react-router-dom'
 import { useAuthStore, useUIStore } from './store'
 import { authAPI } from './services/api'
+import { startScrobbler } from './services/scrobbler'
 
 // Layout components
 import Layout from './components/Layout/Layout'
@@ -61,6 +62,9 @@ function App() {
     )
   }, [theme])
 
+  // Report listening history, including plays queued while offline
+  useEffect(() => startScrobbler(), [])
+
   // Fetch user data on app load if authenticated
   useEffect(() => {
     const fetchUserData = async () => {
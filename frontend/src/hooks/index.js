@@ -276,16 +276,19 @@ export const useMusicPlayer = () => {
     togglePlay,
     nextTrack,
     previousTrack,
+    completeTrack,
     setVolume,
     toggleShuffle,
     toggleRepeat,
     seekToTrack,
   } = useMusicPlayerStore()
 
-  const playTrack = useCallback((track, playlist = null, queueTracks = []) => {
+  // context describes where playback started, e.g. { type: 'album', id }
+  const playTrack = useCallback((track, playlist = null, queueTracks = [], context = null) => {
     if (queueTracks.length > 0) {
       const trackIndex = queueTracks.findIndex(t => t.id === track.id)
-      setQueue(queueTracks, trackIndex >= 0 ? trackIndex : 0)
+      const queueContext = context || (playlist ? { type: 'playlist', id: playlist.id || playlist._id } : null)
+      setQueue(queueTracks, trackIndex >= 0 ? trackIndex : 0, queueContext)
     } else {
       setCurrentTrack(track, playlist)
     }
@@ -293,7 +296,7 @@ export const useMusicPlayer = () => {
 
   const playPlaylist = useCallback((playlist, startIndex = 0) => {
     if (playlist.tracks && playlist.tracks.length > 0) {
-      setQueue(playlist.tracks, startIndex)
+      setQueue(playlist.tracks, startIndex, { type: 'playlist', id: playlist.id || playlist._id })
     }
   }, [setQueue])
 
@@ -311,6 +314,7 @@ export const useMusicPlayer = () => {
     togglePlay,
     nextTrack,
     previousTrack,
+    completeTrack,
     setVolume,
     toggleShuffle,
     toggleRepeat,
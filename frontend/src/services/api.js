@@ -1,6 +1,7 @@
 import axios from 'axios'
 import { useAuthStore } from '../store'
 import toast from 'react-hot-toast'
+import { getConnectionType } from '../utils'
 
 // Create axios instance
 const api = axios.create({
@@ -18,6 +19,8 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`
     }
+    // Lets the backend pick the user's metered or unmetered audio quality
+    config.headers['X-Connection-Type'] = getConnectionType()
     return config
   },
   (error) => {
@@ -36,8 +39,12 @@ api.interceptors.response.use(
       useAuthStore.getState().logout()
       toast.error('Session expired. Please log in again.')
       window.location.href = '/login'
+    } else if (error.config?.silent) {
+      // Background requests handle their own failures
     } else if (response?.status === 403) {
       toast.error('Access denied')
+    } else if (response?.data?.degraded && (response.status === 502 || response.status === 503)) {
+      toast.error('The music catalog is temporarily unavailable.')
     } else if (response?.status >= 500) {
       toast.error('Server error. Please try again later.')
     } else if (response?.status === 429) {
@@ -66,21 +73,40 @@ export const musicAPI = {
   search: (query, params = {}) => api.get('/music/search', { params: { q: query, ...params } }),
   getTrack: (trackId) => api.get(`/music/tracks/${trackId}`),
   getPopular: (params = {}) => api.get('/music/popular', { params }),
+  getCharts: (params = {}) => api.get('/music/charts', { params }),
+  getChart: (period, kind, params = {}) => api.get(`/music/charts/${period}/${kind}`, { params }),
   getMoodTracks: (mood, params = {}) => api.get(`/music/mood/${mood}`, { params }),
   getRecommendations: (params = {}) => api.get('/music/recommendations', { params }),
-  getGenres: () => api.get('/music/genres'),
+  getAudioQualities: () => api.get('/music/audio-qualities'),
+  getGenres: (params = {}) => api.get('/music/genres', { params }),
+  getGenre: (genreId) => api.get(`/music/genres/${genreId}`),
+  getGenreTracks: (genreId, params = {}) => api.get(`/music/genres/${genreId}/tracks`, { params }),
+  getMoods: () => api.get('/music/moods'),
+  browse: (params = {}) => api.get('/music/browse', { params }),
+  getBrowseFilters: () => api.get('/music/browse/filters'),
   
   // Artists
   searchArtists: (query, params = {}) => api.get('/music/artists/search', { params: { q: query, ...params } }),
   getArtist: (artistId) => api.get(`/music/artists/${artistId}`),
   getArtistTracks: (artistId, params = {}) => api.get(`/music/artists/${artistId}/tracks`, { params }),
+  getArtistAlbums: (artistId, params = {}) => api.get(`/music/artists/${artistId}/albums`, { params }),
+  
+  // Albums
+  searchAlbums: (query, params = {}) => api.get('/music/albums/search', { params: { q: query, ...params } }),
+  getAlbum: (albumId) => api.get(`/music/albums/${albumId}`),
+  getAlbumTracks: (albumId, params = {}) => api.get(`/music/albums/${albumId}/tracks`, { params }),
   
   // Favorites
   getFavorites: (params = {}) => api.get('/music/favorites', { params }),
   addToFavorites: (trackId) => api.post(`/music/favorites/${trackId}`),
   removeFromFavorites: (trackId) => api.delete(`/music/favorites/${trackId}`),
+  getFavoriteAlbums: (params = {}) => api.get('/music/favorites/albums', { params }),
+  addAlbumToFavorites: (albumId) => api.post(`/music/favorites/albums/${albumId}`),
+  removeAlbumFromFavorites: (albumId) => api.delete(`/music/favorites/albums/${albumId}`),
   
-  // Recently played
+  // Listening history
+  recordPlay: (event) => api.post('/music/plays', event),
+  recordPlays: (events) => api.post('/music/plays/batch', { events }, { silent: true }),
   getRecentlyPlayed: (params = {}) => api.get('/music/recently-played', { params }),
 }
 
@@ -88,18 +114,80 @@ export const musicAPI = {
 export const playlistsAPI = {
   getMyPlaylists: (params = {}) => api.get('/playlists/my', { params }),
   getPublicPlaylists: (params = {}) => api.get('/playlists/public', { params }),
+  getFollowedPlaylists: (params = {}) => api.get('/playlists/followed', { params }),
   getPlaylist: (playlistId) => api.get(`/playlists/${playlistId}`),
   createPlaylist: (playlistData) => api.post('/playlists', playlistData),
   updatePlaylist: (playlistId, updates) => api.put(`/playlists/${playlistId}`, updates),
   deletePlaylist: (playlistId) => api.delete(`/playlists/${playlistId}`),
+  exportPlaylist: (playlistId, format = 'm3u8') => api.get(`/playlists/${playlistId}/export`, { params: { format }, responseType: 'blob' }),
+  importPlaylist: (file, options = {}) => {
+    const formData = new FormData()
+    formData.append('file', file)
+    Object.entries(options).forEach(([key, value]) => formData.append(key, value))
+    return api.post('/playlists/import', formData, { headers: { 'Content-Type': 'multipart/form-data' } })
+  },
+
+  // Imports from other services
+  importExternalPlaylist: (file, options = {}) => {
+    const formData = new FormData()
+    formData.append('file', file)
+    Object.entries(options).forEach(([key, value]) => formData.append(key, value))
+    return api.post('/playlists/imports', formData, { headers: { 'Content-Type': 'multipart/form-data' } })
+  },
+  getPlaylistImports: () => api.get('/playlists/imports'),
+  getPlaylistImport: (importId) => api.get(`/playlists/imports/${importId}`),
+  confirmPlaylistImport: (importId, confirmation) => api.post(`/playlists/imports/${importId}/confirm`, confirmation),
   
   // Tracks
   addTrackToPlaylist: (playlistId, trackData) => api.post(`/playlists/${playlistId}/tracks`, trackData),
   removeTrackFromPlaylist: (playlistId, trackId) => api.delete(`/playlists/${playlistId}/tracks/${trackId}`),
   reorderTracks: (playlistId, trackIds) => api.put(`/playlists/${playlistId}/tracks/reorder`, { trackIds }),
+  addTracksToPlaylist: (playlistId, tracks, position) => api.post(`/playlists/${playlistId}/tracks/batch`, { tracks, position }),
+  removeTracksFromPlaylist: (playlistId, trackIds) => api.delete(`/playlists/${playlistId}/tracks`, { data: { trackIds } }),
+  copyTracks: (playlistId, trackIds, target, position) => api.post(`/playlists/${playlistId}/tracks/copy`, { trackIds, target, position }),
+  moveTracks: (playlistId, trackIds, target, position) => api.post(`/playlists/${playlistId}/tracks/move`, { trackIds, target, position }),
   
+  // Folders
+  getPlaylistFolders: () => api.get('/playlists/folders'),
+  createPlaylistFolder: (folder) => api.post('/playlists/folders', folder),
+  updatePlaylistFolder: (folderId, updates) => api.put(`/playlists/folders/${folderId}`, updates),
+  deletePlaylistFolder: (folderId, contents) => api.delete(`/playlists/folders/${folderId}`, { params: { contents } }),
+  reorderPlaylistFolder: (parent, items) => api.put('/playlists/folders/order', { parent, items }),
+  movePlaylistToFolder: (playlistId, folder, position) => api.put(`/playlists/${playlistId}/folder`, { folder, position }),
+
+  // Forks
+  forkPlaylist: (playlistId, options = {}) => api.post(`/playlists/${playlistId}/fork`, options),
+  getPlaylistForks: (playlistId, params = {}) => api.get(`/playlists/${playlistId}/forks`, { params }),
+
+  // Smart playlists
+  refreshPlaylist: (playlistId) => api.post(`/playlists/${playlistId}/refresh`),
+
   // Play
   playPlaylist: (playlistId) => api.post(`/playlists/${playlistId}/play`),
+
+  // Revisions
+  getRevisions: (playlistId, params = {}) => api.get(`/playlists/${playlistId}/revisions`, { params }),
+  getRevision: (playlistId, number) => api.get(`/playlists/${playlistId}/revisions/${number}`),
+  diffRevisions: (playlistId, from, to) => api.get(`/playlists/${playlistId}/revisions/diff`, { params: { from, to } }),
+  restoreRevision: (playlistId, number) => api.post(`/playlists/${playlistId}/revisions/${number}/restore`),
+
+  // Followers
+  followPlaylist: (playlistId) => api.post(`/playlists/${playlistId}/follow`),
+  unfollowPlaylist: (playlistId) => api.delete(`/playlists/${playlistId}/follow`),
+
+  // Collaborators
+  getInvites: () => api.get('/playlists/invites'),
+  acceptInvite: (inviteId) => api.post(`/playlists/invites/${inviteId}/accept`),
+  declineInvite: (inviteId) => api.post(`/playlists/invites/${inviteId}/decline`),
+  joinPlaylist: (token) => api.post(`/playlists/join/${token}`),
+  getPlaylistInvites: (playlistId) => api.get(`/playlists/${playlistId}/invites`),
+  inviteCollaborator: (playlistId, username, permissions) => api.post(`/playlists/${playlistId}/invites`, { username, permissions }),
+  createInviteLink: (playlistId, options = {}) => api.post(`/playlists/${playlistId}/invites/link`, options),
+  revokeInvite: (playlistId, inviteId) => api.delete(`/playlists/${playlistId}/invites/${inviteId}`),
+  updateCollaborator: (playlistId, userId, permissions) => api.put(`/playlists/${playlistId}/collaborators/${userId}`, { permissions }),
+  removeCollaborator: (playlistId, userId) => api.delete(`/playlists/${playlistId}/collaborators/${userId}`),
+  leavePlaylist: (playlistId) => api.post(`/playlists/${playlistId}/leave`),
+  transferPlaylist: (playlistId, userId) => api.post(`/playlists/${playlistId}/transfer`, { userId }),
 }
 
 // Users API
@@ -107,8 +195,23 @@ export const usersAPI = {
   getUser: (userId) => api.get(`/users/${userId}`),
   searchUsers: (query, params = {}) => api.get('/users', { params: { q: query, ...params } }),
   getUserPlaylists: (userId, params = {}) => api.get(`/users/${userId}/playlists`, { params }),
-  getUserStats: (userId) => api.get(`/users/${userId}/stats`),
+  getUserStats: (userId, params = {}) => api.get(`/users/${userId}/stats`, { params }),
   getTopUsers: (params = {}) => api.get('/users/top/creators', { params }),
+  exportData: () => api.get('/users/me/export', { responseType: 'blob' }),
+  exportDataset: (dataset, format = 'json') => api.get(`/users/me/export/${dataset}`, { params: { format }, responseType: 'blob' }),
+  importHistory: (file, format) => {
+    const formData = new FormData()
+    formData.append('file', file)
+    if (format) formData.append('format', format)
+    return api.post('/users/me/history/import', formData, { headers: { 'Content-Type': 'multipart/form-data' } })
+  },
+  getHistoryImports: () => api.get('/users/me/history/imports'),
+  getHistoryImport: (importId) => api.get(`/users/me/history/imports/${importId}`),
+  getWrapped: (year) => api.get(`/users/me/wrapped/${year}`),
+  shareWrapped: (year, shared) => api.put(`/users/me/wrapped/${year}/share`, { shared }),
+  getSharedWrapped: (shareId) => api.get(`/users/wrapped/${shareId}`),
+  getNotifications: (params = {}) => api.get('/users/me/notifications', { params }),
+  markNotificationsRead: (ids) => api.put('/users/me/notifications/read', { ids }),
 }
 
 // Helper functions
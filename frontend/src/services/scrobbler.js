@@ -0,0 +1,212 @@
+import { musicAPI } from './api'
+import { useAuthStore, useMusicPlayerStore } from '../store'
+import { getLocalStorage, setLocalStorage, generateId, isMobile, isTablet } from '../utils'
+
+// Listening events are queued in local storage and uploaded in batches, so
+// plays made offline are reported once the connection is back. Every event
+// gets an eventId when it is queued; the batch endpoint ignores events it
+// already stored, which makes retrying an upload safe.
+
+const BATCH_SIZE = 50
+const FLUSH_DELAY = 15 * 1000
+const FLUSH_INTERVAL = 60 * 1000
+const MAX_BACKOFF = 10 * 60 * 1000
+const MAX_QUEUE = 1000
+const MAX_AGE = 30 * 24 * 60 * 60 * 1000 // the server rejects older events
+const PROGRESS_INTERVAL = 30 // seconds listened between progress events
+const MAX_TICK = 3 // larger jumps of the playhead are seeks
+
+const queueKey = (userId) => `scrobble-queue:${userId}`
+
+const createId = () => window.crypto?.randomUUID?.() || generateId()
+
+const trackIdOf = (track) => track?.id || track?.trackId
+
+const getDevice = () => {
+  let id = getLocalStorage('device-id')
+  if (!id) {
+    id = createId()
+    setLocalStorage('device-id', id)
+  }
+
+  return { type: isMobile() ? 'mobile' : isTablet() ? 'tablet' : 'web', id }
+}
+
+const readQueue = (userId) => {
+  const oldest = Date.now() - MAX_AGE
+  return getLocalStorage(queueKey(userId), [])
+    .filter(event => new Date(event.occurredAt).getTime() > oldest)
+}
+
+// The oldest events are dropped when the queue is full
+const writeQueue = (userId, events) => {
+  setLocalStorage(queueKey(userId), events.slice(-MAX_QUEUE))
+}
+
+let flushTimer = null
+let flushing = null
+let failures = 0
+let retryAt = 0
+
+const scheduleFlush = (delay = FLUSH_DELAY) => {
+  if (flushTimer) return
+  flushTimer = setTimeout(flush, delay)
+}
+
+const upload = async () => {
+  clearTimeout(flushTimer)
+  flushTimer = null
+
+  const { user, isAuthenticated } = useAuthStore.getState()
+  if (!isAuthenticated || !user?.id || !navigator.onLine || Date.now() < retryAt) return
+
+  let batch = readQueue(user.id).slice(0, BATCH_SIZE)
+  while (batch.length) {
+    let settled
+    try {
+      const { data } = await musicAPI.recordPlays(batch)
+      settled = new Set(data.results.map(result => result.eventId))
+    } catch (error) {
+      const status = error.response?.status
+      if (status === 400) {
+        // The server rejects malformed events one by one, so this is a
+        // malformed batch, which would block the queue forever
+        console.error('Dropping scrobbles the server refused:', error.response.data)
+        settled = new Set(batch.map(event => event.eventId))
+      } else {
+        failures += 1
+        retryAt = Date.now() + Math.min(MAX_BACKOFF, FLUSH_DELAY * 2 ** failures)
+        scheduleFlush(retryAt - Date.now())
+        return
+      }
+    }
+
+    failures = 0
+    retryAt = 0
+    if (!batch.some(event => settled.has(event.eventId))) return
+
+    // Recorded, duplicate and rejected events are all done with
+    writeQueue(user.id, readQueue(user.id).filter(event => !settled.has(event.eventId)))
+    batch = readQueue(user.id).slice(0, BATCH_SIZE)
+  }
+}
+
+// Upload queued events now. Concurrent calls share one upload.
+export const flush = () => {
+  if (!flushing) {
+    flushing = upload().finally(() => {
+      flushing = null
+    })
+  }
+
+  return flushing
+}
+
+// Queue a listening event for the signed-in user
+export const enqueue = (event) => {
+  const { user } = useAuthStore.getState()
+  if (!user?.id) return
+
+  const queue = readQueue(user.id)
+  queue.push({
+    ...event,
+    eventId: createId(),
+    occurredAt: new Date().toISOString(),
+    device: getDevice(),
+  })
+  writeQueue(user.id, queue)
+
+  if (queue.length >= BATCH_SIZE) {
+    flush()
+  } else {
+    scheduleFlush()
+  }
+}
+
+// The play being listened to. It starts when the playhead first moves
+// forward, so loading or pausing a track is not a play.
+let session = null
+
+const report = (type, state) => {
+  enqueue({
+    playId: session.playId,
+    type,
+    trackId: trackIdOf(session.track),
+    track: { title: session.track.title, artist: session.track.artist },
+    position: Math.round(state.currentTime || 0),
+    secondsListened: Math.round(session.secondsListened),
+    ...(session.context && { context: session.context }),
+  })
+}
+
+const endSession = (type, state) => {
+  report(type, state)
+  session = null
+}
+
+const handlePlayerChange = (state, previous) => {
+  if (session && state.completedCount !== previous.completedCount) {
+    endSession('complete', previous)
+  }
+
+  if (session && trackIdOf(state.currentTrack) !== trackIdOf(session.track)) {
+    endSession('skip', previous)
+  }
+
+  if (state.currentTime === previous.currentTime || !state.isPlaying || !state.currentTrack) return
+
+  const delta = state.currentTime - (session ? session.lastTime : previous.currentTime)
+  const listened = delta > 0 && delta <= MAX_TICK
+
+  if (!session) {
+    if (!listened) return
+    session = {
+      playId: createId(),
+      track: state.currentTrack,
+      context: state.playContext,
+      secondsListened: 0,
+      reportedAt: 0,
+      lastTime: previous.currentTime,
+    }
+    report('start', previous)
+  }
+
+  if (listened) session.secondsListened += delta
+  session.lastTime = state.currentTime
+
+  if (session.secondsListened - session.reportedAt >= PROGRESS_INTERVAL) {
+    session.reportedAt = session.secondsListened
+    report('progress', state)
+  }
+}
+
+// Track playback and upload queued events. Returns a cleanup function.
+export const startScrobbler = () => {
+  const unsubscribe = useMusicPlayerStore.subscribe(handlePlayerChange)
+
+  const handleOnline = () => {
+    retryAt = 0
+    flush()
+  }
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') flush()
+  }
+
+  window.addEventListener('online', handleOnline)
+  document.addEventListener('visibilitychange', handleVisibilityChange)
+  const interval = setInterval(flush, FLUSH_INTERVAL)
+  flush()
+
+  return () => {
+    unsubscribe()
+    window.removeEventListener('online', handleOnline)
+    document.removeEventListener('visibilitychange', handleVisibilityChange)
+    clearInterval(interval)
+  }
+}
+
+export default {
+  enqueue,
+  flush,
+  startScrobbler,
+}
@@ -49,6 +49,7 @@ export const useMusicPlayerStore = create(
       currentPlaylist: null,
       queue: [],
       currentIndex: 0,
+      playContext: null, // where playback started, e.g. { type: 'album', id }
       
       // Player state
       isPlaying: false,
@@ -62,21 +63,26 @@ export const useMusicPlayerStore = create(
       shuffle: false,
       repeat: 'off', // 'off', 'one', 'all'
       
+      // Bumped each time a track plays to the end
+      completedCount: 0,
+      
       // Actions
       setCurrentTrack: (track, playlist = null, index = 0) => {
         set({
           currentTrack: track,
           currentPlaylist: playlist,
           currentIndex: index,
+          playContext: playlist ? { type: 'playlist', id: playlist.id || playlist._id } : null,
           isLoading: true,
         })
       },
       
-      setQueue: (tracks, startIndex = 0) => {
+      setQueue: (tracks, startIndex = 0, context = null) => {
         set({
           queue: tracks,
           currentIndex: startIndex,
           currentTrack: tracks[startIndex] || null,
+          playContext: context,
         })
       },
       
@@ -102,6 +108,12 @@ export const useMusicPlayerStore = create(
       setDuration: (duration) => set({ duration }),
       setIsLoading: (loading) => set({ isLoading: loading }),
       
+      // The current track played to the end
+      completeTrack: () => {
+        set((state) => ({ completedCount: state.completedCount + 1 }))
+        get().nextTrack()
+      },
+      
       // Navigation
       nextTrack: () => {
         const state = get()
@@ -236,6 +248,7 @@ export const useMusicPlayerStore = create(
           currentPlaylist: null,
           queue: [],
           currentIndex: 0,
+          playContext: null,
           isPlaying: false,
           currentTime: 0,
           duration: 0,
@@ -143,20 +143,27 @@ export const getImageUrl = (url, fallback = '/placeholder-album.jpg') => {
   return fallback
 }
 
-export const getAudioUrl = (url) => {
-  if (!url) return null
+// Metered when the browser reports cellular data or data saver
+export const getConnectionType = () => {
+  const connection = typeof navigator !== 'undefined' ? navigator.connection : null
+  if (!connection) return 'unmetered'
   
-  // Handle relative URLs
-  if (url.startsWith('/')) {
-    return url
-  }
-  
-  // Handle external URLs
-  if (url.startsWith('http')) {
-    return url
-  }
+  return connection.saveData || connection.type === 'cellular' ? 'metered' : 'unmetered'
+}
+
+// Streaming quality from the user's preferences for the current connection
+export const getStreamQuality = (preferences) => {
+  return preferences?.audioQuality?.[getConnectionType()] || null
+}
+
+// Audio is always played through the backend stream proxy, which handles
+// Range requests, caching and failover for every provider
+export const getAudioUrl = (track, quality) => {
+  const trackId = typeof track === 'string' ? track : track?.id
+  if (!trackId) return null
   
-  return null
+  const url = `/api/music/tracks/${encodeURIComponent(trackId)}/stream`
+  return quality ? `${url}?quality=${encodeURIComponent(quality)}` : url
 }
 
 // Color utilities
@@ -311,6 +318,8 @@ export default {
   formatNumber,
   clamp,
   getImageUrl,
+  getConnectionType,
+  getStreamQuality,
   getAudioUrl,
   getColorFromString,
   setLocalStorage,